@@ -0,0 +1,504 @@
+/**
+ * @module @ulu/sanity-loader/assets
+ * @version 1.0.0
+ * @description
+ * Helpers for finding and localizing Sanity assets in query results.
+ */
+
+import fs from "fs-extra";
+import http from "http";
+import https from "https";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+import { mapConcurrent, hashValue } from "./utils.js";
+import { imageSetDefaults } from "./defaults.js";
+import { normalizeImageMetadata, normalizeFileDetails } from "./metadata.js";
+
+/**
+ * @typedef {import('./metadata.js').ImageMetadata} ImageMetadata
+ * @typedef {import('./metadata.js').FileAssetDetails} FileAssetDetails
+ */
+
+/**
+ * @typedef {object} AssetReference
+ * @property {object} node - The object holding the asset (e.g. an image field or portable text image block).
+ * @property {"image"|"file"} assetType - The type of asset.
+ * @property {string} id - The asset document ID (e.g. "image-abc-800x600-jpg").
+ */
+
+/**
+ * @typedef {object} LocalizeAssetsOptions
+ * @property {object|false} [image] - Image URL builder options applied to each image (e.g. `{ width: 1600, format: "webp" }`), or false to skip images.
+ * @property {boolean} [file] - Whether to download file assets.
+ * @property {string} [property] - The property the local public path is attached to on each asset holder.
+ * @property {number} [concurrency] - The maximum number of concurrent downloads.
+ * @property {boolean} [metadata] - Also attach the image metadata (dimensions, LQIP, dominant color, BlurHash) to each image.
+ * @property {string} [metadataProperty] - The property the image metadata is attached to.
+ */
+
+const assetIdPattern = /^(image|file)-/;
+const fileIdPattern = /^file-([a-zA-Z0-9]+)-([a-zA-Z0-9]+)$/;
+
+/**
+ * Gets the asset type and ID of an object holding a Sanity asset, works with
+ * both references (`asset._ref`) and dereferenced assets (`asset._id`).
+ * @param {any} node - The object to check.
+ * @returns {{assetType: "image"|"file", id: string}|null} The asset info, or null if the object holds no asset.
+ */
+export function getAssetInfo(node) {
+  const asset = node && typeof node === "object" ? node.asset : null;
+  if (!asset || typeof asset !== "object") return null;
+  const id = asset._ref || asset._id;
+  const match = typeof id === "string" ? id.match(assetIdPattern) : null;
+  return match ? { assetType: /** @type {"image"|"file"} */ (match[1]), id } : null;
+}
+
+/**
+ * Walks a value (query result) and collects every object holding a Sanity
+ * image or file asset, including those nested in portable text arrays.
+ * @param {any} value - The value to walk.
+ * @returns {Array<AssetReference>} The asset references found.
+ */
+export function findAssetReferences(value) {
+  const found = [];
+  const seen = new Set();
+  (function walk(node) {
+    if (!node || typeof node !== "object" || seen.has(node)) return;
+    seen.add(node);
+    if (Array.isArray(node)) {
+      node.forEach(walk);
+      return;
+    }
+    const info = getAssetInfo(node);
+    if (info) {
+      found.push({ node, ...info });
+    }
+    Object.values(node).forEach(walk);
+  })(value);
+  return found;
+}
+
+/**
+ * Builds the CDN URL of a file asset from its ID (e.g. "file-abc123-pdf").
+ * @param {string} id - The file asset ID or reference.
+ * @param {{projectId: string, dataset: string}} config - The client's project and dataset.
+ * @returns {string|null} The URL, or null if the ID is not a file asset.
+ */
+export function getFileAssetUrl(id, { projectId, dataset }) {
+  const match = typeof id === "string" ? id.match(fileIdPattern) : null;
+  if (!match) return null;
+  return `https://cdn.sanity.io/files/${projectId}/${dataset}/${match[1]}.${match[2]}`;
+}
+
+/**
+ * @typedef {object} SavedFileAsset
+ * @property {string} id - The file asset ID.
+ * @property {string|null} path - The public path, null if the file could not be saved (offline and not downloaded before).
+ * @property {string} filename - The filename relative to `paths.assets` ("<asset hash>/<original filename>").
+ * @property {string|null} originalFilename - The filename the file was uploaded with, null if unknown.
+ * @property {number|null} size - The size in bytes, null if unknown.
+ * @property {string|null} mimeType - The mime type, null if unknown.
+ * @property {string} extension - The file extension.
+ */
+
+const fileMimeTypes = {
+  pdf: "application/pdf",
+  zip: "application/zip",
+  json: "application/json",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ppt: "application/vnd.ms-powerpoint",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  csv: "text/csv",
+  txt: "text/plain",
+  mp3: "audio/mpeg",
+  mp4: "video/mp4",
+  webm: "video/webm",
+};
+
+/**
+ * Gets the file asset ID from a file field, a reference, an asset document
+ * or an ID string (e.g. "file-abc123-pdf").
+ * @param {any} fileOrRef - The file.
+ * @returns {string|null} The file asset ID, or null if it isn't a file asset.
+ */
+export function getFileAssetId(fileOrRef) {
+  let id = fileOrRef;
+  if (fileOrRef && typeof fileOrRef === "object") {
+    const info = getAssetInfo(fileOrRef);
+    id = info ? info.id : fileOrRef._ref || fileOrRef._id;
+  }
+  return typeof id === "string" && fileIdPattern.test(id) ? id : null;
+}
+
+/**
+ * Makes a filename safe for URLs and file systems: accents are removed and
+ * anything but letters, numbers, dots, dashes and underscores is replaced
+ * with dashes.
+ * @example
+ * sanitizeFilename("Jahresbericht 2024 (Übersicht).PDF"); // -> "Jahresbericht-2024-Ubersicht.pdf"
+ * @param {string} filename - The filename.
+ * @returns {string} The sanitized filename.
+ */
+export function sanitizeFilename(filename) {
+  const clean = value => value
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-zA-Z0-9._-]+/g, "-")
+    .replace(/-{2,}/g, "-")
+    .replace(/^[-.]+|[-.]+$/g, "");
+  const extension = clean(path.extname(filename)).toLowerCase();
+  const name = clean(path.basename(filename, path.extname(filename)));
+  return `${name || "file"}${extension ? `.${extension}` : ""}`;
+}
+
+/**
+ * Downloads a file asset (PDFs and other `file` fields) keeping the filename
+ * it was uploaded with. The file is saved as "<asset hash>/<filename>" so
+ * different assets with the same name don't collide. The original filename,
+ * size and mime type come from the dereferenced asset when it includes them,
+ * otherwise from the asset document (requested in batches).
+ * @param {any} fileOrRef - The file field, reference, asset document or ID.
+ * @param {object} context - The asset machinery to use.
+ * @param {(url: string, filename?: string) => Promise<string|null>} context.saveAsset - Downloads a URL and returns its public path.
+ * @param {{projectId: string, dataset: string}} context.clientConfig - The client's project and dataset.
+ * @param {(ids: Array<string>) => Promise<Object<string, FileAssetDetails|null>>} [context.getFileDetails] - Loads file asset details by asset ID.
+ * @param {object} [options] - The file options.
+ * @param {boolean} [options.sanitize=true] - Sanitize the original filename (see `sanitizeFilename`), otherwise only path separators are replaced (names of only dots fall back to the asset hash).
+ * @returns {Promise<SavedFileAsset|null>} The saved file, or null if there is no file asset.
+ */
+export async function saveFileAsset(fileOrRef, { saveAsset, clientConfig, getFileDetails }, options = {}) {
+  const { sanitize = true } = options;
+  const id = getFileAssetId(fileOrRef);
+  if (!id) return null;
+  const [, hash, idExtension] = id.match(fileIdPattern);
+  const asset = fileOrRef.asset || fileOrRef;
+  let details = null;
+  if (asset.originalFilename) {
+    details = normalizeFileDetails(asset);
+  } else if (getFileDetails) {
+    details = (await getFileDetails([id]))[id];
+  }
+  const { url, originalFilename = null, size = null, mimeType, extension } = details || {};
+  const fileExtension = extension || idExtension;
+  let name = `${hash}.${fileExtension}`;
+  if (originalFilename) {
+    const kept = sanitize ? sanitizeFilename(originalFilename) : originalFilename.replace(/[/\\]/g, "-");
+    // Names of only dots ("." or "..") would resolve to the asset's directory or its parent
+    if (!/^\.*$/.test(kept)) name = kept;
+  }
+  const filename = `${hash}/${name}`;
+  return {
+    id,
+    path: await saveAsset(url || getFileAssetUrl(id, clientConfig), filename),
+    filename,
+    originalFilename,
+    size,
+    mimeType: mimeType || fileMimeTypes[fileExtension.toLowerCase()] || null,
+    extension: fileExtension
+  };
+}
+
+/**
+ * Applies image URL builder options (method name and argument pairs).
+ * @param {import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} builder - The image URL builder.
+ * @param {object} options - The options, e.g. `{ width: 800, format: "webp" }`.
+ * @returns {import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} The configured builder.
+ */
+export function applyImageOptions(builder, options) {
+  return Object.entries(options).reduce((current, [method, arg]) => {
+    if (typeof current[method] !== "function") {
+      throw new Error(`localizeAssets: Unknown image option "${method}"`);
+    }
+    return current[method](arg);
+  }, builder);
+}
+
+/**
+ * Finds every asset in a value, downloads it and attaches the local public
+ * path next to each reference. Mutates the value in place.
+ * @param {any} value - The value (query result) to localize.
+ * @param {object} context - The asset machinery to use.
+ * @param {(url: string) => Promise<string|null>} context.saveAsset - Downloads a URL and returns its public path.
+ * @param {(source: object) => import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} context.imageUrl - Creates image URL builders.
+ * @param {{projectId: string, dataset: string}} context.clientConfig - The client's project and dataset.
+ * @param {(ids: Array<string>) => Promise<Object<string, ImageMetadata|null>>} [context.getImageMetadata] - Loads image metadata by asset ID.
+ * @param {LocalizeAssetsOptions} options - The localize options.
+ * @returns {Promise<any>} The value.
+ */
+export async function localizeAssets(value, { saveAsset, imageUrl, clientConfig, getImageMetadata }, options) {
+  const { image, file, property, concurrency, metadata, metadataProperty } = options;
+  const references = findAssetReferences(value).filter(({ assetType }) => {
+    return assetType === "image" ? image !== false : file !== false;
+  });
+  const downloads = new Map();
+
+  if (metadata && getImageMetadata) {
+    const images = references.filter(({ assetType }) => assetType === "image");
+    const resolved = await resolveImageMetadata(images, getImageMetadata);
+    images.forEach(({ node }, index) => {
+      node[metadataProperty] = resolved[index];
+    });
+  }
+
+  await mapConcurrent(references, concurrency, async ({ node, assetType, id }) => {
+    const url = assetType === "image" ?
+      applyImageOptions(imageUrl(node), image || {}).url() :
+      node.asset.url || getFileAssetUrl(id, clientConfig);
+    if (!downloads.has(url)) {
+      downloads.set(url, saveAsset(url));
+    }
+    node[property] = await downloads.get(url);
+  });
+
+  return value;
+}
+
+/**
+ * @typedef {object} ImageRendition
+ * @property {number} width - The width of the rendition.
+ * @property {number|null} height - The height of the rendition, null if the dimensions are unknown.
+ * @property {string} src - The public path of the saved rendition.
+ */
+
+/**
+ * @typedef {object} ImageSetSource
+ * @property {string|null} format - The requested format, null for the original format.
+ * @property {string|null} type - The mime type of the format (for `<source type>`).
+ * @property {string} srcset - The `srcset` attribute value.
+ * @property {Array<ImageRendition>} renditions - The renditions, by ascending width.
+ */
+
+/**
+ * @typedef {object} ImageSet
+ * @property {string} src - Public path of the largest rendition of the last format (the `<img>` fallback).
+ * @property {string} srcset - The `srcset` of the last format.
+ * @property {Array<ImageSetSource>} sources - Renditions grouped by format (for `<picture>` sources).
+ * @property {number|null} width - The intrinsic width (after crop).
+ * @property {number|null} height - The intrinsic height (after crop).
+ * @property {number|null} aspectRatio - Width divided by height.
+ * @property {ImageMetadata|null} [metadata] - The image metadata, when requested.
+ */
+
+const formatMimeTypes = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  pjpg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+  svg: "image/svg+xml",
+};
+
+/**
+ * Gets the metadata of images. Dereferenced assets that include their
+ * metadata are used as is, the rest is loaded in one batch.
+ * @param {Array<AssetReference>} references - The image references.
+ * @param {(ids: Array<string>) => Promise<Object<string, ImageMetadata|null>>} getImageMetadata - Loads image metadata by asset ID.
+ * @returns {Promise<Array<ImageMetadata|null>>} The metadata for each reference.
+ */
+async function resolveImageMetadata(references, getImageMetadata) {
+  const hasOwn = ({ node }) => Boolean(node.asset.metadata);
+  const ids = [...new Set(references.filter(ref => !hasOwn(ref)).map(({ id }) => id))];
+  const loaded = ids.length ? await getImageMetadata(ids) : {};
+  return references.map(ref => {
+    return hasOwn(ref) ? normalizeImageMetadata(ref.node.asset.metadata) : loaded[ref.id] ?? null;
+  });
+}
+
+/**
+ * Gets the dimensions of an image, taking its crop into account. Uses the
+ * asset metadata when dereferenced, otherwise the dimensions encoded in the
+ * asset ID (e.g. "image-abc-800x600-jpg").
+ * @param {object} source - The image (object with an asset reference or dereferenced asset).
+ * @returns {{width: number, height: number, aspectRatio: number, format: string|null}|null} The dimensions, or null if unknown.
+ */
+export function getImageDimensions(source) {
+  const asset = source && source.asset;
+  if (!asset) return null;
+  const id = asset._ref || asset._id || "";
+  const match = id.match(/-(\d+)x(\d+)-([a-z0-9]+)$/i);
+  const dimensions = asset.metadata && asset.metadata.dimensions;
+  const fullWidth = dimensions ? dimensions.width : match && Number(match[1]);
+  const fullHeight = dimensions ? dimensions.height : match && Number(match[2]);
+  if (!fullWidth || !fullHeight) return null;
+
+  const { top = 0, bottom = 0, left = 0, right = 0 } = source.crop || {};
+  const width = Math.round(fullWidth * (1 - left - right));
+  const height = Math.round(fullHeight * (1 - top - bottom));
+  return { width, height, aspectRatio: width / height, format: match ? match[3] : null };
+}
+
+/**
+ * Builds the renditions of an image for each width and format, downloads
+ * them and returns the data needed for responsive images (`srcset`,
+ * `<picture>` sources, intrinsic dimensions). Widths larger than the image
+ * are skipped so images are never upscaled.
+ * @param {object} source - The image (object with an asset reference or dereferenced asset).
+ * @param {object} context - The asset machinery to use.
+ * @param {(url: string) => Promise<string|null>} context.saveAsset - Downloads a URL and returns its public path.
+ * @param {(source: object) => import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} context.imageUrl - Creates image URL builders.
+ * @param {(ids: Array<string>) => Promise<Object<string, ImageMetadata|null>>} [context.getImageMetadata] - Loads image metadata by asset ID.
+ * @param {object} [options] - The image set options.
+ * @param {Array<number>} [options.widths] - The widths to create.
+ * @param {Array<string|null>} [options.formats] - The formats to create (e.g. `["webp", "jpg"]`), null for the original format, the last is the fallback.
+ * @param {number} [options.concurrency] - The maximum number of concurrent downloads.
+ * @param {object} [options.image] - Additional image URL builder options applied to each rendition (e.g. `{ quality: 80 }`).
+ * @param {boolean} [options.metadata] - Also include the image metadata (dimensions, LQIP, dominant color, BlurHash).
+ * @returns {Promise<ImageSet|null>} The image set, or null if there is no image.
+ */
+export async function saveImageSet(source, { saveAsset, imageUrl, getImageMetadata }, options = {}) {
+  const { widths, formats, concurrency, image = {}, metadata } = { ...imageSetDefaults, ...options };
+  if (!Array.isArray(formats) || !formats.length) {
+    throw new Error("saveImageSet: `formats` must be a non-empty array (use `[null]` for the original format)");
+  }
+  const info = getAssetInfo(source);
+  if (!info) return null;
+  const dimensions = getImageDimensions(source);
+  const sorted = [...new Set(widths)].sort((a, b) => a - b);
+  const fitting = dimensions ? sorted.filter(width => width <= dimensions.width) : sorted;
+  const renditionWidths = fitting.length ? fitting : [dimensions ? dimensions.width : sorted[0]];
+
+  const jobs = formats.flatMap(format => renditionWidths.map(width => ({ format, width })));
+  const saved = await mapConcurrent(jobs, concurrency, async ({ format, width }) => {
+    let builder = applyImageOptions(imageUrl(source), image).width(width);
+    if (format) builder = builder.format(format);
+    return {
+      width,
+      height: dimensions ? Math.round(width / dimensions.aspectRatio) : null,
+      src: await saveAsset(builder.url())
+    };
+  });
+
+  const sources = formats.map((format, index) => {
+    const renditions = saved.slice(index * renditionWidths.length, (index + 1) * renditionWidths.length);
+    const mimeFormat = format || (dimensions && dimensions.format);
+    return {
+      format,
+      type: formatMimeTypes[mimeFormat] || null,
+      srcset: renditions.map(({ src, width }) => `${src} ${width}w`).join(", "),
+      renditions
+    };
+  });
+  const fallback = sources[sources.length - 1];
+  const imageSet = {
+    src: fallback.renditions[fallback.renditions.length - 1].src,
+    srcset: fallback.srcset,
+    sources,
+    width: dimensions ? dimensions.width : null,
+    height: dimensions ? dimensions.height : null,
+    aspectRatio: dimensions ? dimensions.aspectRatio : null
+  };
+
+  if (metadata && getImageMetadata) {
+    [imageSet.metadata] = await resolveImageMetadata([{ node: source, ...info }], getImageMetadata);
+  }
+
+  return imageSet;
+}
+
+/**
+ * Gets the local filename for an asset URL. The name keeps the asset ID from
+ * the URL readable, when the URL has a query string (image transforms like
+ * width, crop or format) a short hash of it is added so each rendition of
+ * an asset gets its own file. The extension follows the `fm` (format)
+ * parameter when present.
+ * @example
+ * getAssetFilename("https://cdn.sanity.io/images/p/d/abc-800x600.jpg?w=400&fm=webp");
+ * // -> "abc-800x600-08a33a5b.webp"
+ * @param {string|URL} url - The asset URL.
+ * @returns {string} The filename.
+ */
+export function getAssetFilename(url) {
+  const { pathname, searchParams } = new URL(url);
+  const basename = path.basename(pathname);
+  if (![...searchParams.keys()].length) {
+    return basename;
+  }
+  const sorted = new URLSearchParams(searchParams);
+  sorted.sort();
+  const extension = path.extname(basename);
+  const name = path.basename(basename, extension);
+  const format = searchParams.get("fm");
+  return `${name}-${hashValue(sorted.toString(), 8)}${format ? `.${format}` : extension}`;
+}
+
+/**
+ * Downloads a URL to a file. Redirects are followed, non-2xx responses are
+ * rejected and the response length is checked against `content-length` when
+ * present. The download is written to a temporary file which is renamed to
+ * the destination on success and removed on any failure.
+ * @param {string} url - The URL to download.
+ * @param {string} destination - The file path to save to.
+ * @param {object} [options] - The download options.
+ * @param {number} [options.timeout=30000] - Milliseconds without activity before the request is aborted.
+ * @param {number} [options.maxRedirects=5] - The maximum number of redirects to follow.
+ * @returns {Promise<{bytes: number, headers: object}>} The size and response headers of the download.
+ */
+export async function downloadFile(url, destination, options = {}) {
+  const { timeout = 30000, maxRedirects = 5 } = options;
+  const tempPath = `${destination}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+  await fs.ensureDir(path.dirname(destination));
+  try {
+    const download = await requestToFile(url, tempPath, timeout, maxRedirects);
+    await fs.move(tempPath, destination, { overwrite: true });
+    return download;
+  } catch (error) {
+    await fs.remove(tempPath);
+    throw error;
+  }
+}
+
+/**
+ * Requests a URL and streams the response to a file (see downloadFile).
+ * @param {string} url - The URL to request.
+ * @param {string} filepath - The file to write to.
+ * @param {number} timeout - Milliseconds without activity before the request is aborted.
+ * @param {number} redirectsLeft - How many more redirects may be followed.
+ * @returns {Promise<{bytes: number, headers: object}>} The size and response headers.
+ */
+function requestToFile(url, filepath, timeout, redirectsLeft) {
+  return new Promise((resolve, reject) => {
+    const transport = url.startsWith("http:") ? http : https;
+    const request = transport.get(url, response => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume();
+        if (redirectsLeft <= 0) {
+          reject(new Error(`Too many redirects downloading ${url}`));
+          return;
+        }
+        const location = new URL(headers.location, url).toString();
+        resolve(requestToFile(location, filepath, timeout, redirectsLeft - 1));
+        return;
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.resume();
+        reject(Object.assign(new Error(`Request failed with status ${statusCode} downloading ${url}`), { statusCode }));
+        return;
+      }
+
+      const expected = headers["content-length"] ? Number(headers["content-length"]) : null;
+      let bytes = 0;
+      response.on("data", chunk => {
+        bytes += chunk.length;
+      });
+      pipeline(response, fs.createWriteStream(filepath)).then(() => {
+        if (expected !== null && bytes !== expected) {
+          reject(new Error(`Incomplete download of ${url}, expected ${expected} bytes but received ${bytes}`));
+        } else {
+          resolve({ bytes, headers });
+        }
+      }, reject);
+    });
+    request.setTimeout(timeout, () => {
+      request.destroy(new Error(`Timed out after ${timeout}ms downloading ${url}`));
+    });
+    request.on("error", reject);
+  });
+}
@@ -0,0 +1,158 @@
+/**
+ * @module @ulu/sanity-loader/cache
+ * @version 1.0.0
+ * @description
+ * Cache storage adapters for the Sanity Loader.
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { log } from "./logger.js";
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {any} result - The result from the Sanity fetch.
+ * @property {string} [version] - The cache version.
+ * @property {string} query - The GROQ query string.
+ * @property {object} [params] - The GROQ parameters used for the query.
+ * @property {string} [fetchedAt] - When the result was fetched (ISO date string).
+ */
+
+/**
+ * Interface for cache storage. Every method may return a value or a promise.
+ * Keys may contain "/" to group entries (namespaces).
+ * @typedef {object} CacheAdapter
+ * @property {(key: string) => Promise<CacheEntry|null>|CacheEntry|null} get - Gets an entry, or null if missing.
+ * @property {(key: string, entry: CacheEntry) => Promise<void>|void} set - Stores an entry.
+ * @property {(key: string) => Promise<void>|void} delete - Removes an entry.
+ * @property {() => Promise<Array<string>>|Array<string>} list - Lists the keys of all entries.
+ * @property {(name: string) => Promise<any>|any} getMeta - Gets a named metadata record, or null if missing.
+ * @property {(name: string, value: any) => Promise<void>|void} setMeta - Stores a named metadata record.
+ */
+
+/**
+ * Name of the directories (in the cache directory and each namespace)
+ * metadata records are stored in.
+ */
+const metadataDirname = ".metadata";
+
+/**
+ * Creates the default cache adapter, which stores each entry as a JSON file
+ * (`<key>.json`) and each metadata record in its own file in the
+ * `.metadata` directory of its namespace (`<namespace>/.metadata/<name>.json`),
+ * so writing a record never rewrites (or races with) the others.
+ * @param {{dir: string}} options - The adapter options.
+ * @returns {CacheAdapter} The filesystem cache adapter.
+ */
+export function createFilesystemCacheAdapter({ dir }) {
+  const getFilepath = key => path.join(dir, `${key}.json`);
+  const getMetaFilepath = name => {
+    const segments = name.split("/");
+    const record = segments.pop();
+    return path.join(dir, ...segments, metadataDirname, `${record}.json`);
+  };
+
+  function readJson(filepath) {
+    if (!fs.existsSync(filepath)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(filepath).toString());
+    } catch (err) {
+      log.error(err);
+      return null;
+    }
+  }
+
+  function writeJson(filepath, data) {
+    fs.ensureDirSync(path.dirname(filepath));
+    fs.writeFileSync(filepath, JSON.stringify(data));
+  }
+
+  function listFiles(directory, prefix = "") {
+    if (!fs.existsSync(directory)) return [];
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap(dirent => {
+      if (dirent.isDirectory()) {
+        if (dirent.name === metadataDirname) return [];
+        return listFiles(path.join(directory, dirent.name), `${prefix}${dirent.name}/`);
+      }
+      return dirent.name.endsWith(".json") ? [`${prefix}${dirent.name}`] : [];
+    });
+  }
+
+  return {
+    get(key) {
+      return readJson(getFilepath(key));
+    },
+    set(key, entry) {
+      writeJson(getFilepath(key), entry);
+    },
+    delete(key) {
+      fs.removeSync(getFilepath(key));
+    },
+    list() {
+      return listFiles(dir).map(file => file.slice(0, -".json".length));
+    },
+    getMeta(name) {
+      return readJson(getMetaFilepath(name));
+    },
+    setMeta(name, value) {
+      writeJson(getMetaFilepath(name), value);
+    }
+  };
+}
+
+/**
+ * Creates a cache adapter that keeps everything in memory, useful for tests
+ * and long running dev servers. Values are copied on the way in and out (like
+ * they would be when serialized to disk), so mutating a loaded result in a
+ * transform won't change the cache.
+ * @returns {CacheAdapter} The in-memory cache adapter.
+ */
+export function createMemoryCacheAdapter() {
+  const entries = new Map();
+  const metadata = new Map();
+  const copy = value => value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+  return {
+    get(key) {
+      return entries.has(key) ? copy(entries.get(key)) : null;
+    },
+    set(key, entry) {
+      entries.set(key, copy(entry));
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    list() {
+      return [...entries.keys()];
+    },
+    getMeta(name) {
+      return metadata.has(name) ? copy(metadata.get(name)) : null;
+    },
+    setMeta(name, value) {
+      metadata.set(name, copy(value));
+    }
+  };
+}
+
+/**
+ * Creates a view of a cache adapter that keeps its entries and metadata
+ * records in a namespace, keys and record names are prefixed with
+ * `<namespace>/` (a subdirectory for the filesystem adapter).
+ * @param {CacheAdapter} adapter - The cache adapter to store in.
+ * @param {string} namespace - The namespace.
+ * @returns {CacheAdapter} The namespaced cache adapter.
+ */
+export function createNamespacedCacheAdapter(adapter, namespace) {
+  const prefix = `${namespace}/`;
+  return {
+    get: key => adapter.get(prefix + key),
+    set: (key, entry) => adapter.set(prefix + key, entry),
+    delete: key => adapter.delete(prefix + key),
+    async list() {
+      const keys = await adapter.list();
+      return keys.filter(key => key.startsWith(prefix)).map(key => key.slice(prefix.length));
+    },
+    getMeta: name => adapter.getMeta(prefix + name),
+    setMeta: (name, value) => adapter.setMeta(prefix + name, value)
+  };
+}
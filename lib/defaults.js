@@ -5,44 +5,204 @@
  * Default options for the Sanity Loader.
  */
 
-import fs from "fs-extra";
-import path from "path";
 import { log } from "./logger.js";
+import { createFilesystemCacheAdapter } from "./cache.js";
 
 /**
  * @typedef {import('@sanity/client').SanityClient} SanityClient
+ * @typedef {import('./cache.js').CacheAdapter} CacheAdapter
  */
 
 export const loaderDefaults = {
   queryName: null,
   query: null,
+  params: null,
   transform: null,
   cacheEnabled: true,
   expectedVersion: null,
+  documentTypes: null,
+  fallbackToStaleCache: null,
+  maxAge: null,
+  staleWhileRevalidate: false,
+  localizeAssets: false,
+  resolveReferences: false,
+  paginate: false,
+  incremental: false,
+  perspective: null,
+  datasets: null,
+  locales: null,
+  localeParam: "locale",
+  localizeFields: false,
+  schema: null,
+  onInvalid: "throw",
 };
 
+/**
+ * Default options used when a loader's `localizeAssets` is enabled.
+ */
+export const localizeAssetsDefaults = {
+  image: {},
+  file: true,
+  property: "localUrl",
+  concurrency: 4,
+  metadata: false,
+  metadataProperty: "localMetadata",
+};
+
+/**
+ * Default options used when a loader's `paginate` is enabled.
+ */
+export const paginateDefaults = {
+  pageSize: 1000,
+  onPage: null,
+};
+
+/**
+ * Default options used when a loader's `localizeFields` is enabled (and for
+ * `utils.localizeFields`).
+ */
+export const localizeFieldsDefaults = {
+  fallback: [],
+  locales: null,
+};
+
+/**
+ * Default options used when a loader's `resolveReferences` is enabled (and
+ * for `utils.resolveReferences`).
+ */
+export const resolveReferencesDefaults = {
+  depth: 1,
+  mode: "replace",
+  property: "document",
+};
+
+/**
+ * Default options for `utils.portableTextToHtml` and `utils.portableTextToMarkdown`.
+ */
+export const portableTextDefaults = {
+  image: {},
+  imageProperty: "localUrl",
+  headingIds: false,
+};
+
+/**
+ * Default options for `utils.getExcerpt`.
+ */
+export const excerptDefaults = {
+  length: 160,
+  ellipsis: "…",
+};
+
+/**
+ * Default options for `utils.getReadingTime`.
+ */
+export const readingTimeDefaults = {
+  wordsPerMinute: 200,
+};
+
+/**
+ * Default options for `utils.repairPortableText`.
+ */
+export const repairPortableTextDefaults = {
+  mutate: true,
+  allowedTypes: null,
+  decorators: ["strong", "em", "code", "underline", "strike-through"],
+};
+
+/**
+ * Default options for `utils.saveImageSet`.
+ */
+export const imageSetDefaults = {
+  widths: [320, 640, 960, 1280, 1920],
+  formats: [null],
+  concurrency: 4,
+  metadata: false,
+};
+
+/**
+ * Builds the lightweight query used by the default strategy. It returns the
+ * latest update and the document count, for the whole dataset and for each
+ * requested document type, in one request. The count changes when documents
+ * are deleted, which the latest `_updatedAt` alone cannot reveal.
+ * @param {Array<string>} documentTypes - The document types to check.
+ * @returns {{ query: string, params: object }} The query and its parameters.
+ */
+function createStaleStateQuery(documentTypes) {
+  const params = {};
+  const typeProjections = documentTypes.map((type, index) => {
+    const param = `type${index}`;
+    params[param] = type;
+    return `${JSON.stringify(type)}: {
+      "lastUpdated": *[_type == $${param}] | order(_updatedAt desc)[0]._updatedAt,
+      "documentCount": count(*[_type == $${param}])
+    }`;
+  });
+  const query = `{
+    "lastUpdated": * | order(_updatedAt desc)[0]._updatedAt,
+    "documentCount": count(*),
+    "types": { ${typeProjections.join(",")} }
+  }`;
+  return { query, params };
+}
+
+/**
+ * Whether a live state differs from the cached state.
+ * @param {{lastUpdated: string, documentCount: number}} live - The state fetched from Sanity.
+ * @param {{lastUpdated: string, documentCount: number}} [cached] - The stored state.
+ * @returns {boolean} True if changed or nothing was stored.
+ */
+function hasChanged(live, cached) {
+  return !cached ||
+    live.lastUpdated !== cached.lastUpdated ||
+    live.documentCount !== cached.documentCount;
+}
+
 /**
  * The default cache invalidation strategy.
- * It compares the timestamp of the most recently updated document in Sanity
- * with a locally cached timestamp.
+ * It fetches the timestamp of the most recently updated document and the
+ * document count in Sanity (a single request) and compares them with the state
+ * stored for the client's dataset in the cache adapter's "datasets" metadata
+ * record. Edits change the timestamp, deletions change the count. The same
+ * comparison is made for each of the `documentTypes` requested, so loaders can
+ * be invalidated by the types they depend on. The check runs in the loaders'
+ * `perspective`, so in preview drafts are included in the state.
  * @param {SanityClient} client - The Sanity client instance.
- * @param {{cacheDir: string}} context - The context object.
- * @returns {Promise<boolean>} A promise that resolves to true if the cache is stale.
+ * @param {{cacheDir: string, cache?: CacheAdapter, documentTypes?: Array<string>, perspective?: string|null}} context - The context object.
+ * @returns {Promise<{isStale: boolean, types: Object<string, boolean>}>} A promise that resolves to the stale state, `isStale` for the whole dataset and `types` for each document type.
  */
-async function isCacheStale(client, { cacheDir }) {
+async function isCacheStale(client, { cacheDir, cache, documentTypes = [], perspective = null }) {
   log.log("Checking if cache is stale...");
-  const timestampFile = path.join(cacheDir, "latest-update.txt");
-  const cachedTimestamp = fs.existsSync(timestampFile) ? fs.readFileSync(timestampFile).toString() : null;
-    
-  const liveTimestamp = await client.fetch("* | order(_updatedAt desc)[0]._updatedAt");
-  const isStale = !liveTimestamp || liveTimestamp !== cachedTimestamp;
+  const { dataset = "default" } = client.config();
+  const adapter = cache || createFilesystemCacheAdapter({ dir: cacheDir });
+  const datasets = await adapter.getMeta("datasets") || {};
+  const cached = datasets[dataset] || {};
+  const cachedTypes = cached.types || {};
 
-  if (isStale && liveTimestamp) {
-    fs.ensureDirSync(path.dirname(timestampFile));
-    fs.writeFileSync(timestampFile, liveTimestamp);
+  const { query, params } = createStaleStateQuery(documentTypes);
+  const live = await (perspective ? client.fetch(query, params, { perspective }) : client.fetch(query, params));
+  const isStale = !live || !live.lastUpdated || hasChanged(live, cached);
+  const types = {};
+  const changedTypes = {};
+
+  documentTypes.forEach(type => {
+    const liveType = live && live.types && live.types[type];
+    types[type] = !liveType || hasChanged(liveType, cachedTypes[type]);
+    if (liveType && types[type]) {
+      changedTypes[type] = liveType;
+    }
+  });
+
+  if (live && live.lastUpdated && (isStale || Object.keys(changedTypes).length)) {
+    datasets[dataset] = {
+      lastUpdated: live.lastUpdated,
+      documentCount: live.documentCount,
+      checkedAt: new Date().toISOString(),
+      types: { ...cachedTypes, ...changedTypes }
+    };
+    await adapter.setMeta("datasets", datasets);
   }
     
-  return isStale;
+  return { isStale, types };
 }
 
 export const defaultSanityLoaderOptions = {
@@ -51,5 +211,21 @@ export const defaultSanityLoaderOptions = {
   clientConfig: null,
   paths: {},
   isCacheStale,
-  invalidateCachePerCall: false
+  invalidateCachePerCall: false,
+  perspective: null,
+  cacheNamespace: true,
+  offline: false,
+  retry: {
+    retries: 2,
+    minTimeout: 500,
+    maxTimeout: 10000,
+    factor: 2
+  },
+  fallbackToStaleCache: false,
+  cacheAdapter: null,
+  assetOptions: {
+    timeout: 30000,
+    maxRedirects: 5,
+    filename: null
+  }
 };
@@ -0,0 +1,72 @@
+/**
+ * @module @ulu/sanity-loader/incremental
+ * @version 1.0.0
+ * @description
+ * Helpers for incremental (delta) syncing of cached collections, only the
+ * documents changed since the last sync are fetched and merged.
+ */
+
+/**
+ * @typedef {object} Delta
+ * @property {Array<object>} changed - Documents updated since the sync point (and documents new to the collection).
+ * @property {Array<string>} ids - The IDs of every document in the collection, in query order.
+ */
+
+/**
+ * Gets the sync point of a cached collection, the latest `_updatedAt` of its
+ * documents. Uses the server's timestamps so clock differences don't matter.
+ * @param {any} documents - The cached result.
+ * @returns {string|null} The sync point, or null if the result can't be synced (not an array of documents with `_id` and `_updatedAt`).
+ */
+export function getSyncPoint(documents) {
+  if (!Array.isArray(documents)) return null;
+  let latest = "";
+  for (const document of documents) {
+    if (!document || typeof document._id !== "string" || typeof document._updatedAt !== "string") {
+      return null;
+    }
+    if (document._updatedAt > latest) latest = document._updatedAt;
+  }
+  return latest;
+}
+
+/**
+ * Builds the query for the changes of a collection query: the documents
+ * updated since `$syncedAt` and the IDs of all documents (to detect removals
+ * and keep the order).
+ * @param {string} query - The collection query.
+ * @returns {string} The delta query.
+ */
+export function createDeltaQuery(query) {
+  return `{
+  "changed": (${query}\n)[_updatedAt >= $syncedAt],
+  "ids": (${query}\n){ _id }
+}`;
+}
+
+/**
+ * Builds the query for documents of a collection query by ID.
+ * @param {string} query - The collection query.
+ * @returns {string} The query, using the `$ids` parameter.
+ */
+export function createDocumentsQuery(query) {
+  return `(${query}\n)[_id in $ids]`;
+}
+
+/**
+ * Merges changes into a cached collection: changed documents replace
+ * the cached ones by `_id`, documents no longer in the collection are
+ * removed and the result follows the order of `ids`.
+ * @param {Array<object>} previous - The cached documents.
+ * @param {Delta} delta - The changes.
+ * @returns {{result: Array<object>, removed: number, missing: Array<string>}} The merged documents, the number removed, and IDs that are in the collection but neither cached nor changed.
+ */
+export function mergeDelta(previous, { changed, ids }) {
+  const byId = new Map(previous.map(document => [document._id, document]));
+  const current = new Set(ids);
+  changed.forEach(document => byId.set(document._id, document));
+  const removed = previous.filter(({ _id }) => !current.has(_id)).length;
+  const missing = ids.filter(id => !byId.has(id));
+  const result = ids.filter(id => byId.has(id)).map(id => byId.get(id));
+  return { result, removed, missing };
+}
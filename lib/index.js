@@ -6,31 +6,208 @@
  */
 
 import fs from "fs-extra";
-import https from "https";
+import { EventEmitter } from "events";
 import path from "path";
 import { createClient } from "@sanity/client";
 import createImageUrl from "@sanity/image-url";
-import { fixPortableText } from "./utils.js";
-import { loaderDefaults, defaultSanityLoaderOptions } from "./defaults.js";
+import { fixPortableText, stableStringify, hashValue, inferDocumentTypes, createPageQuery, withRetry } from "./utils.js";
+import {
+  loaderDefaults,
+  defaultSanityLoaderOptions,
+  localizeAssetsDefaults,
+  resolveReferencesDefaults,
+  paginateDefaults,
+  localizeFieldsDefaults
+} from "./defaults.js";
 import { log } from "./logger.js";
+import { createFilesystemCacheAdapter, createNamespacedCacheAdapter } from "./cache.js";
+import { localizeAssets, downloadFile, getAssetFilename, saveImageSet, saveFileAsset } from "./assets.js";
+import { createAssetManifest, pruneAssetFiles } from "./manifest.js";
+import { createImageMetadataLoader, createFileDetailsLoader } from "./metadata.js";
+import { resolveReferences, createDocumentLoader } from "./references.js";
+import { getSyncPoint, createDeltaQuery, createDocumentsQuery, mergeDelta } from "./incremental.js";
+import { localizeFields } from "./locales.js";
+import { validateResult, formatIssues } from "./schema.js";
+import { generateTypeDeclarations } from "./typegen.js";
+import {
+  portableTextToHtml,
+  portableTextToMarkdown,
+  repairPortableText,
+  portableTextToPlainText,
+  getExcerpt,
+  getReadingTime,
+  getHeadings
+} from "./portable-text.js";
+
+export { createFilesystemCacheAdapter, createMemoryCacheAdapter } from "./cache.js";
+
+/**
+ * The perspectives loaders can query.
+ */
+const perspectives = ["published", "previewDrafts", "raw"];
+
+/**
+ * What loaders can do with results that fail validation.
+ */
+const invalidModes = ["throw", "warn", "filter"];
 
 /**
  * @typedef {import('@sanity/client').SanityClient} SanityClient
  * @typedef {import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} ImageUrlBuilder
+ * @typedef {import('./cache.js').CacheAdapter} CacheAdapter
+ * @typedef {import('./cache.js').CacheEntry} CacheEntry
+ * @typedef {import('./assets.js').ImageSet} ImageSet
+ * @typedef {import('./assets.js').SavedFileAsset} SavedFileAsset
+ * @typedef {import('./portable-text.js').PortableTextOptions} PortableTextOptions
+ * @typedef {import('./portable-text.js').PortableTextRepairReport} PortableTextRepairReport
+ * @typedef {import('./portable-text.js').PortableTextHeading} PortableTextHeading
+ * @typedef {import('./references.js').ResolveReferencesOptions} ResolveReferencesOptions
+ * @typedef {import('./locales.js').LocalizeFieldsOptions} LocalizeFieldsOptions
+ * @typedef {import('./schema.js').ValidationIssue} ValidationIssue
+ * @typedef {import('./manifest.js').PruneReport} PruneReport
+ * @typedef {import('./manifest.js').AssetManifestEntry} AssetManifestEntry
+ */
+
+/**
+ * @typedef {object} LoaderMeta
+ * @property {"cache"|"fetch"|null} source - Where the result of the last run came from.
+ * @property {boolean} usedStaleCache - True if the last run fell back to a stale cache entry because Sanity could not be reached.
+ * @property {Error|null} error - The error of the last run, or the fetch error that caused the stale cache fallback.
+ * @property {Array<ValidationIssue>} issues - The issues found validating the result of the last run against the loader's `schema`.
+ * @property {Object<string, LoaderMeta>} [datasets] - The meta of each dataset, for loaders with `datasets`.
+ * @property {Object<string, LoaderMeta>} [locales] - The meta of each locale, for loaders with `locales`.
+ */
+
+/**
+ * @typedef {import('./schema.js').ValidatorFunction} ValidatorFunction
+ */
+
+/**
+ * The options of `defineLoader` (see the README for details), typed by the
+ * result of the query and what `transform` returns.
+ * @template [Result=any]
+ * @template [Output=Result]
+ * @typedef {object} LoaderOptions
+ * @property {string|null} [queryName] - The name of the `.groq` file in `paths.queries`, also names the cache entry.
+ * @property {string|null} [query] - The GROQ query, instead of a file.
+ * @property {object|null} [params] - GROQ parameters, merged under those passed when running the loader.
+ * @property {((result: Result) => Output|Promise<Output>)|null} [transform] - Transforms the result.
+ * @property {boolean} [cacheEnabled] - Whether results are cached.
+ * @property {string|null} [expectedVersion] - The cache version, cache entries of other versions are stale.
+ * @property {Array<string>|null} [documentTypes] - The document types of the result, for per-type stale checks.
+ * @property {boolean|null} [fallbackToStaleCache] - Whether to fall back to stale cache entries when Sanity can't be reached.
+ * @property {number|null} [maxAge] - Seconds cache entries are fresh without a stale check.
+ * @property {boolean} [staleWhileRevalidate] - Whether stale entries are returned while they're refetched in the background.
+ * @property {boolean|object} [localizeAssets] - Downloads the assets of the result.
+ * @property {boolean|ResolveReferencesOptions} [resolveReferences] - Resolves references to documents.
+ * @property {boolean|{pageSize?: number, onPage?: Function|null}} [paginate] - Fetches large results in pages.
+ * @property {boolean} [incremental] - Only fetches the documents changed since the last sync.
+ * @property {"published"|"previewDrafts"|"raw"|null} [perspective] - The perspective to query.
+ * @property {Array<string>|null} [datasets] - Datasets to query, the loader resolves to the results by dataset.
+ * @property {Array<string>|null} [locales] - Locales to load, the loader resolves to the results by locale.
+ * @property {string} [localeParam] - The GROQ parameter the locale is passed as.
+ * @property {boolean|LocalizeFieldsOptions} [localizeFields] - Resolves internationalized fields to the locale.
+ * @property {object|ValidatorFunction|null} [schema] - Validates the result.
+ * @property {"throw"|"warn"|"filter"} [onInvalid] - What to do with invalid results.
+ */
+
+/**
+ * @template [T=any]
+ * @typedef {((params?: object) => Promise<T>) & {meta: LoaderMeta}} Loader
+ */
+
+/**
+ * The result type of a query, looked up by name in the result types passed
+ * to `createSanityLoader` (e.g. the generated `LoaderResults`), `any` for
+ * unknown queries.
+ * @template {object} Results
+ * @template {string} Name
+ * @typedef {Name extends keyof Results ? Results[Name] : any} LoaderResult
+ */
+
+/**
+ * The options of `defineLoader`, typed by the result of the named query.
+ * @template {object} Results
+ * @template {string} Name
+ * @template Output
+ * @typedef {LoaderOptions<LoaderResult<Results, Name>, Output> & {queryName?: Name|null}} DefineLoaderOptions
+ */
+
+/**
+ * Defines a loader, resolving to the result type of its `queryName` (or of
+ * the name passed explicitly, `defineLoader<"posts">(...)`) or to what its
+ * `transform` returns. Loaders with `datasets` or `locales` resolve to the
+ * results by dataset (then by locale) or by locale.
+ * @template {object} Results
+ * @typedef {{
+ *   <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output> & {datasets: Array<string>, locales: Array<string>}): Loader<{[key: string]: {[key: string]: Output}}>;
+ *   <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output> & {datasets: Array<string>}): Loader<{[key: string]: Output}>;
+ *   <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output> & {locales: Array<string>}): Loader<{[key: string]: Output}>;
+ *   <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output>): Loader<Output>;
+ * }} DefineLoader
+ */
+
+/**
+ * @typedef {object} DatasetScope
+ * @property {string} dataset - The dataset.
+ * @property {SanityClient} client - The client querying the dataset.
+ * @property {string|null} perspective - Always null, asset queries use the client's default perspective.
+ * @property {string} namespace - The cache namespace of the dataset, empty for the client's dataset if `cacheNamespace` is disabled.
+ * @property {CacheAdapter} cache - The cache adapter of the namespace.
+ * @property {object} assetContext - What the asset utilities use to save images and load asset metadata from the dataset.
+ * @property {Map<string|null, LoaderScope>} perspectives - The scopes of the perspectives queried in the dataset.
+ */
+
+/**
+ * @typedef {object} LoaderScope
+ * @property {string} dataset - The dataset.
+ * @property {SanityClient} client - The client querying the dataset.
+ * @property {string|null} perspective - The perspective, null for the client's default.
+ * @property {string} namespace - The cache namespace, the dataset's namespace followed by the perspective queried (unless published).
+ * @property {CacheAdapter} cache - The cache adapter of the namespace.
+ * @property {string} cacheDir - The cache directory of the namespace.
+ * @property {object} assetContext - The asset context of the dataset.
+ * @property {Promise<{isStale: boolean, types: Object<string, boolean>|null}>|null} staleState - The "on-start" stale check.
+ * @property {{loadDocuments: (ids: Array<string>) => Promise<Object<string, object|null>>, clearDocuments: () => void}} referenceContext - Loads referenced documents from the dataset in the perspective, loaded documents are shared until cleared.
+ */
+
+/**
+ * @typedef {object} SanityLoaderUtils
+ * @property {(...fields: Array<object>[]) => void} fixPortableText - Repairs portable text fields in place.
+ * @property {(fields: Object<string, Array<object>>, options?: {mutate?: boolean, allowedTypes?: Array<string>|null, decorators?: Array<string>}) => PortableTextRepairReport} repairPortableText - Repairs portable text fields and reports what was fixed.
+ * @property {(blocks: Array<object>|object) => string} portableTextToPlainText - Converts portable text to plain text.
+ * @property {(blocks: Array<object>|object|string, options?: {length?: number, ellipsis?: string}) => string} getExcerpt - Gets an excerpt of portable text.
+ * @property {(blocks: Array<object>|object|string, options?: {wordsPerMinute?: number}) => {words: number, minutes: number}} getReadingTime - Estimates the reading time of portable text.
+ * @property {(blocks: Array<object>|object) => Array<PortableTextHeading>} getHeadings - Gets the headings of portable text.
+ * @property {(value: any, locale: string, options?: LocalizeFieldsOptions) => any} localizeFields - Resolves internationalized fields to a locale.
+ * @property {(value: any, options?: ResolveReferencesOptions) => Promise<any>} resolveReferences - Resolves references to documents.
+ * @property {(blocks: Array<object>|object, options?: PortableTextOptions) => string} portableTextToHtml - Converts portable text to HTML.
+ * @property {(blocks: Array<object>|object, options?: PortableTextOptions) => string} portableTextToMarkdown - Converts portable text to Markdown.
+ * @property {(url: string, filename?: string) => Promise<string | null>} saveAsset - Downloads an asset.
+ * @property {(source: object, options?: object) => Promise<ImageSet | null>} saveImageSet - Downloads an image in several widths and formats.
+ * @property {(fileOrRef: any, options?: {sanitize?: boolean}) => Promise<SavedFileAsset | null>} saveFileAsset - Downloads a file asset.
+ * @property {(options?: {dryRun?: boolean}) => Promise<PruneReport>} pruneAssets - Removes downloaded assets no longer referenced.
+ * @property {() => Promise<Object<string, AssetManifestEntry>>} getAssetManifest - Gets the assets referenced by each loader.
+ * @property {(options?: {output?: string|null, schemas?: Object<string, object>}) => Promise<{code: string, sources: Object<string, "schema"|"cache"|null>}>} generateTypes - Generates TypeScript declarations for query results.
  */
 
 /**
+ * @template {object} [Results=Object<string, any>]
  * @typedef {object} SanityLoader
  * @property {SanityClient} client - The configured Sanity client instance.
- * @property {(options: object) => () => Promise<any>} defineLoader - Defines a data loader for a specific query.
+ * @property {CacheAdapter} cache - The cache storage adapter.
+ * @property {EventEmitter} events - Emits "revalidated" and "revalidateError" for loaders in stale-while-revalidate mode.
+ * @property {DefineLoader<Results>} defineLoader - Defines a data loader for a specific query.
  * @property {(source: object) => ImageUrlBuilder} imageUrl - The Sanity image URL builder instance.
- * @property {{ fixPortableText: (...fields: Array<object>[]) => void, saveAsset: (url: string) => Promise<string | null> }} utils - Utility functions.
+ * @property {SanityLoaderUtils} utils - Utility functions.
  */
 
 /**
- * Creates the main Sanity Loader instance.
+ * Creates the main Sanity Loader instance. Pass the result types by query
+ * name (e.g. the generated `LoaderResults`) to type the loaders it defines.
+ * @template {object} [Results=Object<string, any>]
  * @param {object} config - The configuration object.
- * @returns {SanityLoader} The Sanity Loader instance.
+ * @returns {SanityLoader<Results>} The Sanity Loader instance.
  */
 export function createSanityLoader(config) {
   const settings = { ...defaultSanityLoaderOptions, ...config };
@@ -43,53 +220,271 @@ export function createSanityLoader(config) {
     invalidateCachePerCall
   } = settings;
 
+  const perspective = assertPerspective(settings.perspective, "createSanityLoader");
   const isCacheStaleFn = settings.isCacheStale || defaultSanityLoaderOptions.isCacheStale;
+  const offline = Boolean(settings.offline) || isEnvFlagSet(process.env.SANITY_LOADER_OFFLINE);
+  const retryOptions = { ...defaultSanityLoaderOptions.retry, ...settings.retry };
+  const assetOptions = { ...defaultSanityLoaderOptions.assetOptions, ...settings.assetOptions };
 
   if ((!clientInstance && !clientConfig) || !pathConfig) {
     throw new Error("Configuration requires `paths` and either a `client` instance or a `clientConfig` object.");
   }
 
   const cacheDir = pathConfig.cache || path.join(process.cwd(), "node_modules", ".@ulu-cache-vite-virtual-modules-sanity-loader");
+  const cache = settings.cacheAdapter || createFilesystemCacheAdapter({ dir: cacheDir });
+  const assetManifest = createAssetManifest(cache);
 
   const client = clientInstance || createClient(clientConfig);
   const imageUrlBuilder = createImageUrl(client);
 
-  let onStartStaleState = null; // null | boolean
-  let onStartCheckPromise = null;
+  const events = new EventEmitter();
+  const revalidating = new Map();
+  const trackedDocumentTypes = new Set();
+  const datasetScopes = new Map();
+  const typedLoaders = new Map();
+
+  /**
+   * Gets the state kept per dataset. Cache entries and metadata of a dataset
+   * are stored in its namespace (project, dataset and API version by
+   * default), so instances and loaders querying different datasets never
+   * share entries. Datasets other than the client's are queried with a copy
+   * of the client.
+   * @param {string|null} dataset - The dataset, null for the client's.
+   * @returns {DatasetScope} The scope.
+   */
+  function getDatasetScope(dataset) {
+    const defaultDataset = client.config().dataset;
+    const name = dataset || defaultDataset;
+    if (!datasetScopes.has(name)) {
+      const datasetClient = name === defaultDataset ? client : client.withConfig({ dataset: name });
+      // Without namespaces only the client's dataset is stored in the cache
+      // itself, other datasets still need their own entries and metadata
+      const namespace = getCacheNamespace(settings.cacheNamespace, datasetClient.config()) || (name === defaultDataset ? "" : name);
+      const datasetCache = namespace ? createNamespacedCacheAdapter(cache, namespace) : cache;
+      const datasetImageUrl = createImageUrl(datasetClient);
+      const scope = {
+        dataset: name,
+        client: datasetClient,
+        perspective: null,
+        namespace,
+        cache: datasetCache,
+        perspectives: new Map()
+      };
+      const imageMetadataLoader = createImageMetadataLoader({
+        cache: datasetCache,
+        offline,
+        fetch: (query, params) => retry("Image metadata", () => fetch(query, params, scope))
+      });
+      const fileDetailsLoader = createFileDetailsLoader({
+        cache: datasetCache,
+        offline,
+        fetch: (query, params) => retry("File asset details", () => fetch(query, params, scope))
+      });
+      scope.assetContext = {
+        saveAsset,
+        clientConfig: datasetClient.config(),
+        imageUrl: source => datasetImageUrl.image(source),
+        getImageMetadata: ids => imageMetadataLoader.loadMany(ids),
+        getFileDetails: ids => fileDetailsLoader.loadMany(ids)
+      };
+      datasetScopes.set(name, scope);
+    }
+    return datasetScopes.get(name);
+  }
+
+  /**
+   * Gets the state kept per dataset and perspective. Results and staleness
+   * metadata are stored in the perspective's namespace within the dataset's
+   * (the published perspective uses the dataset's namespace as is), without a
+   * perspective the client's is used. References are resolved to documents
+   * of the same dataset and perspective.
+   * @param {string|null} dataset - The dataset, null for the client's.
+   * @param {string|null} scopePerspective - The perspective, null for the client's default.
+   * @returns {LoaderScope} The scope.
+   */
+  function getScope(dataset, scopePerspective) {
+    const datasetScope = getDatasetScope(dataset);
+    const { perspectives } = datasetScope;
+    if (!perspectives.has(scopePerspective)) {
+      const perspectiveNamespace = getPerspectiveNamespace(scopePerspective || datasetScope.client.config().perspective);
+      const namespace = [datasetScope.namespace, perspectiveNamespace].filter(Boolean).join("/");
+      const scope = {
+        dataset: datasetScope.dataset,
+        client: datasetScope.client,
+        perspective: scopePerspective,
+        namespace,
+        cache: namespace ? createNamespacedCacheAdapter(cache, namespace) : cache,
+        cacheDir: namespace ? path.join(cacheDir, namespace) : cacheDir,
+        assetContext: datasetScope.assetContext,
+        staleState: null
+      };
+      const documentLoader = createDocumentLoader({
+        offline,
+        fetch: (query, params) => retry("Referenced documents", () => fetch(query, params, scope))
+      });
+      scope.referenceContext = {
+        loadDocuments: ids => documentLoader.loadMany(ids),
+        clearDocuments: () => documentLoader.clear()
+      };
+      perspectives.set(scopePerspective, scope);
+    }
+    return perspectives.get(scopePerspective);
+  }
+
+  /**
+   * Runs the cache invalidation strategy and normalizes its result. Strategies
+   * may resolve to a boolean (applies to every loader) or to an object with
+   * `isStale` and the stale state per document type in `types`. Referenced
+   * documents loaded so far are cleared, as content may have changed.
+   * @param {Array<string>} documentTypes - The document types to check.
+   * @param {LoaderScope} scope - The dataset and perspective to check.
+   * @returns {Promise<{isStale: boolean, types: Object<string, boolean>|null}>} The normalized stale state.
+   */
+  async function checkStaleState(documentTypes, scope) {
+    scope.referenceContext.clearDocuments();
+    const context = { cacheDir: scope.cacheDir, cache: scope.cache, documentTypes, perspective: scope.perspective };
+    const state = await retry("Cache stale check", () => isCacheStaleFn(scope.client, context));
+    if (state && typeof state === "object") {
+      return { isStale: Boolean(state.isStale), types: state.types || {} };
+    }
+    return { isStale: Boolean(state), types: null };
+  }
 
-  async function getStaleState() {
+  /**
+   * Determines whether the cache is stale for a loader. Loaders with document
+   * types are only stale when one of their types changed, otherwise the
+   * state of the whole dataset is used. In "on-start" mode the types of all
+   * defined loaders are checked together in one request (per dataset and
+   * perspective).
+   * @param {Array<string>|null} documentTypes - The document types the loader depends on.
+   * @param {LoaderScope} scope - The dataset and perspective of the loader.
+   * @returns {Promise<boolean>} True if the loader's cache is stale.
+   */
+  async function getStaleState(documentTypes, scope) {
     if (invalidateCachePerCall) {
-      return Promise.resolve(isCacheStaleFn(client, { cacheDir }));
+      const state = await checkStaleState(documentTypes || [], scope);
+      return resolveStaleState(state, documentTypes);
     }
 
     // "on-start" logic (default)
-    if (onStartStaleState !== null) {
-      return onStartStaleState;
+    if (!scope.staleState) {
+      scope.staleState = checkStaleState([...trackedDocumentTypes], scope);
     }
 
-    if (onStartCheckPromise) {
-      return onStartCheckPromise;
+    // Loaders defined after the check need their types checked as well
+    const state = await scope.staleState;
+    if (getUncheckedTypes(state, documentTypes).length) {
+      scope.staleState = scope.staleState.then(async current => {
+        const unchecked = getUncheckedTypes(current, documentTypes);
+        if (!unchecked.length) return current;
+        const { types } = await checkStaleState(unchecked, scope);
+        return { ...current, types: { ...current.types, ...types } };
+      });
     }
 
-    onStartCheckPromise = Promise.resolve(isCacheStaleFn(client, { cacheDir })).then(isStale => {
-      onStartStaleState = isStale;
-      onStartCheckPromise = null;
-      return isStale;
-    });
-
-    return onStartCheckPromise;
+    return resolveStaleState(await scope.staleState, documentTypes);
   }
   
   /**
    * Executes a GROQ query against the Sanity API.
    * @param {string} query - The GROQ query to execute.
+   * @param {object|null} params - GROQ parameters passed along with the query.
+   * @param {{client: SanityClient, perspective: string|null}} scope - The client to query with and the perspective to query, the client's default if null.
    * @returns {Promise<any>} A promise that resolves with the query result.
    */
-  async function fetch(query) {
+  async function fetch(query, params, { client: scopeClient, perspective: queryPerspective }) {
     if (!query) {
       throw new Error("API: Incorrect query passed to fetch");
     }
-    return client.fetch(query);
+    if (offline) {
+      throw new Error("API: Unable to fetch in offline mode");
+    }
+    if (queryPerspective) {
+      return scopeClient.fetch(query, params || {}, { perspective: queryPerspective });
+    }
+    return params ? scopeClient.fetch(query, params) : scopeClient.fetch(query);
+  }
+
+  /**
+   * Fetches a query in pages using the `_id` of the last document as the
+   * cursor, each page is retried on its own. Queries that use `$lastId`
+   * handle the cursor themselves, the document set of other queries is
+   * filtered by the cursor, ordered by `_id` and sliced.
+   * @param {string} query - The GROQ query to execute.
+   * @param {object|null} params - GROQ parameters passed along with the query.
+   * @param {{pageSize: number, onPage: Function|null}} options - The paginate options.
+   * @param {string} label - Describes the query in log messages.
+   * @param {LoaderScope} scope - The dataset and perspective to query.
+   * @returns {Promise<Array<any>>} The documents of all pages.
+   */
+  async function fetchPages(query, params, { pageSize, onPage }, label, scope) {
+    const pageQuery = createPageQuery(query);
+    if (!pageQuery) {
+      throw new Error("defineLoader: Paginated queries must be a filtered document set with an optional projection (`*[filter]{...}`), or use `$lastId` and `$pageSize` to handle the cursor themselves.");
+    }
+    const results = [];
+    let lastId = "";
+    for (let index = 0; ; index++) {
+      const pageParams = { ...params, lastId, pageSize };
+      const page = await retry(`${label} page ${index + 1}`, () => fetch(pageQuery, pageParams, scope));
+      if (!Array.isArray(page)) {
+        throw new Error("defineLoader: Paginated queries must return an array.");
+      }
+      if (page.some(document => !document || typeof document._id !== "string")) {
+        throw new Error("defineLoader: Paginated queries must return documents with an `_id`, include it in the projection.");
+      }
+      if (verbose) log.log(`${label}: fetched page ${index + 1} (${page.length} documents)`);
+      results.push(...page);
+      if (onPage) await onPage(page, { index, lastId });
+      if (page.length < pageSize) {
+        return results;
+      }
+      const last = page[page.length - 1];
+      if (last._id <= lastId) {
+        throw new Error("defineLoader: Paginated queries must return documents ordered by `_id`.");
+      }
+      lastId = last._id;
+    }
+  }
+
+  /**
+   * Fetches only what changed in a cached collection since its sync point
+   * (documents updated since, and the IDs of all documents) and merges it.
+   * @param {string} query - The collection query.
+   * @param {object|null} params - GROQ parameters passed along with the query.
+   * @param {Array<object>} previous - The cached documents.
+   * @param {string} label - Describes the query in log messages.
+   * @param {LoaderScope} scope - The dataset and perspective to query.
+   * @returns {Promise<Array<object>>} The updated documents.
+   */
+  async function fetchChanges(query, params, previous, label, scope) {
+    const syncedAt = getSyncPoint(previous);
+    const delta = await retry(label, () => fetch(createDeltaQuery(query), { ...params, syncedAt }, scope));
+    const changed = delta.changed || [];
+    const ids = (delta.ids || []).map(({ _id }) => _id);
+    let merged = mergeDelta(previous, { changed, ids });
+    // Documents can join a collection without being updated (e.g. filters on dates)
+    if (merged.missing.length) {
+      const added = await retry(label, () => fetch(createDocumentsQuery(query), { ...params, ids: merged.missing }, scope));
+      merged = mergeDelta(previous, { changed: [...changed, ...added], ids });
+    }
+    if (verbose) log.log(`${label}: synced ${changed.length} changed, ${merged.removed} removed`);
+    return merged.result;
+  }
+
+  /**
+   * Runs a network request with the configured retries and backoff.
+   * @param {string} label - Describes the request in log messages.
+   * @param {() => Promise<any>} fn - The request to run.
+   * @returns {Promise<any>} The result of the request.
+   */
+  function retry(label, fn) {
+    return withRetry(fn, {
+      ...retryOptions,
+      onRetry(error, attempt, delay) {
+        log.warn(`${label} failed (${error.message}), retry ${attempt} of ${retryOptions.retries} in ${delay}ms`);
+      }
+    });
   }
 
   /**
@@ -110,161 +505,802 @@ export function createSanityLoader(config) {
   }
 
   /**
-   * Gets the full filesystem path for a cached query result.
+   * Gets the cache key for a query and its parameters. Queries without
+   * parameters use the `queryName` as is, each distinct parameter set
+   * gets its own entry suffixed with a stable hash of the parameters.
    * @param {string} queryName - The name of the query.
-   * @returns {string} The absolute path to the cache file.
+   * @param {object} [params] - The GROQ parameters.
+   * @returns {string} The cache key.
    */
-  function getCacheFilepath(queryName) {
-    return path.join(cacheDir, `${queryName}.json`);
+  function getCacheKey(queryName, params) {
+    return params ? `${queryName}.${hashValue(params)}` : queryName;
   }
 
   /**
-   * Writes a query result to the cache.
+   * Writes a query result to the cache, along with the time it was fetched.
    * @param {any} result - The result from the Sanity fetch.
    * @param {string} queryName - The name of the query to cache.
    * @param {string} [expectedVersion] - The cache version.
    * @param {string} query - The GROQ query string.
+   * @param {object} [params] - The GROQ parameters used for the query.
+   * @param {LoaderScope} scope - The dataset and perspective the result belongs to.
    */
-  function cacheResult(result, queryName, expectedVersion, query) {
-    const data = { result, version: expectedVersion, query };
-    const filepath = getCacheFilepath(queryName);
+  async function cacheResult(result, queryName, expectedVersion, query, params, scope) {
+    const data = { result, version: expectedVersion, query, params, fetchedAt: new Date().toISOString() };
     try {
-      fs.ensureDirSync(path.dirname(filepath));
-      fs.writeFileSync(filepath, JSON.stringify(data));
+      await scope.cache.set(getCacheKey(queryName, params), data);
     } catch (err) {
       log.error(err);
     }
   }
 
   /**
-   * Loads a query result from the cache if it exists and the version matches.
+   * Gets the cache entry for a query if it exists and matches the current
+   * query, parameters and version.
    * @param {string} queryName - The name of the query to load.
    * @param {string} [expectedVersion] - The expected cache version.
-   * @param {boolean} isStale - Whether the cache is considered stale.
    * @param {string} currentQuery - The current GROQ query string.
-   * @returns {any|null} The cached result, or null if not found or version mismatch.
+   * @param {object} [currentParams] - The current GROQ parameters.
+   * @param {LoaderScope} scope - The dataset and perspective of the query.
+   * @returns {Promise<CacheEntry|null>} The cache entry, or null if not found or mismatched.
    */
-  function loadFromCache(queryName, expectedVersion, isStale, currentQuery) {
-    const filepath = getCacheFilepath(queryName);
-    if (fs.existsSync(filepath)) {
-      // If content is stale, don't even bother reading the file.
-      if (isStale) return null;
+  async function getCacheEntry(queryName, expectedVersion, currentQuery, currentParams, scope) {
+    try {
+      const entry = await scope.cache.get(getCacheKey(queryName, currentParams));
+      if (!entry) return null;
 
-      const file = fs.readFileSync(filepath);
-      try {
-        const { result, version, query: cachedQuery } = JSON.parse(file.toString());
-        // If the query has changed, invalidate the cache.
-        if (currentQuery !== cachedQuery) {
-          return null;
-        }
-        // If using manual versioning, it's the only thing that matters.
-        if (expectedVersion) {
-          return version === expectedVersion ? result : null;
-        }
-        // If not stale and not manually versioned, we can trust the cache.
-        return result;
-      } catch (err) {
-        log.error(err);
+      const { version, query: cachedQuery, params: cachedParams } = entry;
+      // If the query or its parameters have changed, invalidate the cache.
+      if (currentQuery !== cachedQuery) {
+        return null;
+      }
+      if (stableStringify(currentParams || null) !== stableStringify(cachedParams || null)) {
+        return null;
       }
+      // If using manual versioning, it's the only thing that matters.
+      if (expectedVersion) {
+        return version === expectedVersion ? entry : null;
+      }
+      return entry;
+    } catch (err) {
+      log.error(err);
     }
     return null;
   }
 
+  /**
+   * Loads a query result from the cache if it exists and the version matches.
+   * @param {string} queryName - The name of the query to load.
+   * @param {string} [expectedVersion] - The expected cache version.
+   * @param {boolean} isStale - Whether the cache is considered stale.
+   * @param {string} currentQuery - The current GROQ query string.
+   * @param {object} [currentParams] - The current GROQ parameters.
+   * @param {LoaderScope} scope - The dataset and perspective of the query.
+   * @returns {Promise<any|null>} The cached result, or null if not found or version mismatch.
+   */
+  async function loadFromCache(queryName, expectedVersion, isStale, currentQuery, currentParams, scope) {
+    // If content is stale, don't even bother reading the entry.
+    if (isStale) return null;
+    // If not stale, we can trust a matching entry.
+    const entry = await getCacheEntry(queryName, expectedVersion, currentQuery, currentParams, scope);
+    return entry ? entry.result : null;
+  }
+
+  /**
+   * Refetches a query (and the documents it references) in the background
+   * and updates its cache entry, emits "revalidated" when the result differs
+   * from the previous one. Concurrent revalidations of the same entry are
+   * deduplicated.
+   * @param {object} options - The revalidation options.
+   * @param {string} options.queryName - The name of the query.
+   * @param {string} [options.expectedVersion] - The cache version.
+   * @param {string} options.query - The GROQ query string.
+   * @param {object} [options.params] - The GROQ parameters.
+   * @param {any} options.previous - The currently cached result.
+   * @param {(label: string) => Promise<any>} options.load - Fetches the result to cache.
+   * @param {LoaderScope} options.scope - The dataset and perspective of the query.
+   * @returns {Promise<void>} Resolves when done, never rejects.
+   */
+  function revalidate({ queryName, expectedVersion, query, params, previous, load, scope }) {
+    const key = getScopedKey(getCacheKey(queryName, params), scope);
+    if (revalidating.has(key)) {
+      return revalidating.get(key);
+    }
+    const label = `Revalidate query (${key})`;
+    // Taken now, as the cached result is localized and transformed in place
+    // while the refetch is running
+    const previousSnapshot = stableStringify(previous);
+    scope.referenceContext.clearDocuments();
+    const promise = load(label)
+      .then(async result => {
+        await cacheResult(result, queryName, expectedVersion, query, params, scope);
+        if (stableStringify(result) !== previousSnapshot) {
+          if (verbose) log.log(`${label} updated the cache`);
+          events.emit("revalidated", { queryName, params, dataset: scope.dataset, perspective: scope.perspective, result });
+        }
+      })
+      .catch(error => {
+        log.error(`${label} failed: ${error.message}`);
+        events.emit("revalidateError", { queryName, params, dataset: scope.dataset, perspective: scope.perspective, error });
+      })
+      .finally(() => revalidating.delete(key));
+    revalidating.set(key, promise);
+    return promise;
+  }
+
   /**
    * Downloads an asset from a URL, saves it locally, and returns the public path.
+   * Redirects are followed and the file is only written once the download is
+   * complete, failed downloads never leave a (partial) file behind. Each
+   * rendition (query string) of an asset is saved to its own file.
    * @param {string} url - The URL of the asset to download.
+   * @param {string} [filename] - Save as this filename (relative to `paths.assets`) instead of the one derived from the URL.
    * @returns {Promise<string|null>} A promise that resolves with the public path of the saved asset.
    */
-  async function saveAsset(url) {
+  async function saveAsset(url, filename) {
     if (!url) return null;
 
     await fs.ensureDir(pathConfig.assets);
 
-    const imageName = path.basename(new URL(url).pathname);
+    const defaultName = getAssetFilename(url);
+    const imageName = filename || (assetOptions.filename ? assetOptions.filename(new URL(url), defaultName) : defaultName);
     const localPath = path.join(pathConfig.assets, imageName);
     const publicPath = `${pathConfig.assetsPublic}/${imageName}`;
 
     if (await fs.pathExists(localPath)) {
+      assetManifest.record(imageName);
       return publicPath;
     }
 
-    return new Promise((resolve, reject) => {
-      const file = fs.createWriteStream(localPath);
-      https.get(url, (response) => {
-        response.pipe(file);
-        file.on("finish", () => {
-          file.close();
-          if (verbose) log.log(`Downloaded ${imageName}`);
-          resolve(publicPath);
-        });
-      }).on("error", (err) => {
-        fs.unlink(localPath, () => reject(err));
-        log.error(`Error downloading ${imageName}: ${err.message}`);
-        reject(err);
-      });
-    });
+    if (offline) {
+      log.warn(`Offline mode, asset ${imageName} has not been downloaded`);
+      return null;
+    }
+
+    try {
+      await downloadFile(url, localPath, assetOptions);
+      if (verbose) log.log(`Downloaded ${imageName}`);
+      assetManifest.record(imageName);
+      return publicPath;
+    } catch (err) {
+      log.error(`Error downloading ${imageName}: ${err.message}`);
+      throw err;
+    }
+  }
+
+  /**
+   * Removes files in `paths.assets` that no loader referenced in the
+   * current run, according to the asset manifest. Loaders record the assets
+   * they save each time they run, so run all loaders (e.g. a full build)
+   * before pruning. Manifest entries of earlier runs are removed with them.
+   * @param {{dryRun?: boolean}} [options] - Set `dryRun` to only report what would be removed.
+   * @returns {Promise<PruneReport>} What was (or would be) removed and kept.
+   */
+  async function pruneAssets(options = {}) {
+    const referenced = await assetManifest.getReferencedFiles();
+    if (!referenced.size) {
+      throw new Error("pruneAssets: No asset references recorded in this run, run your loaders before pruning.");
+    }
+    const report = await pruneAssetFiles(pathConfig.assets, referenced, options);
+    if (!report.dryRun) {
+      await assetManifest.expire();
+    }
+    const action = report.dryRun ? "Would remove" : "Removed";
+    log.log(`${action} ${report.removed.length} unused asset(s), kept ${report.kept.length}`);
+    if (verbose || report.dryRun) {
+      report.removed.forEach(file => log.log(`  ${file}`));
+    }
+    return report;
+  }
+
+  /**
+   * Generates TypeScript declarations for the results of every `.groq` file
+   * in `paths.queries` and every defined loader. Types come from a JSON
+   * Schema (passed in `schemas` or the loader's `schema`) or are inferred
+   * from the cached results of the current query, so run the loaders (e.g. a
+   * build) first. Results are typed as cached, before `transform`. Loaders
+   * localizing fields resolve to a different shape than cached, so their
+   * inferred types are left out of `LoaderResults`.
+   * @param {{output?: string|null, schemas?: Object<string, object>}} [options] - The file to write (the code is only returned if not set) and JSON Schemas by query name.
+   * @returns {Promise<{code: string, sources: Object<string, "schema"|"cache"|null>}>} The declarations and where the type of each query came from.
+   */
+  async function generateTypes({ output = null, schemas = {} } = {}) {
+    const queries = new Map(listQueryFiles(pathConfig.queries).map(queryName => [queryName, {}]));
+    typedLoaders.forEach((loader, queryName) => queries.set(queryName, loader));
+
+    const entries = [];
+    const sources = {};
+    for (const queryName of [...queries.keys()].sort()) {
+      const loader = queries.get(queryName);
+      const schema = schemas[queryName] || (loader.schema && typeof loader.schema === "object" ? loader.schema : null);
+      const query = loader.query || getQuery(queryName);
+      const samples = await getCachedResults(queryName, query, loader.scope || getScope(null, perspective));
+      // Schemas validate results after `localizeFields`, cached results are from before
+      entries.push({ queryName, schema, samples, omit: Boolean(loader.localized && !schema) });
+      sources[queryName] = schema ? "schema" : samples.length ? "cache" : null;
+      if (!sources[queryName]) {
+        log.warn(`generateTypes: No cached result or schema for query "${queryName}", typed as unknown`);
+      }
+    }
+
+    const code = generateTypeDeclarations(entries);
+    if (output) {
+      await fs.outputFile(output, code);
+      log.log(`Generated types for ${entries.length} quer${entries.length === 1 ? "y" : "ies"} in ${output}`);
+    }
+    return { code, sources };
+  }
+
+  /**
+   * Gets the cached results of a query (one per parameter set), skipping
+   * entries cached for a different version of the query.
+   * @param {string} queryName - The name of the query.
+   * @param {string} query - The current GROQ query.
+   * @param {LoaderScope} scope - The dataset and perspective the results are cached in.
+   * @returns {Promise<Array<any>>} The results.
+   */
+  async function getCachedResults(queryName, query, scope) {
+    const pattern = new RegExp(`^${escapeRegExp(queryName)}(?:\\.[0-9a-f]{12})?$`);
+    const keys = (await scope.cache.list()).filter(key => pattern.test(key));
+    const results = [];
+    for (const key of keys) {
+      const entry = await scope.cache.get(key);
+      if (entry && entry.query === query) {
+        results.push(entry.result);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Gets the document types a loader depends on, either declared in its
+   * options or inferred from its query.
+   * @param {object} loaderConfig - The loader options.
+   * @returns {Array<string>|null} The document types, or null if unknown.
+   */
+  function getDocumentTypes({ documentTypes, query, queryName, resolveReferences }) {
+    if (documentTypes && documentTypes.length) {
+      return documentTypes;
+    }
+    // Resolved references can be documents of any type
+    if (resolveReferences) {
+      return null;
+    }
+    try {
+      return inferDocumentTypes(query || getQuery(queryName));
+    } catch {
+      // Missing query files are reported when the loader runs
+      return null;
+    }
   }
 
   /**
    * Defines a loader for a specific query, handling caching, fetching, and transformation.
-   * @param {object} options - The loader options.
-   * @returns {() => Promise<any>} An async function that executes the loader and returns the transformed data.
+   * @param {LoaderOptions} options - The loader options.
+   * @returns {Loader} An async function that executes the loader and returns the transformed data.
+   * - Accepts GROQ parameters which are merged over the loader's `params` option.
+   * - Information about the last call to finish is available on its `meta` property.
    */
   function defineLoader(options) {
     const loaderConfig = { ...loaderDefaults, ...options };
-    const { query, queryName, transform, cacheEnabled, expectedVersion } = loaderConfig;
+    const { query, queryName, transform, cacheEnabled, expectedVersion, maxAge, staleWhileRevalidate, incremental, localeParam, schema, onInvalid } = loaderConfig;
+    const loaderPerspective = assertPerspective(loaderConfig.perspective, "defineLoader") || perspective;
+    const datasets = assertList(loaderConfig.datasets, "datasets", "dataset names");
+    const locales = assertList(loaderConfig.locales, "locales", "locales");
+    if (!invalidModes.includes(onInvalid)) {
+      throw new Error(`defineLoader: \`onInvalid\` must be one of ${invalidModes.join(", ")}.`);
+    }
+    const scopes = datasets ? datasets.map(dataset => getScope(dataset, loaderPerspective)) : [getScope(null, loaderPerspective)];
+    const documentTypes = cacheEnabled ? getDocumentTypes(loaderConfig) : null;
+    const fallbackToStaleCache = loaderConfig.fallbackToStaleCache ?? settings.fallbackToStaleCache;
+    const localizeOptions = resolveFeatureOptions(loaderConfig.localizeAssets, localizeAssetsDefaults);
+    const referenceOptions = resolveFeatureOptions(loaderConfig.resolveReferences, resolveReferencesDefaults);
+    const paginateOptions = resolveFeatureOptions(loaderConfig.paginate, paginateDefaults);
+    const fieldOptions = resolveFeatureOptions(loaderConfig.localizeFields, { ...localizeFieldsDefaults, locales });
+    // Changes are merged into the cached result, whose references were
+    // resolved when it was fetched, so unchanged documents would keep them
+    if (incremental && referenceOptions) {
+      throw new Error("defineLoader: `incremental` can't be combined with `resolveReferences`, the references of unchanged documents would not be updated.");
+    }
+    if (queryName) {
+      typedLoaders.set(queryName, { query, schema, scope: scopes[0], localized: Boolean(fieldOptions) });
+    }
+
+    /**
+     * Fetches the result and resolves its references (if enabled), before
+     * it's cached so cached results include the referenced documents. In
+     * incremental mode only the changes to the cached result are fetched,
+     * otherwise the whole result (in pages if enabled).
+     * @param {string} queryString - The GROQ query.
+     * @param {object|null} params - The GROQ parameters.
+     * @param {string} label - Describes the query in log messages.
+     * @param {LoaderScope} scope - The dataset and perspective to query.
+     * @returns {Promise<any>} The result to cache.
+     */
+    async function load(queryString, params, label, scope) {
+      const previous = incremental ? await getCacheEntry(queryName, expectedVersion, queryString, params, scope) : null;
+      const canSync = previous && getSyncPoint(previous.result) !== null;
+      if (previous && !canSync) {
+        log.warn(`${label}: incremental sync needs an array of documents with \`_id\` and \`_updatedAt\`, fetching everything`);
+      }
+      let result;
+      if (canSync) {
+        result = await fetchChanges(queryString, params, previous.result, label, scope);
+      } else if (paginateOptions) {
+        result = await fetchPages(queryString, params, paginateOptions, label, scope);
+      } else {
+        result = await retry(label, () => fetch(queryString, params, scope));
+      }
+      return referenceOptions ? resolveReferences(result, scope.referenceContext, referenceOptions) : result;
+    }
+
+    /**
+     * Validates the result against the loader's schema. Depending on
+     * `onInvalid` an error listing every issue is thrown, the issues are
+     * logged, or invalid items are removed from array results.
+     * @param {any} result - The result.
+     * @param {LoaderMeta} meta - Receives the issues.
+     * @param {string} cacheLabel - Describes the query in messages.
+     * @returns {Promise<any>} The result, without invalid items in "filter" mode.
+     */
+    async function applySchema(result, meta, cacheLabel) {
+      const { issues, invalid } = await validateResult(result, schema);
+      meta.issues = issues.map(issue => ({ ...issue, queryName }));
+      if (!issues.length) {
+        return result;
+      }
+      const details = formatIssues(issues);
+      if (onInvalid === "filter" && Array.isArray(result)) {
+        log.warn(`Removed ${invalid.size} invalid item(s) from the result of query (${cacheLabel}):
+${details}`);
+        return result.filter((item, index) => !invalid.has(index));
+      }
+      const message = `Result of query (${cacheLabel}) has ${issues.length} validation issue(s):
+${details}`;
+      if (onInvalid === "warn") {
+        log.warn(message);
+        return result;
+      }
+      const error = new Error(`defineLoader: ${message}`);
+      error.issues = meta.issues;
+      throw error;
+    }
+
+    /**
+     * Resolves internationalized fields, validates the result and localizes
+     * assets (if enabled) and transforms the result, recording the assets
+     * saved along the way in the asset manifest.
+     * @param {any} result - The raw result.
+     * @param {string} manifestKey - The key assets are recorded under.
+     * @param {LoaderScope} scope - The dataset the result is from.
+     * @param {string} [locale] - The locale of the result.
+     * @param {LoaderMeta} meta - Receives validation issues.
+     * @param {string} cacheLabel - Describes the query in messages.
+     * @returns {Promise<any>} The final result.
+     */
+    function finalize(result, manifestKey, scope, locale, meta, cacheLabel) {
+      return assetManifest.track(manifestKey, queryName, async () => {
+        if (fieldOptions) {
+          result = localizeFields(result, locale, fieldOptions);
+        }
+        if (schema) {
+          result = await applySchema(result, meta, cacheLabel);
+        }
+        if (localizeOptions) {
+          await localizeAssets(result, scope.assetContext, localizeOptions);
+        }
+        return transform ? await transform(result) : result;
+      });
+    }
+
+    if (documentTypes) {
+      documentTypes.forEach(type => trackedDocumentTypes.add(type));
+    }
 
-    return async function run() {
+    /**
+     * Runs the loader against one dataset (with one set of parameters).
+     * @param {LoaderScope} scope - The dataset and perspective to load from.
+     * @param {object} [callParams] - The GROQ parameters passed to the loader.
+     * @param {LoaderMeta} meta - Receives information about the run.
+     * @returns {Promise<any>} The final result.
+     */
+    async function runInScope(scope, callParams, meta) {
+      const params = resolveParams(loaderConfig.params, callParams);
+      const name = datasets ? `${queryName} [${scope.dataset}]` : queryName;
+      const cacheLabel = params ? `${name} ${stableStringify(params)}` : name;
       try {
         if (cacheEnabled && !queryName) {
           throw new Error("defineLoader: `queryName` is required for caching.");
         }
 
-        let isStale = true;
-        if (cacheEnabled) {
-          isStale = await getStaleState();
-          if (isStale && verbose) {
-            log.log(`Cache is stale for query (${queryName})`);
-          }
+        if (offline && !cacheEnabled) {
+          throw new Error(`defineLoader: Offline mode requires caching, query (${cacheLabel}) has caching disabled.`);
         }
-        
-        let result;
 
         const queryString = query || (queryName ? getQuery(queryName) : null);
         if (!queryString) {
           throw new Error("defineLoader: `query` or `queryName` must be provided.");
         }
 
-        const cache = cacheEnabled ? loadFromCache(queryName, expectedVersion, isStale, queryString) : null;
+        const locale = params ? params[localeParam] : undefined;
+        if (fieldOptions && typeof locale !== "string") {
+          throw new Error(`defineLoader: \`localizeFields\` needs a locale, set \`locales\` or pass the \`${localeParam}\` parameter.`);
+        }
+        const manifestKey = getScopedKey(getCacheKey(queryName || `query-${hashValue(queryString)}`, params), scope);
+
+        // Time based modes are served from cache without a staleness check
+        if (cacheEnabled && !offline && (maxAge !== null || staleWhileRevalidate)) {
+          const entry = await getCacheEntry(queryName, expectedVersion, queryString, params, scope);
+          const isFresh = entry && isWithinMaxAge(entry, maxAge);
+          if (entry && (isFresh || staleWhileRevalidate)) {
+            if (!isFresh) {
+              revalidate({
+                queryName,
+                expectedVersion,
+                query: queryString,
+                params,
+                previous: entry.result,
+                load: label => load(queryString, params, label, scope),
+                scope
+              });
+            }
+            log.log(`Loaded query (${cacheLabel}) data from cache`);
+            meta.source = "cache";
+            return await finalize(entry.result, manifestKey, scope, locale, meta, cacheLabel);
+          }
+        }
+
+        const canFallback = cacheEnabled && fallbackToStaleCache;
+        let isStale = true;
+        let staleCheckError = null;
+        if (offline) {
+          isStale = false;
+        } else if (cacheEnabled) {
+          try {
+            isStale = await getStaleState(documentTypes, scope);
+          } catch (error) {
+            if (!canFallback) throw error;
+            staleCheckError = error;
+          }
+          if (isStale && verbose) {
+            log.log(`Cache is stale for query (${cacheLabel})`);
+          }
+        }
+        
+        let result;
+
+        const cached = cacheEnabled ? await loadFromCache(queryName, expectedVersion, isStale, queryString, params, scope) : null;
 
-        if (cache) {
-          log.log(`Loaded query (${queryName}) data from cache`);
-          result = cache;
+        if (cached) {
+          log.log(`Loaded query (${cacheLabel}) data from cache`);
+          result = cached;
+          meta.source = "cache";
+        } else if (offline) {
+          const key = getScopedKey(getCacheKey(queryName, params), scope);
+          const mismatched = await scope.cache.get(getCacheKey(queryName, params));
+          if (mismatched) {
+            throw new Error(`defineLoader: Offline mode, the cache entry for query (${cacheLabel}) is for a different query or version, key "${key}"`);
+          }
+          throw new Error(`defineLoader: Offline mode, no cache entry for query (${cacheLabel}), key "${key}"`);
         } else {
-          log.log(`Fetching fresh data for query (${queryName})`);
-          result = await fetch(queryString);
-          if (cacheEnabled) {
-            cacheResult(result, queryName, expectedVersion, queryString);
+          try {
+            if (staleCheckError) throw staleCheckError;
+            log.log(`Fetching fresh data for query (${cacheLabel})`);
+            result = await load(queryString, params, `Fetch for query (${cacheLabel})`, scope);
+            meta.source = "fetch";
+            if (cacheEnabled) {
+              await cacheResult(result, queryName, expectedVersion, queryString, params, scope);
+            }
+          } catch (error) {
+            const staleCache = canFallback ? await loadFromCache(queryName, expectedVersion, false, queryString, params, scope) : null;
+            if (!staleCache) throw error;
+            log.warn(`Unable to fetch query (${cacheLabel}), using stale cache instead: ${error.message}`);
+            result = staleCache;
+            Object.assign(meta, { source: "cache", usedStaleCache: true, error });
           }
         }
 
-        return transform ? await transform(result) : result;
+        return await finalize(result, manifestKey, scope, locale, meta, cacheLabel);
 
       } catch (error) {
-        log.error(queryName, error.toString());
+        meta.error = error;
+        log.error(cacheLabel, error.toString());
         throw error;
       }
-    };
+    }
+
+    /**
+     * Runs the loader against a dataset, once per locale if `locales` are set
+     * (with the locale as a parameter, so each locale is cached on its own).
+     * @param {LoaderScope} scope - The dataset and perspective to load from.
+     * @param {object} [callParams] - The GROQ parameters passed to the loader.
+     * @param {LoaderMeta} datasetMeta - Receives information about the run.
+     * @returns {Promise<any>} The final result, or the results by locale.
+     */
+    function runDataset(scope, callParams, datasetMeta) {
+      if (!locales) {
+        return runInScope(scope, callParams, datasetMeta);
+      }
+      return runEach(locales, datasetMeta, "locales", (locale, localeMeta) => {
+        return runInScope(scope, { ...callParams, [localeParam]: locale }, localeMeta);
+      });
+    }
+
+    /**
+     * Runs the loader. Each call records its own meta, which replaces the
+     * loader's `meta` when the call finishes, so concurrent calls (e.g. with
+     * different parameters) don't overwrite each other's while running.
+     * @param {object} [callParams] - The GROQ parameters passed to the loader.
+     * @returns {Promise<any>} The final result, or the results by dataset or locale.
+     */
+    async function run(callParams) {
+      const meta = createLoaderMeta();
+      try {
+        if (!datasets) {
+          return await runDataset(scopes[0], callParams, meta);
+        }
+        return await runEach(datasets, meta, "datasets", (dataset, datasetMeta) => {
+          return runDataset(scopes[datasets.indexOf(dataset)], callParams, datasetMeta);
+        });
+      } finally {
+        run.meta = meta;
+      }
+    }
+
+    run.meta = createLoaderMeta();
+    return run;
   }
 
   return {
     client,
+    cache,
+    events,
     defineLoader,
     imageUrl: (source) => imageUrlBuilder.image(source),
     utils: {
       fixPortableText,
-      saveAsset
+      repairPortableText,
+      portableTextToPlainText,
+      getExcerpt,
+      getReadingTime,
+      getHeadings,
+      localizeFields: (value, locale, options) => localizeFields(value, locale, { ...localizeFieldsDefaults, ...options }),
+      resolveReferences: (value, options) => resolveReferences(value, getScope(null, perspective).referenceContext, { ...resolveReferencesDefaults, ...options }),
+      portableTextToHtml: (blocks, options) => portableTextToHtml(blocks, { imageUrl: source => imageUrlBuilder.image(source), ...options }),
+      portableTextToMarkdown: (blocks, options) => portableTextToMarkdown(blocks, { imageUrl: source => imageUrlBuilder.image(source), ...options }),
+      saveAsset,
+      saveImageSet: (source, options) => saveImageSet(source, getDatasetScope(null).assetContext, options),
+      saveFileAsset: (fileOrRef, options) => saveFileAsset(fileOrRef, getDatasetScope(null).assetContext, options),
+      pruneAssets,
+      getAssetManifest: () => assetManifest.getEntries(),
+      generateTypes
     },
     config: settings
   };
 }
+
+/**
+ * Merges the loader's fixed parameters with those passed at call time.
+ * @param {object} [fixedParams] - Parameters from the loader options.
+ * @param {object} [callParams] - Parameters passed when running the loader.
+ * @returns {object|null} The merged parameters, or null if there are none.
+ */
+function resolveParams(fixedParams, callParams) {
+  const params = { ...fixedParams, ...callParams };
+  return Object.keys(params).length ? params : null;
+}
+
+/**
+ * Prefixes a key with the cache namespace of a scope, for state kept
+ * outside the namespaced cache adapter (revalidations, the asset manifest).
+ * @param {string} key - The key.
+ * @param {LoaderScope} scope - The dataset and perspective.
+ * @returns {string} The scoped key.
+ */
+function getScopedKey(key, scope) {
+  return scope.namespace ? `${scope.namespace}/${key}` : key;
+}
+
+/**
+ * Gets the cache namespace of a dataset from the client config.
+ * @param {boolean|((config: {projectId: string, dataset: string, apiVersion: string}) => string)} option - The `cacheNamespace` option.
+ * @param {{projectId?: string, dataset?: string, apiVersion?: string}} clientConfig - The config of the client querying the dataset.
+ * @returns {string} The namespace, empty if disabled.
+ */
+function getCacheNamespace(option, { projectId, dataset, apiVersion = "1" }) {
+  if (!option) {
+    return "";
+  }
+  if (typeof option === "function") {
+    return option({ projectId, dataset, apiVersion }) || "";
+  }
+  return [projectId, dataset, apiVersion].join("/");
+}
+
+/**
+ * Gets the cache namespace of a perspective within the dataset's namespace.
+ * Only the published perspective is stored in the dataset's namespace itself,
+ * clients without a perspective query the API's default (which depends on
+ * the API version) so they get a namespace of their own.
+ * @param {string|Array<string>|undefined} perspective - The perspective queried.
+ * @returns {string} The namespace, empty for the published perspective.
+ */
+function getPerspectiveNamespace(perspective) {
+  if (perspective === "published") {
+    return "";
+  }
+  if (Array.isArray(perspective)) {
+    return perspective.join("+");
+  }
+  return perspective || "default";
+}
+
+/**
+ * Validates a loader option that lists names (e.g. `datasets`).
+ * @param {Array<string>|null} [list] - The option value.
+ * @param {string} option - The option name.
+ * @param {string} description - What the names are, for the error message.
+ * @returns {Array<string>|null} The names without duplicates, null if not set.
+ */
+function assertList(list, option, description) {
+  if (list === null || list === undefined) {
+    return null;
+  }
+  if (!Array.isArray(list) || !list.length || list.some(name => !name || typeof name !== "string")) {
+    throw new Error(`defineLoader: \`${option}\` must be a non-empty array of ${description}.`);
+  }
+  return [...new Set(list)];
+}
+
+/**
+ * Runs a loader once per key (dataset or locale) in parallel. Resolves to
+ * the results labeled by key, or rejects with the first error once every run
+ * has finished. The meta of each run is added to `meta[property]`.
+ * @param {Array<string>} keys - The keys.
+ * @param {LoaderMeta} meta - Receives the combined meta.
+ * @param {string} property - The meta property for the meta of each run.
+ * @param {(key: string, runMeta: LoaderMeta) => Promise<any>} runOne - Runs the loader for a key.
+ * @returns {Promise<Object<string, any>>} The results by key.
+ */
+async function runEach(keys, meta, property, runOne) {
+  const runs = keys.map(() => createLoaderMeta());
+  const settled = await Promise.allSettled(keys.map((key, index) => runOne(key, runs[index])));
+  Object.assign(meta, mergeLoaderMeta(runs), {
+    [property]: Object.fromEntries(keys.map((key, index) => [key, runs[index]]))
+  });
+  const failed = settled.find(({ status }) => status === "rejected");
+  if (failed) {
+    throw failed.reason;
+  }
+  return Object.fromEntries(settled.map(({ value }, index) => [keys[index], value]));
+}
+
+/**
+ * Combines the meta of a loader's runs (per dataset or locale), the source
+ * is "cache" only if every run was loaded from cache.
+ * @param {Array<LoaderMeta>} runs - The meta of each run.
+ * @returns {LoaderMeta} The combined meta.
+ */
+function mergeLoaderMeta(runs) {
+  const sources = runs.map(({ source }) => source);
+  let source = "cache";
+  if (sources.includes(null)) {
+    source = null;
+  } else if (sources.includes("fetch")) {
+    source = "fetch";
+  }
+  return {
+    source,
+    usedStaleCache: runs.some(({ usedStaleCache }) => usedStaleCache),
+    error: runs.find(({ error }) => error)?.error || null,
+    issues: runs.flatMap(({ issues }) => issues)
+  };
+}
+
+/**
+ * Creates the meta of a loader run before it starts.
+ * @returns {LoaderMeta} The meta.
+ */
+function createLoaderMeta() {
+  return { source: null, usedStaleCache: false, error: null, issues: [] };
+}
+
+/**
+ * Validates a `perspective` option.
+ * @param {string|null} [perspective] - The perspective.
+ * @param {string} context - Prefix for the error message.
+ * @returns {string|null} The perspective, null if not set.
+ */
+function assertPerspective(perspective, context) {
+  if (perspective === null || perspective === undefined) {
+    return null;
+  }
+  if (!perspectives.includes(perspective)) {
+    throw new Error(`${context}: Unknown perspective "${perspective}", use one of ${perspectives.join(", ")}.`);
+  }
+  return perspective;
+}
+
+/**
+ * Resolves whether a loader is stale from a normalized stale state.
+ * @param {{isStale: boolean, types: Object<string, boolean>|null}} state - The stale state.
+ * @param {Array<string>|null} documentTypes - The document types the loader depends on.
+ * @returns {boolean} True if stale.
+ */
+function resolveStaleState(state, documentTypes) {
+  if (!state.types || !documentTypes) {
+    return state.isStale;
+  }
+  return documentTypes.some(type => state.types[type] !== false);
+}
+
+/**
+ * Gets the document types that a stale state has no result for.
+ * @param {{types: Object<string, boolean>|null}} state - The stale state.
+ * @param {Array<string>|null} documentTypes - The document types the loader depends on.
+ * @returns {Array<string>} The unchecked document types.
+ */
+function getUncheckedTypes(state, documentTypes) {
+  if (!state.types || !documentTypes) return [];
+  return documentTypes.filter(type => !(type in state.types));
+}
+
+/**
+ * Whether an environment variable flag is enabled.
+ * @param {string} [value] - The environment variable value.
+ * @returns {boolean} True for "1", "true" or "yes".
+ */
+function isEnvFlagSet(value) {
+  return ["1", "true", "yes"].includes(String(value).toLowerCase());
+}
+
+/**
+ * Lists the names of the `.groq` files in a directory and its
+ * subdirectories (e.g. `blog/posts`), as loaders reference them.
+ * @param {string} dir - The queries directory.
+ * @returns {Array<string>} The query names.
+ */
+function listQueryFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir, { recursive: true })
+    .map(file => String(file).split(path.sep).join("/"))
+    .filter(file => file.endsWith(".groq"))
+    .map(file => file.slice(0, -".groq".length))
+    .sort();
+}
+
+/**
+ * Escapes a string for use in a regular expression.
+ * @param {string} value - The string.
+ * @returns {string} The escaped string.
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Whether a cache entry is younger than a max age.
+ * @param {CacheEntry} entry - The cache entry.
+ * @param {number|null} maxAge - The max age in seconds.
+ * @returns {boolean} True if within the max age.
+ */
+function isWithinMaxAge(entry, maxAge) {
+  if (maxAge === null || maxAge === undefined || !entry.fetchedAt) {
+    return false;
+  }
+  return (Date.now() - Date.parse(entry.fetchedAt)) / 1000 < maxAge;
+}
+
+/**
+ * Resolves a loader option that is either a boolean or an options object
+ * (e.g. `localizeAssets`).
+ * @param {boolean|object} option - True for the defaults or an options object.
+ * @param {object} defaults - The default options.
+ * @returns {object|null} The resolved options, or null if disabled.
+ */
+function resolveFeatureOptions(option, defaults) {
+  if (!option) return null;
+  return { ...defaults, ...(option === true ? {} : option) };
+}
@@ -0,0 +1,113 @@
+/**
+ * @module @ulu/sanity-loader/locales
+ * @version 1.0.0
+ * @description
+ * Resolves field-level internationalized values (locale objects and
+ * internationalized arrays) to the value of one locale, with fallbacks.
+ */
+
+/**
+ * @typedef {object} LocalizeFieldsOptions
+ * @property {Array<string>|Object<string, Array<string>>} [fallback] - Locales to fall back to when a value is missing, either for every locale or per locale (e.g. `{ "fr-CA": ["fr", "en"] }`).
+ * @property {Array<string>|null} [locales] - Locales used in the content, values keyed by one of them (or the locale and its fallbacks) are internationalized.
+ */
+
+/**
+ * Matches keys that look like locales (e.g. `en`, `fr-CA`, `zh_Hant`).
+ * Three letter languages must be known, as they are easily confused with
+ * property names (`url`, `alt`).
+ */
+const localePattern = /^[a-z]{2}(?:[-_][A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Gets the locales to try for a locale, the locale itself followed by its
+ * fallbacks.
+ * @param {string} locale - The locale.
+ * @param {Array<string>|Object<string, Array<string>>} [fallback] - The fallback option.
+ * @returns {Array<string>} The locales in order.
+ */
+export function getFallbackChain(locale, fallback = []) {
+  const fallbacks = Array.isArray(fallback) ? fallback : fallback[locale] || [];
+  return [...new Set([locale, ...fallbacks])];
+}
+
+/**
+ * Resolves every internationalized value in a value to the value of a
+ * locale, trying its fallbacks in order when the value is missing (null,
+ * empty string or empty array). Values nobody translated resolve to null.
+ * Two shapes are recognized, objects whose keys (besides `_` properties like
+ * `_type`) are all locales (`{ _type: "localeString", en, fr }`), and arrays
+ * of values keyed by locale (`[{ _key: "en", value }]`, the language may also
+ * be in `language`). At least one key must be a known locale, the others
+ * known or at least look like locales. Mutates the value in place.
+ * @param {any} value - The value (query result).
+ * @param {string} locale - The locale to resolve to.
+ * @param {LocalizeFieldsOptions} [options] - The localize options.
+ * @returns {any} The value, the resolved value if it was internationalized itself.
+ */
+export function localizeFields(value, locale, options = {}) {
+  const { fallback = [], locales = null } = options;
+  const chain = getFallbackChain(locale, fallback);
+  const known = new Set([...(locales || []), ...chain]);
+  const root = { value };
+
+  (function walk(node) {
+    if (!node || typeof node !== "object") return;
+    const entries = Array.isArray(node) ? node.entries() : Object.entries(node);
+    for (const [key, child] of entries) {
+      const values = getLocaleValues(child, known);
+      if (values) {
+        node[key] = pickLocaleValue(values, chain);
+      }
+      walk(node[key]);
+    }
+  })(root);
+
+  return root.value;
+}
+
+/**
+ * Gets the values by locale of an internationalized value.
+ * @param {any} value - The value.
+ * @param {Set<string>} known - The known locales.
+ * @returns {Map<string, any>|null} The values by locale, or null if the value isn't internationalized.
+ */
+function getLocaleValues(value, known) {
+  if (!value || typeof value !== "object") {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    const isLocaleArray = value.length > 0 && value.every(item => item && typeof item === "object" && "value" in item);
+    if (!isLocaleArray) return null;
+    const entries = value.map(item => [item.language ?? item._key, item.value]);
+    return isLocaleKeys(entries.map(([key]) => key), known) ? new Map(entries) : null;
+  }
+  const keys = Object.keys(value).filter(key => !key.startsWith("_"));
+  return isLocaleKeys(keys, known) ? new Map(keys.map(key => [key, value[key]])) : null;
+}
+
+/**
+ * Whether keys are the locales of an internationalized value.
+ * @param {Array<any>} keys - The keys.
+ * @param {Set<string>} known - The known locales.
+ * @returns {boolean} True if one key is known and the others are known or look like locales.
+ */
+function isLocaleKeys(keys, known) {
+  return keys.some(key => known.has(key)) &&
+    keys.every(key => known.has(key) || (typeof key === "string" && localePattern.test(key)));
+}
+
+/**
+ * Picks the first value that isn't missing along the fallback chain.
+ * @param {Map<string, any>} values - The values by locale.
+ * @param {Array<string>} chain - The locales in order.
+ * @returns {any} The value, or null if missing in every locale.
+ */
+function pickLocaleValue(values, chain) {
+  for (const locale of chain) {
+    const value = values.get(locale);
+    const isMissing = value === undefined || value === null || value === "" || (Array.isArray(value) && !value.length);
+    if (!isMissing) return value;
+  }
+  return null;
+}
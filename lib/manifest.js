@@ -0,0 +1,181 @@
+/**
+ * @module @ulu/sanity-loader/manifest
+ * @version 1.0.0
+ * @description
+ * Tracks which downloaded assets are referenced by which loaders, so unused
+ * asset files can be pruned.
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import { AsyncLocalStorage } from "async_hooks";
+import { randomUUID } from "crypto";
+
+/**
+ * @typedef {import('./cache.js').CacheAdapter} CacheAdapter
+ */
+
+/**
+ * @typedef {object} AssetManifestEntry
+ * @property {string} queryName - The name of the query whose loader saved the files.
+ * @property {Array<string>} files - The asset filenames (relative to `paths.assets`).
+ * @property {string} updatedAt - When the entry was last updated (ISO date string).
+ * @property {string} runId - The run (`createSanityLoader` instance) that last recorded the entry.
+ */
+
+/**
+ * @typedef {object} PruneReport
+ * @property {boolean} dryRun - True if nothing was actually removed.
+ * @property {Array<string>} removed - Files that were removed (or would be, in a dry run).
+ * @property {Array<string>} kept - Files that are referenced and were kept.
+ */
+
+/**
+ * Name of the cache metadata record the manifest is stored in.
+ */
+const metadataName = "assetManifest";
+
+/**
+ * Creates an asset manifest. Assets saved while a loader runs (in its
+ * transform or through `localizeAssets`) are recorded for that loader's
+ * cache key, replacing what the previous run of the same key referenced.
+ * Each entry records the run it's from, only the entries of the current run
+ * count as referenced, so the assets of parameter sets and loaders that no
+ * longer run can be pruned. The manifest is persisted through the cache
+ * adapter's metadata.
+ * @param {CacheAdapter} cache - The cache adapter.
+ * @returns {object} The asset manifest.
+ */
+export function createAssetManifest(cache) {
+  const storage = new AsyncLocalStorage();
+  const runId = randomUUID();
+  // Files saved outside of loaders, only known for this process
+  const untracked = new Set();
+  let entries = null;
+  let saving = Promise.resolve();
+
+  async function load() {
+    if (!entries) {
+      const stored = await cache.getMeta(metadataName);
+      entries = (stored && stored.entries) || {};
+    }
+    return entries;
+  }
+
+  function save() {
+    saving = saving.then(() => cache.setMeta(metadataName, { entries }));
+    return saving;
+  }
+
+  return {
+    /**
+     * Runs a function, recording the assets saved during it for a key.
+     * @param {string} key - The loader's cache key.
+     * @param {string} queryName - The loader's query name.
+     * @param {() => Promise<any>} fn - The function to run.
+     * @returns {Promise<any>} The result of the function.
+     */
+    track(key, queryName, fn) {
+      const files = new Set();
+      return storage.run({ files }, async () => {
+        const result = await fn();
+        const current = await load();
+        const sorted = [...files].sort();
+        const previous = current[key];
+        const isUnchanged = previous && previous.runId === runId && previous.files.join("\n") === sorted.join("\n");
+        if (!isUnchanged) {
+          current[key] = { queryName, files: sorted, updatedAt: new Date().toISOString(), runId };
+          await save();
+        }
+        return result;
+      });
+    },
+    /**
+     * Records that an asset file was referenced.
+     * @param {string} filename - The filename relative to `paths.assets`.
+     */
+    record(filename) {
+      const context = storage.getStore();
+      if (context) {
+        context.files.add(filename);
+      } else {
+        untracked.add(filename);
+      }
+    },
+    /**
+     * Gets the manifest entries, keyed by loader cache key.
+     * @returns {Promise<Object<string, AssetManifestEntry>>} The entries.
+     */
+    async getEntries() {
+      return { ...await load() };
+    },
+    /**
+     * Gets every asset file referenced in the current run.
+     * @returns {Promise<Set<string>>} The referenced filenames.
+     */
+    async getReferencedFiles() {
+      const referenced = new Set(untracked);
+      Object.values(await load()).forEach(entry => {
+        if (entry.runId === runId) {
+          entry.files.forEach(file => referenced.add(file));
+        }
+      });
+      return referenced;
+    },
+    /**
+     * Removes the entries no loader recorded in the current run.
+     * @returns {Promise<Array<string>>} The keys of the removed entries.
+     */
+    async expire() {
+      const current = await load();
+      const expired = Object.keys(current).filter(key => current[key].runId !== runId);
+      if (expired.length) {
+        expired.forEach(key => delete current[key]);
+        await save();
+      }
+      return expired;
+    }
+  };
+}
+
+/**
+ * Removes files in the assets directory that are not referenced.
+ * @param {string} assetsDir - The assets directory.
+ * @param {Set<string>} referenced - The referenced filenames (relative to the directory).
+ * @param {{dryRun?: boolean}} [options] - The prune options.
+ * @returns {Promise<PruneReport>} What was (or would be) removed and kept.
+ */
+export async function pruneAssetFiles(assetsDir, referenced, { dryRun = false } = {}) {
+  const report = { dryRun, removed: [], kept: [] };
+  const files = await listFiles(assetsDir);
+  for (const file of files) {
+    if (referenced.has(file)) {
+      report.kept.push(file);
+    } else {
+      report.removed.push(file);
+      if (!dryRun) {
+        await fs.remove(path.join(assetsDir, file));
+      }
+    }
+  }
+  return report;
+}
+
+/**
+ * Lists all files in a directory recursively, as paths relative to it
+ * (using "/" separators to match public paths).
+ * @param {string} directory - The directory.
+ * @param {string} [prefix] - Prefix for nested directories.
+ * @returns {Promise<Array<string>>} The relative file paths.
+ */
+async function listFiles(directory, prefix = "") {
+  if (!await fs.pathExists(directory)) return [];
+  const dirents = await fs.readdir(directory, { withFileTypes: true });
+  const nested = await Promise.all(dirents.map(dirent => {
+    if (dirent.isDirectory()) {
+      return listFiles(path.join(directory, dirent.name), `${prefix}${dirent.name}/`);
+    }
+    return [`${prefix}${dirent.name}`];
+  }));
+  return nested.flat().sort();
+}
@@ -0,0 +1,164 @@
+/**
+ * @module @ulu/sanity-loader/metadata
+ * @version 1.0.0
+ * @description
+ * Batched loading and caching of asset documents, image metadata
+ * (dimensions, LQIP, dominant color and BlurHash) and file asset details
+ * (original filename, size and mime type).
+ */
+
+/**
+ * @typedef {import('./cache.js').CacheAdapter} CacheAdapter
+ */
+
+/**
+ * @typedef {object} ImageMetadata
+ * @property {number|null} width - The width of the original image.
+ * @property {number|null} height - The height of the original image.
+ * @property {number|null} aspectRatio - Width divided by height.
+ * @property {string|null} lqip - Low quality image placeholder (base64 data URL).
+ * @property {{background: string, foreground: string, title: string}|null} dominant - The dominant color swatch from the palette.
+ * @property {string|null} blurHash - The BlurHash of the image.
+ */
+
+/**
+ * @typedef {object} FileAssetDetails
+ * @property {string|null} url - The CDN URL of the file.
+ * @property {string|null} originalFilename - The filename the file was uploaded with.
+ * @property {number|null} size - The size in bytes.
+ * @property {string|null} mimeType - The mime type.
+ * @property {string|null} extension - The file extension.
+ */
+
+const imageMetadataProjection = "\"metadata\": metadata { dimensions, lqip, blurHash, \"dominant\": palette.dominant }";
+const fileDetailsProjection = "url, originalFilename, size, mimeType, extension";
+
+/**
+ * Converts Sanity's asset metadata (`asset->metadata`) to the ImageMetadata shape.
+ * @param {object} metadata - The asset metadata (or the projection used by the loader).
+ * @returns {ImageMetadata|null} The image metadata.
+ */
+export function normalizeImageMetadata(metadata) {
+  if (!metadata) return null;
+  const { dimensions = {}, lqip = null, blurHash = null } = metadata;
+  const dominant = metadata.dominant || (metadata.palette && metadata.palette.dominant) || null;
+  return {
+    width: dimensions.width ?? null,
+    height: dimensions.height ?? null,
+    aspectRatio: dimensions.aspectRatio ?? null,
+    lqip,
+    dominant,
+    blurHash
+  };
+}
+
+/**
+ * Picks the details of a file asset document.
+ * @param {object} asset - The asset document.
+ * @returns {FileAssetDetails|null} The file details.
+ */
+export function normalizeFileDetails(asset) {
+  if (!asset) return null;
+  const { url = null, originalFilename = null, size = null, mimeType = null, extension = null } = asset;
+  return { url, originalFilename, size, mimeType, extension };
+}
+
+/**
+ * Creates a loader for image asset metadata.
+ * @param {object} options - The loader options (see `createAssetDocumentLoader`).
+ * @param {CacheAdapter} options.cache - The cache adapter.
+ * @param {(query: string, params: object) => Promise<any>} options.fetch - Fetches from Sanity.
+ * @param {boolean} [options.offline] - Only use stored metadata, never fetch.
+ * @returns {{ loadMany: (ids: Array<string>) => Promise<Object<string, ImageMetadata|null>> }} The metadata loader.
+ */
+export function createImageMetadataLoader(options) {
+  return createAssetDocumentLoader({
+    ...options,
+    name: "imageMetadata",
+    projection: imageMetadataProjection,
+    normalize: ({ metadata }) => normalizeImageMetadata(metadata)
+  });
+}
+
+/**
+ * Creates a loader for file asset details.
+ * @param {object} options - The loader options (see `createAssetDocumentLoader`).
+ * @param {CacheAdapter} options.cache - The cache adapter.
+ * @param {(query: string, params: object) => Promise<any>} options.fetch - Fetches from Sanity.
+ * @param {boolean} [options.offline] - Only use stored details, never fetch.
+ * @returns {{ loadMany: (ids: Array<string>) => Promise<Object<string, FileAssetDetails|null>> }} The file details loader.
+ */
+export function createFileDetailsLoader(options) {
+  return createAssetDocumentLoader({
+    ...options,
+    name: "fileAssets",
+    projection: fileDetailsProjection,
+    normalize: normalizeFileDetails
+  });
+}
+
+/**
+ * Creates a loader for data from asset documents. Requests made in the same
+ * tick are batched into a single query, results are stored in the cache
+ * adapter's metadata (asset documents don't change), so they are only
+ * requested once.
+ * @param {object} options - The loader options.
+ * @param {CacheAdapter} options.cache - The cache adapter.
+ * @param {(query: string, params: object) => Promise<any>} options.fetch - Fetches from Sanity.
+ * @param {boolean} [options.offline] - Only use stored data, never fetch.
+ * @param {string} options.name - Name of the cache metadata record the data is stored in.
+ * @param {string} options.projection - The GROQ projection of the asset documents.
+ * @param {(document: object) => any} options.normalize - Converts a fetched document to the stored value.
+ * @returns {{ loadMany: (ids: Array<string>) => Promise<Object<string, any>> }} The loader.
+ */
+function createAssetDocumentLoader({ cache, fetch, offline = false, name, projection, normalize }) {
+  const query = `*[_id in $ids]{ _id, ${projection} }`;
+  let stored = null;
+  let batch = null;
+  let saving = Promise.resolve();
+
+  async function getStored() {
+    if (!stored) {
+      stored = await cache.getMeta(name) || {};
+    }
+    return stored;
+  }
+
+  async function flush(ids) {
+    const known = await getStored();
+    const missing = ids.filter(id => !(id in known));
+    if (missing.length && !offline) {
+      const documents = await fetch(query, { ids: missing });
+      missing.forEach(id => {
+        known[id] = null;
+      });
+      (documents || []).forEach(document => {
+        known[document._id] = normalize(document);
+      });
+      saving = saving.then(() => cache.setMeta(name, known));
+      await saving;
+    }
+    return known;
+  }
+
+  return {
+    /**
+     * Loads the data of assets.
+     * @param {Array<string>} ids - The asset IDs.
+     * @returns {Promise<Object<string, any>>} The data by asset ID, null for missing assets.
+     */
+    async loadMany(ids) {
+      if (!batch) {
+        const current = { ids: new Set() };
+        current.promise = new Promise(resolve => setImmediate(resolve)).then(() => {
+          batch = null;
+          return flush([...current.ids]);
+        });
+        batch = current;
+      }
+      ids.forEach(id => batch.ids.add(id));
+      const known = await batch.promise;
+      return Object.fromEntries(ids.map(id => [id, known[id] ?? null]));
+    }
+  };
+}
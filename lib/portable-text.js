@@ -0,0 +1,739 @@
+/**
+ * @module @ulu/sanity-loader/portable-text
+ * @version 1.0.0
+ * @description
+ * Renders portable text to HTML and Markdown without a framework. Every part
+ * of the output (block styles, lists, marks, annotations and custom types)
+ * can be changed with serializers. Also repairs malformed portable text and
+ * derives plain text, excerpts, reading time and headings from it.
+ */
+
+import { applyImageOptions } from "./assets.js";
+import { portableTextDefaults, repairPortableTextDefaults, excerptDefaults, readingTimeDefaults } from "./defaults.js";
+import { hashValue, stableStringify } from "./utils.js";
+
+/**
+ * A serializer returns the output string for a part of the portable text,
+ * `children` is the already rendered content of that part.
+ * @typedef {(props: {value: any, children: string, [key: string]: any}) => string} Serializer
+ */
+
+/**
+ * @typedef {object} PortableTextSerializers
+ * @property {Object<string, Serializer>} [types] - Custom block and inline object types by `_type` (props: value, isInline, src for images).
+ * @property {Object<string, Serializer>} [block] - Text blocks by `style` (e.g. normal, h2, blockquote).
+ * @property {Object<string, Serializer>} [marks] - Decorators (e.g. strong, em) and annotations (by markDef `_type`, e.g. link).
+ * @property {Object<string, Serializer>} [list] - Lists by `listItem` type (e.g. bullet, number).
+ * @property {Object<string, Serializer>} [listItem] - List items by `listItem` type (props: value, children, index).
+ * @property {() => string} [hardBreak] - Line breaks within text.
+ * @property {Serializer} [unknownType] - Types without a serializer.
+ * @property {Serializer} [unknownMark] - Marks without a serializer.
+ */
+
+/**
+ * @typedef {object} PortableTextOptions
+ * @property {PortableTextSerializers} [serializers] - Serializers overriding the defaults.
+ * @property {(source: object) => import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} [imageUrl] - Creates image URL builders for images (provided by the loader utils).
+ * @property {object} [image] - Image URL builder options for images (e.g. `{ width: 1200 }`).
+ * @property {string} [imageProperty] - Property holding a locally saved path (see `localizeAssets`), used instead of the CDN URL when present.
+ * @property {boolean} [headingIds] - Add `id` attributes to headings (the same anchors `getHeadings` returns).
+ */
+
+/**
+ * @typedef {object} PortableTextHeading
+ * @property {string} text - The plain text of the heading.
+ * @property {number} level - The heading level (1-6).
+ * @property {string} id - The anchor, a slug of the text that is unique within the portable text.
+ * @property {string|null} key - The `_key` of the heading block.
+ * @property {Array<PortableTextHeading>} children - The headings nested under this one.
+ */
+
+/**
+ * Escapes a string for use in HTML text and attributes.
+ * @param {string} value - The string.
+ * @returns {string} The escaped string.
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Escapes characters that have a meaning in Markdown.
+ * @param {string} value - The string.
+ * @returns {string} The escaped string.
+ */
+export function escapeMarkdown(value) {
+  return String(value).replace(/([\\`*_[\]<>])/g, "\\$1");
+}
+
+/**
+ * URL schemes links and images may use, URLs without a scheme (relative
+ * URLs, anchors) are always allowed.
+ */
+const allowedUrlSchemes = ["http", "https", "mailto", "tel"];
+
+/**
+ * Checks a URL from content before it's rendered, so content can't inject
+ * script (e.g. `javascript:` links).
+ * @param {string} [url] - The URL.
+ * @returns {string|null} The URL, or null if it's empty or uses a scheme that isn't allowed.
+ */
+export function sanitizeUrl(url) {
+  if (typeof url !== "string" || !url.trim()) {
+    return null;
+  }
+  // Browsers ignore whitespace and control characters in schemes ("java\tscript:")
+  const normalized = [...url].filter(char => !isControlOrSpace(char)).join("");
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+  return !scheme || allowedUrlSchemes.includes(scheme[1].toLowerCase()) ? url.trim() : null;
+}
+
+/**
+ * Encodes the characters that would end or break a Markdown link
+ * destination (whitespace, parentheses and angle brackets).
+ * @param {string} url - The sanitized URL.
+ * @returns {string} The URL for Markdown.
+ */
+function formatMarkdownUrl(url) {
+  return [...url].map(char => {
+    if (!isControlOrSpace(char) && !"()<>".includes(char)) return char;
+    return `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}`;
+  }).join("");
+}
+
+/**
+ * Whether a character is whitespace or a control character.
+ * @param {string} char - The character.
+ * @returns {boolean} True if it is.
+ */
+function isControlOrSpace(char) {
+  const code = char.charCodeAt(0);
+  return code <= 0x20 || code === 0x7F || /\s/.test(char);
+}
+
+const htmlHeading = level => ({ children, id }) => {
+  return `<h${level}${id ? ` id="${escapeHtml(id)}"` : ""}>${children}</h${level}>`;
+};
+const htmlTag = tag => ({ children }) => `<${tag}>${children}</${tag}>`;
+
+/**
+ * Default HTML serializers.
+ * @type {PortableTextSerializers}
+ */
+const htmlSerializers = {
+  types: {
+    image: ({ value, src }) => {
+      const url = sanitizeUrl(src);
+      return url ? `<img src="${escapeHtml(url)}" alt="${escapeHtml(value.alt || "")}"/>` : "";
+    }
+  },
+  block: {
+    normal: htmlTag("p"),
+    h1: htmlHeading(1),
+    h2: htmlHeading(2),
+    h3: htmlHeading(3),
+    h4: htmlHeading(4),
+    h5: htmlHeading(5),
+    h6: htmlHeading(6),
+    blockquote: htmlTag("blockquote"),
+  },
+  marks: {
+    strong: htmlTag("strong"),
+    em: htmlTag("em"),
+    code: htmlTag("code"),
+    underline: htmlTag("u"),
+    "strike-through": htmlTag("del"),
+    link: ({ value, children }) => {
+      const url = sanitizeUrl(value.href);
+      return url ? `<a href="${escapeHtml(url)}">${children}</a>` : `<a>${children}</a>`;
+    },
+  },
+  list: {
+    bullet: htmlTag("ul"),
+    number: htmlTag("ol"),
+  },
+  listItem: {
+    bullet: htmlTag("li"),
+    number: htmlTag("li"),
+  },
+  hardBreak: () => "<br/>",
+  unknownType: () => "",
+  unknownMark: ({ children }) => children,
+};
+
+const markdownWrap = syntax => ({ children }) => children ? `${syntax}${children}${syntax}` : "";
+/**
+ * Wraps text in a Markdown code span, fenced with one more backtick than
+ * the longest run in the text (padded when it starts or ends with one).
+ * @param {{children: string}} props - The code text (unescaped).
+ * @returns {string} The code span.
+ */
+function markdownCode({ children }) {
+  if (!children) return "";
+  const longest = Math.max(0, ...(children.match(/`+/g) || []).map(run => run.length));
+  const fence = "`".repeat(longest + 1);
+  const isPadded = /^ .*[^ ].* $/s.test(children);
+  const padding = children.startsWith("`") || children.endsWith("`") || isPadded ? " " : "";
+  return `${fence}${padding}${children}${padding}${fence}`;
+}
+
+const markdownHeading = level => ({ children }) => `${"#".repeat(level)} ${children}`;
+
+/**
+ * Default Markdown serializers.
+ * @type {PortableTextSerializers}
+ */
+const markdownSerializers = {
+  types: {
+    image: ({ value, src }) => {
+      const url = sanitizeUrl(src);
+      return url ? `![${escapeMarkdown(value.alt || "")}](${formatMarkdownUrl(url)})` : "";
+    },
+  },
+  block: {
+    normal: ({ children }) => children,
+    h1: markdownHeading(1),
+    h2: markdownHeading(2),
+    h3: markdownHeading(3),
+    h4: markdownHeading(4),
+    h5: markdownHeading(5),
+    h6: markdownHeading(6),
+    blockquote: ({ children }) => children.split("\n").map(line => `> ${line}`).join("\n"),
+  },
+  marks: {
+    strong: markdownWrap("**"),
+    em: markdownWrap("_"),
+    code: markdownCode,
+    "strike-through": markdownWrap("~~"),
+    link: ({ value, children }) => {
+      const url = sanitizeUrl(value.href);
+      return url ? `[${children}](${formatMarkdownUrl(url)})` : children;
+    },
+  },
+  list: {
+    bullet: ({ children }) => children,
+    number: ({ children }) => children,
+  },
+  listItem: {
+    bullet: ({ children }) => `- ${indent(children, 2)}`,
+    number: ({ children, index }) => `${index + 1}. ${indent(children, 3)}`,
+  },
+  hardBreak: () => "  \n",
+  unknownType: () => "",
+  unknownMark: ({ children }) => children,
+};
+
+/**
+ * Renders portable text to HTML.
+ * @param {Array<object>|object} blocks - The portable text (array of blocks) or a single block.
+ * @param {PortableTextOptions} [options] - The render options.
+ * @returns {string} The HTML.
+ */
+export function portableTextToHtml(blocks, options = {}) {
+  return render(blocks, options, {
+    serializers: htmlSerializers,
+    escape: escapeHtml,
+    rawMarks: [],
+    separator: "",
+    itemSeparator: "",
+  });
+}
+
+/**
+ * Renders portable text to Markdown (e.g. for feeds and search indexes).
+ * Blocks are separated by a blank line, nested lists are indented.
+ * @param {Array<object>|object} blocks - The portable text (array of blocks) or a single block.
+ * @param {PortableTextOptions} [options] - The render options.
+ * @returns {string} The Markdown.
+ */
+export function portableTextToMarkdown(blocks, options = {}) {
+  return render(blocks, options, {
+    serializers: markdownSerializers,
+    escape: escapeMarkdown,
+    rawMarks: ["code"],
+    separator: "\n\n",
+    itemSeparator: "\n",
+  });
+}
+
+/**
+ * Gets the plain text of portable text, text blocks (and list items) are
+ * separated by blank lines, other block types are skipped.
+ * @param {Array<object>|object} blocks - The portable text (array of blocks) or a single block.
+ * @returns {string} The plain text.
+ */
+export function portableTextToPlainText(blocks) {
+  const list = Array.isArray(blocks) ? blocks : [blocks];
+  return list
+    .filter(block => block && block._type === "block")
+    .map(getBlockText)
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * Builds an excerpt, whitespace is collapsed and text longer than `length`
+ * is cut at the last word boundary before it.
+ * @param {Array<object>|object|string} blocks - The portable text, or plain text.
+ * @param {object} [options] - The excerpt options.
+ * @param {number} [options.length=160] - The maximum length (without the ellipsis).
+ * @param {string} [options.ellipsis="…"] - Appended when the text was cut.
+ * @returns {string} The excerpt.
+ */
+export function getExcerpt(blocks, options = {}) {
+  const { length, ellipsis } = { ...excerptDefaults, ...options };
+  const text = (typeof blocks === "string" ? blocks : portableTextToPlainText(blocks)).replace(/\s+/g, " ").trim();
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length + 1);
+  const boundary = cut.lastIndexOf(" ");
+  const truncated = boundary > 0 ? cut.slice(0, boundary) : text.slice(0, length);
+  return `${truncated.replace(/[\s,.;:!?\-–—]+$/, "")}${ellipsis}`;
+}
+
+/**
+ * Estimates the reading time of portable text.
+ * @param {Array<object>|object|string} blocks - The portable text, or plain text.
+ * @param {object} [options] - The reading time options.
+ * @param {number} [options.wordsPerMinute=200] - The reading speed.
+ * @returns {{words: number, minutes: number}} The word count and the reading time in minutes (rounded up, at least 1 when there are words).
+ */
+export function getReadingTime(blocks, options = {}) {
+  const { wordsPerMinute } = { ...readingTimeDefaults, ...options };
+  const text = typeof blocks === "string" ? blocks : portableTextToPlainText(blocks);
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return { words, minutes: Math.ceil(words / wordsPerMinute) };
+}
+
+/**
+ * Builds the table of contents of portable text, headings (h1-h6 blocks) are
+ * nested under the previous heading of a higher level. The ids match the
+ * ones `portableTextToHtml` adds with `headingIds`.
+ * @param {Array<object>|object} blocks - The portable text (array of blocks) or a single block.
+ * @returns {Array<PortableTextHeading>} The top level headings.
+ */
+export function getHeadings(blocks) {
+  const list = (Array.isArray(blocks) ? blocks : [blocks]).filter(block => block && block._type);
+  const ids = getHeadingIds(list);
+  const root = { level: 0, children: [] };
+  const stack = [root];
+  ids.forEach((id, block) => {
+    const heading = {
+      text: getBlockText(block),
+      level: getHeadingLevel(block),
+      id,
+      key: block._key || null,
+      children: []
+    };
+    while (stack[stack.length - 1].level >= heading.level) stack.pop();
+    stack[stack.length - 1].children.push(heading);
+    stack.push(heading);
+  });
+  return root.children;
+}
+
+/**
+ * Converts text to a URL friendly slug (lowercase, accents removed, words
+ * separated by dashes).
+ * @example
+ * slugify("Über uns & Kontakt"); // -> "uber-uns-kontakt"
+ * @param {string} text - The text.
+ * @returns {string} The slug.
+ */
+export function slugify(text) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Gets the anchor ids of the heading blocks, slugs of the heading text made
+ * unique with a number suffix ("intro", "intro-2").
+ * @param {Array<object>} blocks - The blocks.
+ * @returns {Map<object, string>} The ids by heading block, in document order.
+ */
+function getHeadingIds(blocks) {
+  const ids = new Map();
+  const counts = new Map();
+  blocks.filter(getHeadingLevel).forEach(block => {
+    const slug = slugify(getBlockText(block)) || "section";
+    let id = slug;
+    let count = counts.get(slug) || 1;
+    while ([...ids.values()].includes(id)) {
+      id = `${slug}-${++count}`;
+    }
+    counts.set(slug, count);
+    ids.set(block, id);
+  });
+  return ids;
+}
+
+/**
+ * Gets the heading level of a block.
+ * @param {object} block - The block.
+ * @returns {number} The level (1-6), or 0 if the block isn't a heading.
+ */
+function getHeadingLevel(block) {
+  const match = block._type === "block" && !block.listItem && typeof block.style === "string" ?
+    block.style.match(/^h([1-6])$/) : null;
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Gets the text of a text block's spans.
+ * @param {object} block - The text block.
+ * @returns {string} The text.
+ */
+function getBlockText(block) {
+  return (block.children || [])
+    .map(child => child && child._type === "span" ? child.text || "" : "")
+    .join("");
+}
+
+/**
+ * @typedef {object} PortableTextIssue
+ * @property {"invalidBlock"|"disallowedType"|"missingChildren"|"invalidChild"|"invalidSpan"|"missingMarkDef"|"missingKey"|"duplicateKey"} type - The kind of problem.
+ * @property {string} path - Where the problem was, e.g. "body[3].children[1]" (indexes of the original field).
+ * @property {string|null} key - The `_key` of the block, if it had one.
+ * @property {string} message - What was wrong and what was changed.
+ */
+
+/**
+ * @typedef {object} PortableTextRepairReport
+ * @property {boolean} changed - True if anything was repaired.
+ * @property {Object<string, Array<object>>} fields - The repaired fields (the same arrays when mutating, copies otherwise).
+ * @property {Object<string, Array<PortableTextIssue>>} issues - What was changed, per field.
+ */
+
+/**
+ * Repairs portable text fields so they can be rendered safely, and reports
+ * every change so content problems can be surfaced to editors:
+ * - Blocks that aren't objects or have no `_type` are removed
+ * - Blocks with a `_type` not in `allowedTypes` are removed (when given)
+ * - Text blocks without children get an empty span, invalid children are removed
+ * - Span text and marks are normalized, marks that are neither a decorator nor a `markDefs` key are removed
+ * - Missing and duplicate `_key`s (blocks and children) are replaced with generated keys
+ * @param {Object<string, Array<object>>} fields - The portable text fields by name (e.g. `{ body: post.body }`).
+ * @param {object} [options] - The repair options.
+ * @param {boolean} [options.mutate=true] - Repair the arrays in place, otherwise repaired copies are returned and the fields are left untouched.
+ * @param {Array<string>|null} [options.allowedTypes] - Block types to keep (e.g. `["block", "image"]`), null keeps every type.
+ * @param {Array<string>} [options.decorators] - Mark names that are decorators (not annotations), add custom decorators here.
+ * @returns {PortableTextRepairReport} The repaired fields and what was changed.
+ */
+export function repairPortableText(fields, options = {}) {
+  const { mutate, allowedTypes, decorators } = { ...repairPortableTextDefaults, ...options };
+  const report = { changed: false, fields: {}, issues: {} };
+
+  Object.entries(fields).forEach(([name, blocks]) => {
+    const issues = [];
+    const add = (type, path, block, message) => {
+      issues.push({ type, path, key: isObject(block) && typeof block._key === "string" ? block._key : null, message });
+    };
+    const source = Array.isArray(blocks) ? blocks : [];
+    const copy = mutate ? source : structuredClone(source);
+    const usedKeys = new Set();
+
+    const repaired = copy.filter((block, index) => {
+      const path = `${name}[${index}]`;
+      if (!isObject(block) || typeof block._type !== "string" || !block._type) {
+        add("invalidBlock", path, block, "Removed block without a _type");
+        return false;
+      }
+      if (allowedTypes && !allowedTypes.includes(block._type)) {
+        add("disallowedType", path, block, `Removed block of type "${block._type}"`);
+        return false;
+      }
+      repairKey(block, usedKeys, index, (type, message) => add(type, path, block, message));
+      if (block._type === "block") {
+        repairTextBlock(block, path, decorators, add);
+      }
+      return true;
+    });
+
+    if (mutate && Array.isArray(blocks)) {
+      blocks.splice(0, blocks.length, ...repaired);
+    }
+    report.fields[name] = mutate && Array.isArray(blocks) ? blocks : repaired;
+    report.issues[name] = issues;
+    report.changed = report.changed || issues.length > 0;
+  });
+
+  return report;
+}
+
+/**
+ * Repairs the children, marks and mark definitions of a text block.
+ * @param {object} block - The text block.
+ * @param {string} path - The block's path for the report.
+ * @param {Array<string>} decorators - Mark names that are decorators.
+ * @param {Function} add - Adds an issue to the report.
+ */
+function repairTextBlock(block, path, decorators, add) {
+  if (!Array.isArray(block.markDefs)) {
+    block.markDefs = [];
+  }
+  const markKeys = new Set(block.markDefs.filter(isObject).map(def => def._key));
+  const children = Array.isArray(block.children) ? block.children : [];
+  const usedKeys = new Set();
+
+  block.children = children.filter((child, index) => {
+    const childPath = `${path}.children[${index}]`;
+    if (!isObject(child) || typeof child._type !== "string" || !child._type) {
+      add("invalidChild", childPath, block, "Removed child without a _type");
+      return false;
+    }
+    repairKey(child, usedKeys, index, (type, message) => add(type, childPath, block, message));
+    if (child._type !== "span") return true;
+    if (typeof child.text !== "string") {
+      add("invalidSpan", childPath, block, "Set missing span text to an empty string");
+      child.text = child.text == null ? "" : String(child.text);
+    }
+    if (!Array.isArray(child.marks)) {
+      if (child.marks !== undefined) {
+        add("invalidSpan", childPath, block, "Replaced invalid span marks");
+      }
+      child.marks = [];
+    }
+    child.marks = child.marks.filter(mark => {
+      if (decorators.includes(mark) || markKeys.has(mark)) return true;
+      add("missingMarkDef", childPath, block, `Removed mark "${mark}" that has no markDef`);
+      return false;
+    });
+    return true;
+  });
+
+  if (!block.children.length) {
+    add("missingChildren", path, block, "Added an empty span to a block without children");
+    block.children.push({ _type: "span", _key: hashValue(`${path}.children`, 12), text: "", marks: [] });
+  }
+}
+
+/**
+ * Gives an object a generated `_key` when it's missing or already used by a
+ * sibling. Generated keys are derived from the content so they are stable
+ * between runs.
+ * @param {object} node - The block or child.
+ * @param {Set<string>} usedKeys - Keys used by the siblings so far.
+ * @param {number} index - The index of the node.
+ * @param {(type: string, message: string) => void} report - Adds an issue to the report.
+ */
+function repairKey(node, usedKeys, index, report) {
+  const key = node._key;
+  if (typeof key !== "string" || !key) {
+    report("missingKey", "Generated a missing _key");
+  } else if (usedKeys.has(key)) {
+    report("duplicateKey", `Replaced duplicate _key "${key}"`);
+  } else {
+    usedKeys.add(key);
+    return;
+  }
+  let generated = hashValue(`${stableStringify(node)}:${index}`, 12);
+  while (usedKeys.has(generated)) {
+    generated = hashValue(generated, 12);
+  }
+  node._key = generated;
+  usedKeys.add(generated);
+}
+
+/**
+ * Checks if a value is a plain object (not null or an array).
+ * @param {any} value - The value.
+ * @returns {boolean} True if the value is an object.
+ */
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Merges serializer overrides into the defaults (one level deep).
+ * @param {PortableTextSerializers} defaults - The default serializers.
+ * @param {PortableTextSerializers} [overrides] - The overrides.
+ * @returns {PortableTextSerializers} The merged serializers.
+ */
+function mergeSerializers(defaults, overrides = {}) {
+  return Object.fromEntries(Object.entries(defaults).map(([key, value]) => {
+    const override = overrides[key];
+    if (typeof value === "function") {
+      return [key, override || value];
+    }
+    return [key, { ...value, ...override }];
+  }));
+}
+
+/**
+ * Renders portable text with a format (HTML or Markdown).
+ * @param {Array<object>|object} blocks - The portable text.
+ * @param {PortableTextOptions} options - The render options.
+ * @param {object} format - The format's default serializers, escape function, marks whose text is not escaped (nor marked up within) and separators.
+ * @returns {string} The output.
+ */
+function render(blocks, options, format) {
+  const { imageUrl, image, imageProperty, headingIds } = { ...portableTextDefaults, ...options };
+  const serializers = mergeSerializers(format.serializers, options.serializers);
+  const { escape, rawMarks, separator, itemSeparator } = format;
+
+  function getImageSrc(value) {
+    if (value[imageProperty]) return value[imageProperty];
+    if (imageUrl && value.asset) return applyImageOptions(imageUrl(value), image).url();
+    return (value.asset && value.asset.url) || null;
+  }
+
+  function renderType(value, isInline) {
+    const serializer = serializers.types[value._type] || serializers.unknownType;
+    const props = { value, isInline, children: "" };
+    if (value._type === "image" || value.asset) {
+      props.src = getImageSrc(value);
+    }
+    return serializer(props);
+  }
+
+  function getMarkType(markKey, block) {
+    const markDef = (block.markDefs || []).find(def => def._key === markKey);
+    return markDef ? markDef._type : markKey;
+  }
+
+  function renderMark(markKey, block, children) {
+    const markDef = (block.markDefs || []).find(def => def._key === markKey);
+    const markType = markDef ? markDef._type : markKey;
+    const serializer = serializers.marks[markType] || serializers.unknownMark;
+    return serializer({ value: markDef || {}, children, markType, markKey });
+  }
+
+  function renderText(text) {
+    return text.split("\n").map(escape).join(serializers.hardBreak());
+  }
+
+  // Text in raw marks (code in Markdown) is kept as is, marks within are dropped
+  function renderNode(node, block, isRaw = false) {
+    if (node._type === "@span") return isRaw ? node.text : renderText(node.text);
+    if (node._type === "@mark") {
+      const isRawMark = rawMarks.includes(getMarkType(node.markKey, block));
+      const children = node.children.map(child => renderNode(child, block, isRaw || isRawMark)).join("");
+      return isRaw ? children : renderMark(node.markKey, block, children);
+    }
+    return renderType(node, true);
+  }
+
+  function renderBlockChildren(block) {
+    return buildMarksTree(block).map(node => renderNode(node, block)).join("");
+  }
+
+  function renderList(list) {
+    const items = list.items.map(({ value, lists }, index) => {
+      const nested = lists.map(renderList);
+      const children = [renderBlockChildren(value), ...nested].join(itemSeparator);
+      const serializer = serializers.listItem[list.listItem] || serializers.listItem.bullet;
+      return serializer({ value, children, index, listItem: list.listItem });
+    });
+    const serializer = serializers.list[list.listItem] || serializers.list.bullet;
+    return serializer({ value: list, children: items.join(itemSeparator) });
+  }
+
+  const list = (Array.isArray(blocks) ? blocks : [blocks]).filter(block => block && block._type);
+  const ids = headingIds ? getHeadingIds(list) : new Map();
+
+  function renderBlock(block) {
+    if (block._type === "@list") return renderList(block);
+    if (block._type !== "block") return renderType(block, false);
+    const serializer = serializers.block[block.style || "normal"] || serializers.block.normal;
+    return serializer({ value: block, children: renderBlockChildren(block), id: ids.get(block) || null });
+  }
+
+  return nestLists(list)
+    .map(renderBlock)
+    .filter(output => output !== "")
+    .join(separator);
+}
+
+/**
+ * Groups consecutive list item blocks into (nested) lists. Lists are
+ * returned as `{ _type: "@list", listItem, level, items }`, where each item
+ * holds its block (`value`) and the lists nested in it.
+ * @param {Array<object>} blocks - The blocks.
+ * @returns {Array<object>} The blocks with list items grouped.
+ */
+function nestLists(blocks) {
+  const result = [];
+  let stack = [];
+  blocks.forEach(block => {
+    if (!block.listItem) {
+      stack = [];
+      result.push(block);
+      return;
+    }
+    const level = block.level || 1;
+    const item = { value: block, lists: [] };
+    const closes = list => list.level > level || (list.level === level && list.listItem !== block.listItem);
+    while (stack.length && closes(stack[stack.length - 1])) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+    if (parent && parent.level === level) {
+      parent.items.push(item);
+      return;
+    }
+    const list = { _type: "@list", listItem: block.listItem, level, items: [item] };
+    if (parent) {
+      parent.items[parent.items.length - 1].lists.push(list);
+    } else {
+      result.push(list);
+    }
+    stack.push(list);
+  });
+  return result;
+}
+
+/**
+ * Builds a tree of marks for a block's children, so that marks spanning
+ * several spans are rendered once around all of them. Marks running the
+ * longest are opened first (outermost).
+ * @param {object} block - The text block.
+ * @returns {Array<object>} The tree, mark nodes are `{ _type: "@mark", markKey, children }`, leaves are text (`{ _type: "@span", text }`) and inline objects.
+ */
+function buildMarksTree(block) {
+  const children = block.children || [];
+  const root = { children: [] };
+  const stack = [root];
+  const runLength = (mark, start) => {
+    let end = start;
+    while (end < children.length && (children[end].marks || []).includes(mark)) end++;
+    return end - start;
+  };
+
+  children.forEach((child, index) => {
+    const marks = child._type === "span" ? child.marks || [] : [];
+    const needed = [...marks].sort((a, b) => runLength(b, index) - runLength(a, index));
+    let depth = 1;
+    for (; depth < stack.length; depth++) {
+      const position = needed.indexOf(stack[depth].markKey);
+      if (position === -1) break;
+      needed.splice(position, 1);
+    }
+    stack.length = depth;
+    needed.forEach(markKey => {
+      const node = { _type: "@mark", markKey, children: [] };
+      stack[stack.length - 1].children.push(node);
+      stack.push(node);
+    });
+    stack[stack.length - 1].children.push(child._type === "span" ? { _type: "@span", text: child.text || "" } : child);
+  });
+
+  return root.children;
+}
+
+/**
+ * Indents every line but the first (for nested list content in Markdown).
+ * @param {string} text - The text.
+ * @param {number} size - The number of spaces.
+ * @returns {string} The indented text.
+ */
+function indent(text, size) {
+  return text.split("\n").map((line, index) => index && line ? `${" ".repeat(size)}${line}` : line).join("\n");
+}
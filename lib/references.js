@@ -0,0 +1,154 @@
+/**
+ * @module @ulu/sanity-loader/references
+ * @version 1.0.0
+ * @description
+ * Resolves references (`{ _type: "reference", _ref }`) in fetched results by
+ * fetching the referenced documents in batches.
+ */
+
+const documentsQuery = "*[_id in $ids]";
+
+/**
+ * @typedef {object} ReferenceLocation
+ * @property {object} parent - The object or array holding the reference.
+ * @property {string|number} key - The property or index of the reference in its parent.
+ * @property {object} reference - The reference.
+ * @property {string} id - The referenced document ID.
+ * @property {Array<string>} ancestors - IDs of the documents the reference is nested in.
+ */
+
+/**
+ * @typedef {object} ResolveReferencesOptions
+ * @property {number} [depth] - How many levels of references to resolve (references in resolved documents are the next level).
+ * @property {"replace"|"attach"} [mode] - Replace references with the documents, or attach the documents to the references.
+ * @property {string} [property] - The property documents are attached to in "attach" mode.
+ */
+
+/**
+ * Walks a value and collects every reference to a document. Asset
+ * references (the `asset` of images and files) are skipped.
+ * @param {any} value - The value to walk.
+ * @returns {Array<ReferenceLocation>} The references found.
+ */
+export function findReferences(value) {
+  const found = [];
+  const seen = new Set();
+  (function walk(node, parent, key, ancestors) {
+    if (!node || typeof node !== "object" || seen.has(node)) return;
+    seen.add(node);
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => walk(item, node, index, ancestors));
+      return;
+    }
+    if (typeof node._ref === "string" && key !== "asset") {
+      found.push({ parent, key, reference: node, id: node._ref, ancestors });
+      return;
+    }
+    const nested = typeof node._id === "string" ? [...ancestors, node._id] : ancestors;
+    Object.entries(node).forEach(([name, child]) => walk(child, node, name, nested));
+  })(value, null, null, []);
+  return found;
+}
+
+/**
+ * Resolves the references in a value, level by level: all references of a
+ * level are fetched at once, references in the resolved documents form the
+ * next level. A reference to a document it is nested in (a cycle) is left as
+ * is, as are references to documents that don't exist. Each resolved
+ * reference gets its own copy of the document, so the result stays a tree
+ * (and can be cached as JSON). Mutates the value in place.
+ * @param {any} value - The value (query result).
+ * @param {object} context - The reference machinery to use.
+ * @param {(ids: Array<string>) => Promise<Object<string, object|null>>} context.loadDocuments - Loads documents by ID.
+ * @param {ResolveReferencesOptions} options - The resolve options.
+ * @returns {Promise<any>} The value, a new value if it was a reference itself (in "replace" mode).
+ */
+export async function resolveReferences(value, { loadDocuments }, options) {
+  const { depth, mode, property } = options;
+  const root = { value };
+  let pending = findReferences(root);
+
+  for (let level = 0; level < depth && pending.length; level++) {
+    const references = pending.filter(({ id, ancestors }) => !ancestors.includes(id));
+    if (!references.length) break;
+    const documents = await loadDocuments([...new Set(references.map(({ id }) => id))]);
+    pending = [];
+    references.forEach(({ parent, key, reference, id, ancestors }) => {
+      const document = documents[id];
+      if (!document) return;
+      const copy = structuredClone(document);
+      if (mode === "attach") {
+        reference[property] = copy;
+      } else {
+        // Keep the array item key of references in arrays
+        if (reference._key) copy._key = reference._key;
+        parent[key] = copy;
+      }
+      const nested = findReferences(copy).map(location => ({
+        ...location,
+        ancestors: [...ancestors, ...location.ancestors]
+      }));
+      pending.push(...nested);
+    });
+  }
+
+  return root.value;
+}
+
+/**
+ * Creates a loader for documents by ID. Requests made in the same tick are
+ * batched into a single query, loaded documents are kept until cleared so
+ * every query resolving the same references shares them (clear them when
+ * content may have changed).
+ * @param {object} options - The loader options.
+ * @param {(query: string, params: object) => Promise<any>} options.fetch - Fetches from Sanity.
+ * @param {boolean} [options.offline] - Never fetch, every document is treated as missing.
+ * @returns {{ loadMany: (ids: Array<string>) => Promise<Object<string, object|null>>, clear: () => void }} The document loader.
+ */
+export function createDocumentLoader({ fetch, offline = false }) {
+  const documents = new Map();
+  let batch = null;
+
+  async function flush(ids) {
+    if (offline) return {};
+    try {
+      const found = await fetch(documentsQuery, { ids });
+      return Object.fromEntries((found || []).map(document => [document._id, document]));
+    } catch (error) {
+      // Allow the next request to try again
+      ids.forEach(id => documents.delete(id));
+      throw error;
+    }
+  }
+
+  return {
+    /**
+     * Loads documents.
+     * @param {Array<string>} ids - The document IDs.
+     * @returns {Promise<Object<string, object|null>>} The documents by ID, null for missing documents.
+     */
+    async loadMany(ids) {
+      [...new Set(ids)].filter(id => !documents.has(id)).forEach(id => {
+        if (!batch) {
+          const current = { ids: [] };
+          current.promise = new Promise(resolve => setImmediate(resolve)).then(() => {
+            batch = null;
+            return flush(current.ids);
+          });
+          batch = current;
+        }
+        batch.ids.push(id);
+        documents.set(id, batch.promise.then(found => found[id] ?? null));
+      });
+      const entries = await Promise.all(ids.map(async id => [id, await documents.get(id)]));
+      return Object.fromEntries(entries);
+    },
+
+    /**
+     * Forgets the loaded documents, so they're fetched again when requested.
+     */
+    clear() {
+      documents.clear();
+    }
+  };
+}
@@ -0,0 +1,290 @@
+/**
+ * @module @ulu/sanity-loader/schema
+ * @version 1.0.0
+ * @description
+ * Validates query results against a JSON Schema (the commonly used subset)
+ * or a validator function, collecting every issue with its path and the
+ * `_id` of the document it's in.
+ */
+
+import { stableStringify } from "./utils.js";
+
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} path - Where the issue is, e.g. `[2].author.name` (empty for the result itself).
+ * @property {string} message - What's wrong.
+ * @property {string|null} _id - The `_id` of the closest document containing the issue.
+ * @property {string|null} [queryName] - The query of the result.
+ */
+
+/**
+ * A validator function, receives a result (or each item of an array result)
+ * and returns nothing or true if valid, otherwise false, a message, or a list
+ * of messages or `{ path, message }` issues. May be async.
+ * @typedef {(value: any) => boolean|string|Array<string|{path?: string, message: string}>|void|Promise<boolean|string|Array<string|{path?: string, message: string}>|void>} ValidatorFunction
+ */
+
+/**
+ * Validates a value against a JSON Schema. Supports `type` (including
+ * `integer` and `null`), `enum`, `const`, `required`, `properties`,
+ * `additionalProperties`, `items`, string, number and array bounds,
+ * `pattern`, `allOf`, `anyOf`, `oneOf`, `not` and local `$ref`s
+ * (`#/$defs/...`).
+ * @param {any} value - The value.
+ * @param {object|boolean} schema - The JSON Schema.
+ * @param {string} [path] - The path of the value, prefixed to issue paths.
+ * @returns {Array<ValidationIssue>} The issues, empty if valid.
+ */
+export function validateSchema(value, schema, path = "") {
+  const issues = [];
+  validateNode(value, schema, { root: schema, issues }, path, getDocumentId(value, null));
+  return issues;
+}
+
+/**
+ * Validates a query result. Array results are validated item by item (the
+ * schema describes one item), other results as a whole.
+ * @param {any} result - The result.
+ * @param {object|ValidatorFunction} schema - The JSON Schema or validator function.
+ * @returns {Promise<{issues: Array<ValidationIssue>, invalid: Set<number>}>} The issues and, for array results, the indexes of invalid items.
+ */
+export async function validateResult(result, schema) {
+  const validate = typeof schema === "function" ?
+    (value, path) => runValidator(schema, value, path) :
+    (value, path) => validateSchema(value, schema, path);
+  if (!Array.isArray(result)) {
+    return { issues: await validate(result, ""), invalid: new Set() };
+  }
+  const issues = [];
+  const invalid = new Set();
+  for (const [index, item] of result.entries()) {
+    const itemIssues = await validate(item, `[${index}]`);
+    if (itemIssues.length) {
+      invalid.add(index);
+      issues.push(...itemIssues);
+    }
+  }
+  return { issues, invalid };
+}
+
+/**
+ * Formats issues for an error or log message, one per line.
+ * @param {Array<ValidationIssue>} issues - The issues.
+ * @param {number} [limit] - The most issues to list.
+ * @returns {string} The formatted issues.
+ */
+export function formatIssues(issues, limit = 20) {
+  const lines = issues.slice(0, limit).map(({ path, message, _id }) => {
+    const location = [_id && `(${_id})`, path || "(result)"].filter(Boolean).join(" ");
+    return `  ${location}: ${message}`;
+  });
+  if (issues.length > limit) {
+    lines.push(`  ...and ${issues.length - limit} more`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Runs a validator function and normalizes what it returns to issues.
+ * @param {ValidatorFunction} validator - The validator function.
+ * @param {any} value - The value.
+ * @param {string} path - The path of the value.
+ * @returns {Promise<Array<ValidationIssue>>} The issues.
+ */
+async function runValidator(validator, value, path) {
+  const outcome = await validator(value);
+  const _id = getDocumentId(value, null);
+  if (outcome === undefined || outcome === null || outcome === true) {
+    return [];
+  }
+  if (outcome === false) {
+    return [{ path, message: "is invalid", _id }];
+  }
+  return [].concat(outcome).map(issue => {
+    if (typeof issue === "string") {
+      return { path, message: issue, _id };
+    }
+    return { path: joinPath(path, issue.path), message: issue.message, _id };
+  });
+}
+
+/**
+ * Validates a value against a schema node, adding issues to the context.
+ * @param {any} value - The value.
+ * @param {object|boolean} schema - The schema node.
+ * @param {{root: object, issues: Array<ValidationIssue>}} context - The root schema (for `$ref`) and the issues.
+ * @param {string} path - The path of the value.
+ * @param {string|null} _id - The `_id` of the closest document.
+ */
+function validateNode(value, schema, context, path, _id) {
+  const report = message => context.issues.push({ path, message, _id });
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    report("is not allowed");
+    return;
+  }
+  if (schema.$ref) {
+    validateNode(value, resolveRef(context.root, schema.$ref), context, path, _id);
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isType(value, type))) {
+      report(`must be ${types.join(" or ")} (got ${getTypeName(value)})`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    report(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(", ")}`);
+  }
+  if ("const" in schema && !isEqual(schema.const, value)) {
+    report(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report(schema.minLength === 1 ? "must not be empty" : `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report(`must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+      report(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) report(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) report(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) report(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) report(`must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report(`must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => {
+        validateNode(item, schema.items, context, `${path}[${index}]`, getDocumentId(item, _id));
+      });
+    }
+  } else if (isType(value, "object")) {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        context.issues.push({ path: joinPath(path, key), message: "is required", _id });
+      }
+    });
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, child]) => {
+      const childSchema = key in properties ? properties[key] : schema.additionalProperties;
+      validateNode(child, childSchema, context, joinPath(path, key), getDocumentId(child, _id));
+    });
+  }
+
+  (schema.allOf || []).forEach(subschema => validateNode(value, subschema, context, path, _id));
+  if (schema.anyOf && !schema.anyOf.some(subschema => isValid(value, subschema, context))) {
+    report("must match at least one schema in anyOf");
+  }
+  if (schema.oneOf && schema.oneOf.filter(subschema => isValid(value, subschema, context)).length !== 1) {
+    report("must match exactly one schema in oneOf");
+  }
+  if (schema.not && isValid(value, schema.not, context)) {
+    report("must not match the schema in not");
+  }
+}
+
+/**
+ * Whether a value is valid against a schema node, without reporting.
+ * @param {any} value - The value.
+ * @param {object|boolean} schema - The schema node.
+ * @param {{root: object}} context - The root schema.
+ * @returns {boolean} True if valid.
+ */
+function isValid(value, schema, { root }) {
+  const issues = [];
+  validateNode(value, schema, { root, issues }, "", null);
+  return !issues.length;
+}
+
+/**
+ * Resolves a local `$ref` (JSON pointer into the root schema).
+ * @param {object} root - The root schema.
+ * @param {string} ref - The reference, e.g. `#/$defs/author`.
+ * @returns {object|boolean} The referenced schema.
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#")) {
+    throw new Error(`schema: Only local $refs are supported, got "${ref}"`);
+  }
+  return ref.slice(1).split("/").filter(Boolean).reduce((node, segment) => {
+    const key = decodeURIComponent(segment).replace(/~1/g, "/").replace(/~0/g, "~");
+    if (!node || !(key in node)) {
+      throw new Error(`schema: Unable to resolve $ref "${ref}"`);
+    }
+    return node[key];
+  }, root);
+}
+
+/**
+ * Whether a value is of a JSON Schema type.
+ * @param {any} value - The value.
+ * @param {string} type - The type.
+ * @returns {boolean} True if it is.
+ */
+function isType(value, type) {
+  switch (type) {
+    case "null": return value === null;
+    case "array": return Array.isArray(value);
+    case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "integer": return Number.isInteger(value);
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Gets the JSON type name of a value for messages.
+ * @param {any} value - The value.
+ * @returns {string} The type name.
+ */
+function getTypeName(value) {
+  if (value === null) return "null";
+  if (value === undefined) return "nothing";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+/**
+ * Whether two JSON values are equal.
+ * @param {any} a - A value.
+ * @param {any} b - Another value.
+ * @returns {boolean} True if equal.
+ */
+function isEqual(a, b) {
+  return a === b || stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Gets the `_id` of a value if it is a document, otherwise the inherited one.
+ * @param {any} value - The value.
+ * @param {string|null} inherited - The `_id` of the closest document so far.
+ * @returns {string|null} The `_id`.
+ */
+function getDocumentId(value, inherited) {
+  return value && typeof value === "object" && typeof value._id === "string" ? value._id : inherited;
+}
+
+/**
+ * Appends a property to a path.
+ * @param {string} path - The path.
+ * @param {string} [key] - The property (or a path relative to the value).
+ * @returns {string} The joined path.
+ */
+function joinPath(path, key) {
+  if (!key) return path;
+  if (key.startsWith("[")) return `${path}${key}`;
+  return path ? `${path}.${key}` : key;
+}
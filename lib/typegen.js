@@ -0,0 +1,275 @@
+/**
+ * @module @ulu/sanity-loader/typegen
+ * @version 1.0.0
+ * @description
+ * Generates TypeScript declarations for query results, inferred from
+ * cached results or converted from JSON Schemas.
+ */
+
+/**
+ * @typedef {object} TypegenEntry
+ * @property {string} queryName - The name of the query.
+ * @property {object|null} [schema] - A JSON Schema describing the result (or each item of array results).
+ * @property {Array<any>} [samples] - Results of the query (e.g. cached for different parameters).
+ * @property {boolean} [omit] - Leave the query out of `LoaderResults`, when the loader doesn't resolve to the typed result.
+ */
+
+/**
+ * Header of generated files.
+ */
+const header = "// Generated by @ulu/sanity-loader, do not edit.\n";
+
+/**
+ * How deep `$ref`s are followed before falling back to `unknown`.
+ */
+const maxRefDepth = 8;
+
+/**
+ * Generates the declarations for query results, a type per query
+ * (`<QueryName>Result`, with `<QueryName>Item` for the items of array
+ * results) and the `LoaderResults` map of query names to their result types,
+ * which types `defineLoader` when passed to `createSanityLoader`.
+ * @param {Array<TypegenEntry>} entries - The queries.
+ * @returns {string} The TypeScript declarations.
+ */
+export function generateTypeDeclarations(entries) {
+  const usedNames = new Set();
+  const declarations = entries.map(({ queryName, schema, samples = [], omit = false }) => {
+    const baseName = toPascalCase(queryName);
+    const name = getUniqueName(`${baseName}Result`, usedNames);
+    const isArray = samples.length > 0 && samples.every(Array.isArray);
+    let itemType = null;
+    let type = "unknown";
+    let source = "No cached result or schema, run the loader to infer the type";
+    if (schema) {
+      // Schemas describe each item of array results, without a cached result
+      // it's unknown whether the result is an array
+      source = "From its schema";
+      if (isArray || !samples.length) {
+        itemType = schemaToType(schema, schema, "", 0);
+      } else {
+        type = schemaToType(schema, schema, "", 0);
+      }
+    } else if (samples.length) {
+      source = `Inferred from ${samples.length} cached result(s)`;
+      if (isArray) {
+        const items = samples.flat();
+        itemType = items.length ? shapeToType(inferShape(items), "") : "unknown";
+      } else {
+        type = shapeToType(inferShape(samples), "");
+      }
+    }
+    const note = omit ? "\n * Not in `LoaderResults`, the loader's result differs from the cached one." : "";
+    const comment = `/**\n * Result of the "${queryName}" query. ${source}.${note}\n */\n`;
+    if (itemType === null) {
+      return { queryName, name, omit, code: `${comment}export type ${name} = ${type};\n` };
+    }
+    const itemName = getUniqueName(`${baseName}Item`, usedNames);
+    const resultType = isArray ? `Array<${itemName}>` : `${itemName} | Array<${itemName}>`;
+    return {
+      queryName,
+      name,
+      omit,
+      code: `${comment}export type ${name} = ${resultType};\n\nexport type ${itemName} = ${itemType};\n`
+    };
+  });
+  const map = declarations.filter(({ omit }) => !omit).map(({ queryName, name }) => `  ${formatKey(queryName)}: ${name};`);
+  return [
+    header,
+    ...declarations.map(({ code }) => code),
+    "/**\n * Result types by query name, pass to `createSanityLoader<LoaderResults>()`.\n */",
+    `export type LoaderResults = {\n${map.join("\n")}${map.length ? "\n" : ""}};\n`
+  ].join("\n");
+}
+
+/**
+ * Infers the shape of values. Objects with different `_type`s are kept apart
+ * (so arrays of blocks and images become a union), properties missing in
+ * some objects are optional.
+ * @param {Array<any>} values - Sample values.
+ * @returns {object} The shape.
+ */
+export function inferShape(values) {
+  const shape = { kinds: new Set(), items: [], objects: new Map() };
+  values.forEach(value => {
+    if (value === null || value === undefined) {
+      shape.kinds.add("null");
+    } else if (Array.isArray(value)) {
+      shape.kinds.add("array");
+      shape.items.push(...value);
+    } else if (typeof value === "object") {
+      const type = typeof value._type === "string" ? value._type : "";
+      if (!shape.objects.has(type)) {
+        shape.objects.set(type, []);
+      }
+      shape.objects.get(type).push(value);
+    } else if (["string", "number", "boolean"].includes(typeof value)) {
+      shape.kinds.add(typeof value);
+    }
+  });
+  return shape;
+}
+
+/**
+ * Converts an inferred shape to a TypeScript type.
+ * @param {object} shape - The shape from `inferShape`.
+ * @param {string} indent - The current indentation.
+ * @returns {string} The type.
+ */
+function shapeToType(shape, indent) {
+  const members = [];
+  [...shape.objects.entries()].forEach(([type, objects]) => {
+    members.push(objectShapeToType(objects, type, indent));
+  });
+  if (shape.kinds.has("array")) {
+    const itemShape = inferShape(shape.items);
+    const itemType = shape.items.length ? shapeToType(itemShape, indent) : "unknown";
+    members.push(`Array<${itemType}>`);
+  }
+  ["string", "number", "boolean", "null"].forEach(kind => {
+    if (shape.kinds.has(kind)) members.push(kind);
+  });
+  return members.length ? members.join(" | ") : "unknown";
+}
+
+/**
+ * Converts objects (of one `_type`) to an object type.
+ * @param {Array<object>} objects - The objects.
+ * @param {string} type - Their `_type`, empty if none.
+ * @param {string} indent - The current indentation.
+ * @returns {string} The object type.
+ */
+function objectShapeToType(objects, type, indent) {
+  const inner = `${indent}  `;
+  const keys = [...new Set(objects.flatMap(object => Object.keys(object)))];
+  const lines = keys.map(key => {
+    const present = objects.filter(object => key in object && object[key] !== undefined);
+    const optional = present.length < objects.length ? "?" : "";
+    const valueType = key === "_type" && type ? JSON.stringify(type) : shapeToType(inferShape(present.map(object => object[key])), inner);
+    return `${inner}${formatKey(key)}${optional}: ${valueType};`;
+  });
+  return lines.length ? `{\n${lines.join("\n")}\n${indent}}` : "{}";
+}
+
+/**
+ * Converts a JSON Schema to a TypeScript type (the subset supported by
+ * result validation).
+ * @param {object|boolean} schema - The schema node.
+ * @param {object} root - The root schema, for `$ref`s.
+ * @param {string} indent - The current indentation.
+ * @param {number} depth - How many `$ref`s were followed.
+ * @returns {string} The type.
+ */
+function schemaToType(schema, root, indent, depth) {
+  if (schema === true || schema === undefined) return "unknown";
+  if (schema === false) return "never";
+  if (schema.$ref) {
+    const target = depth < maxRefDepth ? resolveRef(root, schema.$ref) : undefined;
+    return target === undefined ? "unknown" : schemaToType(target, root, indent, depth + 1);
+  }
+  if ("const" in schema) return JSON.stringify(schema.const);
+  if (schema.enum) return schema.enum.map(option => JSON.stringify(option)).join(" | ");
+  if (schema.anyOf || schema.oneOf) {
+    return (schema.anyOf || schema.oneOf).map(subschema => schemaToType(subschema, root, indent, depth)).join(" | ");
+  }
+  if (schema.allOf) {
+    return schema.allOf.map(subschema => `(${schemaToType(subschema, root, indent, depth)})`).join(" & ");
+  }
+  const types = schema.type ? [].concat(schema.type) : inferSchemaTypes(schema);
+  if (!types.length) return "unknown";
+  return types.map(type => {
+    switch (type) {
+      case "integer": return "number";
+      case "array": return `Array<${schema.items ? schemaToType(schema.items, root, indent, depth) : "unknown"}>`;
+      case "object": return schemaObjectToType(schema, root, indent, depth);
+      default: return type;
+    }
+  }).join(" | ");
+}
+
+/**
+ * Converts an object schema to an object type.
+ * @param {object} schema - The schema node.
+ * @param {object} root - The root schema.
+ * @param {string} indent - The current indentation.
+ * @param {number} depth - How many `$ref`s were followed.
+ * @returns {string} The object type.
+ */
+function schemaObjectToType(schema, root, indent, depth) {
+  const inner = `${indent}  `;
+  const required = new Set(schema.required || []);
+  const properties = schema.properties || {};
+  const keys = [...new Set([...Object.keys(properties), ...required])];
+  const lines = keys.map(key => {
+    const optional = required.has(key) ? "" : "?";
+    return `${inner}${formatKey(key)}${optional}: ${schemaToType(properties[key], root, inner, depth)};`;
+  });
+  const { additionalProperties } = schema;
+  if (additionalProperties !== false && keys.length === 0 || (additionalProperties && additionalProperties !== true)) {
+    lines.push(`${inner}[key: string]: ${schemaToType(additionalProperties, root, inner, depth)};`);
+  }
+  return lines.length ? `{\n${lines.join("\n")}\n${indent}}` : "{}";
+}
+
+/**
+ * Guesses the types of a schema without `type` from its keywords.
+ * @param {object} schema - The schema node.
+ * @returns {Array<string>} The types.
+ */
+function inferSchemaTypes(schema) {
+  if (schema.properties || schema.required || schema.additionalProperties !== undefined) return ["object"];
+  if (schema.items) return ["array"];
+  return [];
+}
+
+/**
+ * Resolves a local `$ref` of a schema.
+ * @param {object} root - The root schema.
+ * @param {string} ref - The reference, e.g. `#/$defs/author`.
+ * @returns {object|boolean|undefined} The referenced schema, undefined if not found.
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#")) return undefined;
+  return ref.slice(1).split("/").filter(Boolean).reduce((node, segment) => {
+    const key = decodeURIComponent(segment).replace(/~1/g, "/").replace(/~0/g, "~");
+    return node && typeof node === "object" ? node[key] : undefined;
+  }, root);
+}
+
+/**
+ * Formats an object key, quoted unless it's a valid identifier.
+ * @param {string} key - The key.
+ * @returns {string} The formatted key.
+ */
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+/**
+ * Converts a query name (e.g. `blog/latest-posts`) to PascalCase.
+ * @param {string} value - The query name.
+ * @returns {string} The PascalCase name.
+ */
+function toPascalCase(value) {
+  const name = value
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join("");
+  return /^[A-Za-z]/.test(name) ? name : `Query${name}`;
+}
+
+/**
+ * Makes a type name unique by appending a number.
+ * @param {string} name - The name.
+ * @param {Set<string>} used - Names already used, the name is added.
+ * @returns {string} The unique name.
+ */
+function getUniqueName(name, used) {
+  let unique = name;
+  for (let index = 2; used.has(unique); index++) {
+    unique = `${name}${index}`;
+  }
+  used.add(unique);
+  return unique;
+}
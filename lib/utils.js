@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import { filterInPlace } from "@ulu/utils/array.js";
 
 /**
@@ -11,4 +12,264 @@ export function fixPortableText(...fields) {
       return filterInPlace(field, block => block._type);
     }
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Serializes a value to JSON with object keys sorted, so that equal values
+ * always produce the same string regardless of key order.
+ * @param {any} value - The value to serialize.
+ * @returns {string} The stable JSON string.
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Creates a short, stable hash for any JSON serializable value.
+ * @param {any} value - The value to hash.
+ * @param {number} [length=12] - The number of hex characters to return.
+ * @returns {string} The hash.
+ */
+export function hashValue(value, length = 12) {
+  return crypto
+    .createHash("sha1")
+    .update(stableStringify(value))
+    .digest("hex")
+    .slice(0, length);
+}
+
+/**
+ * Infers the document types a GROQ query depends on from its `_type` filters
+ * (`_type == "post"`, `"post" == _type` or `_type in ["post", "page"]`).
+ * Inference is conservative, it gives up (returns null) when any document set
+ * (`*`) in the query is not scoped to types, i.e. its filter doesn't require
+ * a type condition (types are only taken from conditions joined by `&&`,
+ * filters with `||` can match any type), or when the query dereferences
+ * (`->`) other documents, since those dependencies cannot be known.
+ * @param {string} query - The GROQ query.
+ * @returns {Array<string>|null} The document types, or null if they cannot be inferred.
+ */
+export function inferDocumentTypes(query) {
+  if (!query || query.includes("->")) return null;
+
+  const filters = findDocumentSets(query);
+  const types = new Set();
+  for (const filter of filters) {
+    const scoped = filter === null ? null : getFilterTypes(filter);
+    if (!scoped) return null;
+    scoped.forEach(type => types.add(type));
+  }
+  return types.size ? [...types] : null;
+}
+
+/**
+ * Finds the document sets (`*`) of a GROQ query, including nested ones.
+ * @param {string} query - The GROQ query.
+ * @returns {Array<string|null>} The filter of each document set, null for unfiltered sets.
+ */
+function findDocumentSets(query) {
+  const filters = [];
+  scanQuery(query, (char, index) => {
+    if (char !== "*") return;
+    const rest = query.slice(index + 1).trimStart();
+    filters.push(rest.startsWith("[") ? extractBracketed(rest) : null);
+  });
+  return filters;
+}
+
+/**
+ * Gets the types a filter is scoped to, the `_type` conditions among the
+ * conditions the filter requires (joined by `&&`).
+ * @param {string} filter - The filter expression.
+ * @returns {Array<string>|null} The types, or null if the filter can match any type.
+ */
+function getFilterTypes(filter) {
+  const expression = unwrapParentheses(filter);
+  if (splitTopLevel(expression, "||").length > 1) return null;
+  const types = [];
+  splitTopLevel(expression, "&&").map(unwrapParentheses).forEach(condition => {
+    const match = /^_type\s*==\s*(["'])([^"']+)\1$/.exec(condition) || /^(["'])([^"']+)\1\s*==\s*_type$/.exec(condition);
+    if (match) {
+      types.push(match[2]);
+    }
+    const list = /^_type\s+in\s+\[((?:\s*(["'])[^"']+\2\s*,?)+)\]$/.exec(condition);
+    if (list) {
+      for (const item of list[1].matchAll(/(["'])([^"']+)\1/g)) types.push(item[2]);
+    }
+  });
+  return types.length ? types : null;
+}
+
+/**
+ * Removes parentheses wrapping a whole expression.
+ * @param {string} expression - The expression.
+ * @returns {string} The unwrapped, trimmed expression.
+ */
+function unwrapParentheses(expression) {
+  let current = expression.trim();
+  while (current.startsWith("(") && extractBracketed(current, "(", ")").length === current.length - 2) {
+    current = current.slice(1, -1).trim();
+  }
+  return current;
+}
+
+/**
+ * Splits an expression by an operator, outside of brackets and strings.
+ * @param {string} expression - The expression.
+ * @param {string} operator - The operator (e.g. `&&`).
+ * @returns {Array<string>} The trimmed parts.
+ */
+function splitTopLevel(expression, operator) {
+  const parts = [];
+  let start = 0;
+  scanQuery(expression, (char, index, depth) => {
+    if (depth === 0 && index >= start && expression.startsWith(operator, index)) {
+      parts.push(expression.slice(start, index));
+      start = index + operator.length;
+    }
+  });
+  parts.push(expression.slice(start));
+  return parts.map(part => part.trim());
+}
+
+/**
+ * Calls a function for each character of a GROQ expression outside of
+ * string literals, with the bracket depth (before the character).
+ * @param {string} expression - The expression.
+ * @param {(char: string, index: number, depth: number) => void} fn - Called for each character.
+ */
+function scanQuery(expression, fn) {
+  let depth = 0;
+  let quote = null;
+  for (let index = 0; index < expression.length; index++) {
+    const char = expression[index];
+    if (quote) {
+      if (char === "\\") index++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === "\"" || char === "'") {
+      quote = char;
+      continue;
+    }
+    fn(char, index, depth);
+    if ("([{".includes(char)) depth++;
+    if (")]}".includes(char)) depth--;
+  }
+}
+
+/**
+ * Builds the query for one page of a collection query, fetched with the
+ * `_id` of the last document as the cursor. The cursor filter and order go
+ * into the document set, so Sanity only evaluates one page per request.
+ * Queries that use `$lastId` handle the cursor themselves and are used as
+ * they are, otherwise only a filtered document set with an optional
+ * projection (`*[filter]{...}`) can be paged.
+ * @param {string} query - The GROQ query.
+ * @returns {string|null} The page query, or null if the query can't be paged.
+ */
+export function createPageQuery(query) {
+  if (query.includes("$lastId")) return query;
+  const set = /^\s*\*\s*(?=\[)/.exec(query);
+  if (!set) return null;
+  const rest = query.slice(set[0].length);
+  const filter = extractBracketed(rest);
+  const projection = rest.slice(filter.length + 2).trim();
+  const isProjection = projection.startsWith("{") && extractBracketed(projection, "{", "}").length === projection.length - 2;
+  if (!filter.trim() || (projection && !isProjection)) {
+    return null;
+  }
+  const page = `*[(${filter.trim()}) && _id > $lastId] | order(_id asc) [0...$pageSize]`;
+  return projection ? `${page} ${projection}` : page;
+}
+
+/**
+ * Returns the contents of the bracketed expression at the start of a string,
+ * accounting for nested brackets and brackets in strings.
+ * @param {string} string - String starting with the opening bracket.
+ * @param {string} [open] - The opening bracket.
+ * @param {string} [close] - The closing bracket.
+ * @returns {string} The contents between the opening and matching closing bracket.
+ */
+function extractBracketed(string, open = "[", close = "]") {
+  if (string[0] !== open) return "";
+  let depth = 0;
+  let end = null;
+  scanQuery(string, (char, index) => {
+    if (end !== null) return;
+    if (char === open) depth++;
+    if (char === close) depth--;
+    if (depth === 0) end = index;
+  });
+  return end === null ? string.slice(1) : string.slice(1, end);
+}
+
+/**
+ * Runs an async function, retrying with exponential backoff when it fails
+ * with a retryable error (network errors, timeouts, rate limits and 5xx).
+ * @param {(attempt: number) => Promise<any>} fn - The function to run, receives the attempt number.
+ * @param {object} [options] - The retry options.
+ * @param {number} [options.retries=0] - Number of retries after the first attempt.
+ * @param {number} [options.minTimeout=500] - Delay in milliseconds before the first retry.
+ * @param {number} [options.maxTimeout=10000] - Maximum delay in milliseconds between retries.
+ * @param {number} [options.factor=2] - Multiplier applied to the delay after each retry.
+ * @param {(error: Error, retry: number, delay: number) => void} [options.onRetry] - Called before each retry.
+ * @returns {Promise<any>} The result of the function.
+ */
+export async function withRetry(fn, options = {}) {
+  const { retries = 0, minTimeout = 500, maxTimeout = 10000, factor = 2, onRetry } = options;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delay = Math.min(minTimeout * Math.pow(factor, attempt), maxTimeout);
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Whether an error is worth retrying. Errors without a status code (network
+ * errors) are retried, as are timeouts, rate limits and server errors.
+ * @param {Error & {statusCode?: number}} error - The error.
+ * @returns {boolean} True if retryable.
+ */
+function isRetryableError(error) {
+  const status = error && error.statusCode;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Maps over items with an async function, running at most `limit` at once.
+ * @param {Array<any>} items - The items to map.
+ * @param {number} limit - The maximum number of concurrent calls.
+ * @param {(item: any, index: number) => Promise<any>} fn - The async mapping function.
+ * @returns {Promise<Array<any>>} The results, in the order of the items.
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
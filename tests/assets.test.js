@@ -0,0 +1,255 @@
+import { describe, it, expect, vi } from "vitest";
+import createImageUrl from "@sanity/image-url";
+import {
+  findAssetReferences,
+  getFileAssetUrl,
+  getAssetFilename,
+  getImageDimensions,
+  localizeAssets,
+  saveImageSet,
+  saveFileAsset,
+  sanitizeFilename
+} from "../lib/assets.js";
+
+const clientConfig = { projectId: "mock-project", dataset: "mock-dataset" };
+const imageUrlBuilder = createImageUrl(clientConfig);
+
+function createPost() {
+  return {
+    _id: "post-1",
+    mainImage: {
+      _type: "image",
+      asset: { _type: "reference", _ref: "image-abc123-800x600-jpg" }
+    },
+    attachment: {
+      _type: "file",
+      asset: { _type: "reference", _ref: "file-def456-pdf" }
+    },
+    body: [
+      { _type: "block", children: [{ _type: "span", text: "Hello" }] },
+      {
+        _type: "image",
+        _key: "inline",
+        asset: { _type: "reference", _ref: "image-abc123-800x600-jpg" }
+      },
+    ]
+  };
+}
+
+function createContext() {
+  return {
+    saveAsset: vi.fn(async url => `/assets/${getAssetFilename(url)}`),
+    imageUrl: source => imageUrlBuilder.image(source),
+    clientConfig
+  };
+}
+
+describe("Asset Localization", () => {
+
+  it("should find image and file references including portable text", () => {
+    const references = findAssetReferences(createPost());
+    expect(references.map(({ assetType, id }) => `${assetType}:${id}`)).toEqual([
+      "image:image-abc123-800x600-jpg",
+      "file:file-def456-pdf",
+      "image:image-abc123-800x600-jpg",
+    ]);
+  });
+
+  it("should build file asset URLs from references", () => {
+    expect(getFileAssetUrl("file-def456-pdf", clientConfig))
+      .toBe("https://cdn.sanity.io/files/mock-project/mock-dataset/def456.pdf");
+    expect(getFileAssetUrl("image-abc123-800x600-jpg", clientConfig)).toBeNull();
+  });
+
+  it("should attach local paths next to each reference", async () => {
+    const post = createPost();
+    const context = createContext();
+
+    await localizeAssets(post, context, { image: {}, file: true, property: "localUrl", concurrency: 2 });
+
+    expect(post.mainImage.localUrl).toBe("/assets/abc123-800x600.jpg");
+    expect(post.body[1].localUrl).toBe(post.mainImage.localUrl);
+    expect(post.attachment.localUrl).toBe("/assets/def456.pdf");
+    // The shared image is only downloaded once
+    expect(context.saveAsset).toHaveBeenCalledTimes(2);
+  });
+
+  it("should apply image options and allow skipping types", async () => {
+    const post = createPost();
+    const context = createContext();
+
+    await localizeAssets(post, context, {
+      image: { width: 400, format: "webp" },
+      file: false,
+      property: "src",
+      concurrency: 1
+    });
+
+    expect(context.saveAsset).toHaveBeenCalledTimes(1);
+    expect(context.saveAsset.mock.calls[0][0]).toContain("w=400&fm=webp");
+    expect(post.mainImage.src).toBeDefined();
+    expect(post.attachment.src).toBeUndefined();
+  });
+
+});
+
+describe("Asset Filenames", () => {
+
+  const original = "https://cdn.sanity.io/images/mock-project/mock-dataset/abc123-800x600.jpg";
+
+  it("should keep the original filename when there are no transforms", () => {
+    expect(getAssetFilename(original)).toBe("abc123-800x600.jpg");
+  });
+
+  it("should give each rendition its own filename", () => {
+    const small = getAssetFilename(`${original}?w=400`);
+    const large = getAssetFilename(`${original}?w=1200`);
+    expect(small).toMatch(/^abc123-800x600-[a-f0-9]{8}\.jpg$/);
+    expect(small).not.toBe(large);
+  });
+
+  it("should be stable regardless of parameter order", () => {
+    expect(getAssetFilename(`${original}?w=400&h=300`)).toBe(getAssetFilename(`${original}?h=300&w=400`));
+  });
+
+  it("should use the requested format as extension", () => {
+    expect(getAssetFilename(`${original}?w=400&fm=webp`)).toMatch(/\.webp$/);
+  });
+
+});
+
+describe("Image Sets", () => {
+
+  const image = {
+    _type: "image",
+    asset: { _type: "reference", _ref: "image-abc123-2000x1000-jpg" }
+  };
+
+  it("should derive dimensions from the asset ID and crop", () => {
+    expect(getImageDimensions(image)).toEqual({ width: 2000, height: 1000, aspectRatio: 2, format: "jpg" });
+    const cropped = { ...image, crop: { top: 0, bottom: 0, left: 0.25, right: 0.25 } };
+    expect(getImageDimensions(cropped)).toMatchObject({ width: 1000, height: 1000, aspectRatio: 1 });
+  });
+
+  it("should save a rendition per width and format", async () => {
+    const context = createContext();
+    const imageSet = await saveImageSet(image, context, {
+      widths: [1280, 400, 800],
+      formats: ["webp", "jpg"]
+    });
+
+    expect(context.saveAsset).toHaveBeenCalledTimes(6);
+    expect(imageSet).toMatchObject({ width: 2000, height: 1000, aspectRatio: 2 });
+    expect(imageSet.sources.map(({ type }) => type)).toEqual(["image/webp", "image/jpeg"]);
+
+    const [webp, jpg] = imageSet.sources;
+    expect(webp.renditions.map(({ width, height }) => [width, height])).toEqual([[400, 200], [800, 400], [1280, 640]]);
+    expect(webp.srcset).toMatch(/^\/assets\/\S+\.webp 400w, \S+\.webp 800w, \S+\.webp 1280w$/);
+    expect(imageSet.srcset).toBe(jpg.srcset);
+    expect(imageSet.src).toBe(jpg.renditions[2].src);
+  });
+
+  it("should not upscale images", async () => {
+    const context = createContext();
+    const imageSet = await saveImageSet(image, context, { widths: [1000, 3000] });
+    expect(imageSet.sources[0].renditions.map(({ width }) => width)).toEqual([1000]);
+
+    const small = await saveImageSet(image, context, { widths: [4000] });
+    expect(small.sources[0].renditions.map(({ width }) => width)).toEqual([2000]);
+  });
+
+  it("should return null without an image", async () => {
+    expect(await saveImageSet(null, createContext())).toBeNull();
+  });
+
+  it("should reject an empty list of formats", async () => {
+    const context = createContext();
+    await expect(saveImageSet(image, context, { formats: [] })).rejects.toThrow("`formats` must be a non-empty array");
+    expect(context.saveAsset).not.toHaveBeenCalled();
+  });
+
+});
+
+describe("File Assets", () => {
+
+  const reference = { _type: "file", asset: { _type: "reference", _ref: "file-def456-pdf" } };
+
+  function createFileContext(details = {}) {
+    return {
+      saveAsset: vi.fn(async (url, filename) => `/assets/${filename}`),
+      clientConfig,
+      getFileDetails: vi.fn(async ids => Object.fromEntries(ids.map(id => [id, details[id] ?? null])))
+    };
+  }
+
+  it("should sanitize filenames", () => {
+    expect(sanitizeFilename("Jahresbericht 2024 (Übersicht).PDF")).toBe("Jahresbericht-2024-Ubersicht.pdf");
+    expect(sanitizeFilename("../../etc/passwd")).toBe("passwd");
+    expect(sanitizeFilename("???.pdf")).toBe("file.pdf");
+  });
+
+  it("should save dereferenced files with their original filename", async () => {
+    const context = createFileContext();
+    const file = {
+      asset: {
+        _id: "file-def456-pdf",
+        url: "https://cdn.sanity.io/files/mock-project/mock-dataset/def456.pdf",
+        originalFilename: "Annual Report.pdf",
+        size: 1024,
+        mimeType: "application/pdf",
+        extension: "pdf"
+      }
+    };
+    expect(await saveFileAsset(file, context)).toEqual({
+      id: "file-def456-pdf",
+      path: "/assets/def456/Annual-Report.pdf",
+      filename: "def456/Annual-Report.pdf",
+      originalFilename: "Annual Report.pdf",
+      size: 1024,
+      mimeType: "application/pdf",
+      extension: "pdf"
+    });
+    expect(context.getFileDetails).not.toHaveBeenCalled();
+
+    const unsanitized = await saveFileAsset(file, context, { sanitize: false });
+    expect(unsanitized.filename).toBe("def456/Annual Report.pdf");
+
+    for (const originalFilename of [".", ".."]) {
+      const dots = { ...file, asset: { ...file.asset, originalFilename } };
+      expect((await saveFileAsset(dots, context, { sanitize: false })).filename).toBe("def456/def456.pdf");
+    }
+  });
+
+  it("should load the details of referenced files", async () => {
+    const context = createFileContext({
+      "file-def456-pdf": { originalFilename: "report.pdf", size: 2048, mimeType: "application/pdf", extension: "pdf", url: null }
+    });
+    const saved = await saveFileAsset(reference, context);
+
+    expect(context.getFileDetails).toHaveBeenCalledWith(["file-def456-pdf"]);
+    expect(context.saveAsset).toHaveBeenCalledWith(
+      "https://cdn.sanity.io/files/mock-project/mock-dataset/def456.pdf",
+      "def456/report.pdf"
+    );
+    expect(saved).toMatchObject({ path: "/assets/def456/report.pdf", size: 2048 });
+  });
+
+  it("should fall back to the asset ID when details are unknown", async () => {
+    const saved = await saveFileAsset("file-def456-pdf", createFileContext());
+    expect(saved).toMatchObject({
+      filename: "def456/def456.pdf",
+      originalFilename: null,
+      size: null,
+      mimeType: "application/pdf",
+      extension: "pdf"
+    });
+  });
+
+  it("should return null for anything but file assets", async () => {
+    const context = createFileContext();
+    expect(await saveFileAsset({ asset: { _ref: "image-abc123-800x600-jpg" } }, context)).toBeNull();
+    expect(await saveFileAsset(null, context)).toBeNull();
+    expect(context.saveAsset).not.toHaveBeenCalled();
+  });
+
+});
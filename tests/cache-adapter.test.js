@@ -0,0 +1,98 @@
+import { describe, it, expect, afterEach } from "vitest";
+import path from "path";
+import fs from "fs/promises";
+import {
+  createSanityLoader,
+  createFilesystemCacheAdapter,
+  createMemoryCacheAdapter
+} from "../lib/index.js";
+import { createMockSanityClient, mockCacheNamespace } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/adapter",
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+afterEach(async () => {
+  await fs.rm(paths.cache, { recursive: true, force: true });
+});
+
+describe("Cache Adapters", () => {
+
+  it("should store entries and metadata on the filesystem", async () => {
+    const adapter = createFilesystemCacheAdapter({ dir: paths.cache });
+
+    adapter.set("posts", { result: [1], query: "q" });
+    adapter.set("group/post.abc", { result: 2, query: "q" });
+    adapter.setMeta("datasets", { production: {} });
+    adapter.setMeta("group/assetManifest", { entries: {} });
+
+    expect(adapter.get("posts")).toEqual({ result: [1], query: "q" });
+    expect(adapter.get("missing")).toBeNull();
+    expect(adapter.list().sort()).toEqual(["group/post.abc", "posts"]);
+    expect(adapter.getMeta("datasets")).toEqual({ production: {} });
+    expect(adapter.getMeta("group/assetManifest")).toEqual({ entries: {} });
+    expect(adapter.getMeta("missing")).toBeNull();
+    expect(JSON.parse(await fs.readFile(path.join(paths.cache, "group", ".metadata", "assetManifest.json"), "utf-8")))
+      .toEqual({ entries: {} });
+
+    adapter.delete("posts");
+    expect(adapter.list()).toEqual(["group/post.abc"]);
+  });
+
+  it("should keep the in-memory entries isolated from mutations", () => {
+    const adapter = createMemoryCacheAdapter();
+    const entry = { result: [{ title: "A" }], query: "q" };
+
+    adapter.set("posts", entry);
+    entry.result[0].title = "B";
+    adapter.get("posts").result[0].title = "C";
+
+    expect(adapter.get("posts").result[0].title).toBe("A");
+  });
+
+  it("should run loaders against the in-memory adapter without touching the filesystem", async () => {
+    const state = { lastUpdated: "2025-01-01", documentCount: 1 };
+    const client = createMockSanityClient(query => {
+      return query.includes("documentCount") ? { ...state, types: { post: state } } : [{ _id: "a" }];
+    });
+    const cacheAdapter = createMemoryCacheAdapter();
+    const run = () => {
+      const sanityLoader = createSanityLoader({ client, paths, cacheAdapter });
+      return sanityLoader.defineLoader({ queryName: "posts" })();
+    };
+
+    await run();
+    await run();
+
+    // Stale check twice, posts fetched once
+    expect(client.fetch).toHaveBeenCalledTimes(3);
+    expect(cacheAdapter.list()).toEqual([`${mockCacheNamespace}/posts`]);
+    expect(cacheAdapter.getMeta(`${mockCacheNamespace}/datasets`)).toHaveProperty("mock-dataset");
+    expect(await fs.stat(paths.cache).catch(() => null)).toBeNull();
+  });
+
+  it("should support custom async adapters", async () => {
+    const store = {};
+    const cacheAdapter = {
+      get: async key => store[key] ?? null,
+      set: async (key, entry) => { store[key] = entry; },
+      delete: async key => { delete store[key]; },
+      list: async () => Object.keys(store),
+      getMeta: async () => null,
+      setMeta: async () => {},
+    };
+    const client = createMockSanityClient(() => "result");
+    const sanityLoader = createSanityLoader({ client, paths, cacheAdapter, isCacheStale: () => false });
+    const getNow = sanityLoader.defineLoader({ queryName: "now", query: "now()" });
+
+    await getNow();
+    await getNow();
+
+    expect(store[`${mockCacheNamespace}/now`]).toMatchObject({ result: "result", query: "now()" });
+    expect(client.fetch).toHaveBeenCalledTimes(1);
+  });
+
+});
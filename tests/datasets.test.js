@@ -0,0 +1,130 @@
+import { describe, it, expect, afterEach } from "vitest";
+import fs from "fs/promises";
+import { createSanityLoader, createMemoryCacheAdapter } from "../lib/index.js";
+import { createMockSanityClient } from "./utils.js";
+
+const cacheDir = "./tests/.cache/datasets";
+const paths = {
+  cache: cacheDir,
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+afterEach(async () => {
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+/**
+ * Mock client answering with the name of the dataset it queries, the stale
+ * state differs per dataset
+ */
+function createDatasetClient(config) {
+  return createMockSanityClient((query, params, options, { dataset }) => {
+    if (query.includes("documentCount")) {
+      const state = { lastUpdated: dataset === "staging" ? "2025-01-02" : "2025-01-01", documentCount: 1 };
+      return { ...state, types: { post: state } };
+    }
+    return [{ _id: "post-1", title: `From ${dataset}` }];
+  }, config);
+}
+
+const query = "*[_type == 'post']";
+
+describe("Dataset Isolation", () => {
+
+  it("should keep the cache of instances for different datasets apart", async () => {
+    const load = dataset => {
+      const sanityLoader = createSanityLoader({ client: createDatasetClient({ dataset }), paths });
+      return sanityLoader.defineLoader({ queryName: "posts", query })();
+    };
+    await load("production");
+    await load("staging");
+
+    const read = async file => JSON.parse(await fs.readFile(`${cacheDir}/mock-project/${file}`, "utf-8"));
+    expect((await read("production/2023-05-03/posts.json")).result[0].title).toBe("From production");
+    expect((await read("staging/2023-05-03/posts.json")).result[0].title).toBe("From staging");
+
+    expect(await read("production/2023-05-03/.metadata/datasets.json")).toHaveProperty("production.lastUpdated", "2025-01-01");
+    expect(await read("staging/2023-05-03/.metadata/datasets.json")).toHaveProperty("staging.lastUpdated", "2025-01-02");
+  });
+
+  it("should use a custom namespace or none", async () => {
+    const cacheAdapter = createMemoryCacheAdapter();
+    const load = cacheNamespace => {
+      const sanityLoader = createSanityLoader({ client: createDatasetClient(), paths, cacheAdapter, cacheNamespace });
+      return sanityLoader.defineLoader({ queryName: "posts", query })();
+    };
+    await load(false);
+    await load(({ dataset, apiVersion }) => `${dataset}@${apiVersion}`);
+
+    expect(cacheAdapter.list().sort()).toEqual(["mock-dataset@2023-05-03/posts", "posts"]);
+  });
+
+  it("should keep other datasets apart without namespaces", async () => {
+    const cacheAdapter = createMemoryCacheAdapter();
+    const client = createDatasetClient({ dataset: "production" });
+    const load = () => {
+      const sanityLoader = createSanityLoader({ client, paths, cacheAdapter, cacheNamespace: false });
+      const getPosts = sanityLoader.defineLoader({ queryName: "posts", query });
+      const getAllPosts = sanityLoader.defineLoader({ queryName: "posts", query, datasets: ["production", "staging"] });
+      return Promise.all([getPosts(), getAllPosts()]);
+    };
+    await load();
+    const [posts, allPosts] = await load();
+
+    expect(posts[0].title).toBe("From production");
+    expect(allPosts.staging[0].title).toBe("From staging");
+    expect(allPosts.production[0].title).toBe("From production");
+    expect(cacheAdapter.list().sort()).toEqual(["posts", "staging/posts"]);
+    expect(cacheAdapter.getMeta("datasets")).toHaveProperty("production.lastUpdated", "2025-01-01");
+    expect(cacheAdapter.getMeta("staging/datasets")).toHaveProperty("staging.lastUpdated", "2025-01-02");
+  });
+
+});
+
+describe("Multiple Datasets", () => {
+
+  it("should run a loader against each dataset and label the results", async () => {
+    const client = createDatasetClient({ dataset: "production" });
+    const cacheAdapter = createMemoryCacheAdapter();
+    const sanityLoader = createSanityLoader({ client, paths, cacheAdapter });
+    const getPosts = sanityLoader.defineLoader({ queryName: "posts", query, datasets: ["production", "staging"] });
+
+    expect(await getPosts()).toEqual({
+      production: [{ _id: "post-1", title: "From production" }],
+      staging: [{ _id: "post-1", title: "From staging" }],
+    });
+    expect(client.withConfig).toHaveBeenCalledTimes(1);
+    expect(client.withConfig).toHaveBeenCalledWith({ dataset: "staging" });
+    expect(getPosts.meta).toMatchObject({ source: "fetch", datasets: { production: { source: "fetch" }, staging: { source: "fetch" } } });
+
+    const nextRun = createSanityLoader({ client, paths, cacheAdapter });
+    const getCachedPosts = nextRun.defineLoader({ queryName: "posts", query, datasets: ["staging", "production"] });
+    const posts = await getCachedPosts();
+    expect(Object.keys(posts)).toEqual(["staging", "production"]);
+    expect(posts.staging[0].title).toBe("From staging");
+    expect(getCachedPosts.meta.source).toBe("cache");
+  });
+
+  it("should reject a run when any dataset fails and report it in meta", async () => {
+    const client = createMockSanityClient((query, params, options, { dataset }) => {
+      if (dataset === "broken") throw new Error("Not found");
+      return [];
+    });
+    const sanityLoader = createSanityLoader({ client, paths, cacheAdapter: createMemoryCacheAdapter(), isCacheStale: () => true, retry: { retries: 0 } });
+    const getPosts = sanityLoader.defineLoader({ queryName: "posts", query, datasets: ["mock-dataset", "broken"] });
+
+    await expect(getPosts()).rejects.toThrow("Not found");
+    expect(getPosts.meta.datasets["mock-dataset"].error).toBeNull();
+    expect(getPosts.meta.datasets.broken.error.message).toBe("Not found");
+    expect(getPosts.meta.error.message).toBe("Not found");
+  });
+
+  it("should reject invalid datasets", () => {
+    const sanityLoader = createSanityLoader({ client: createDatasetClient(), paths });
+    expect(() => sanityLoader.defineLoader({ queryName: "posts", datasets: [] })).toThrow("defineLoader: `datasets`");
+    expect(() => sanityLoader.defineLoader({ queryName: "posts", datasets: "staging" })).toThrow("defineLoader: `datasets`");
+  });
+
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from "vitest";
+import http from "http";
+import path from "path";
+import fs from "fs/promises";
+import { downloadFile } from "../lib/assets.js";
+
+const assetsDir = "./tests/.cache/download";
+const destination = path.join(assetsDir, "image.jpg");
+const body = "image-bytes";
+
+let server;
+let baseUrl;
+
+// Local server simulating the different responses of a CDN
+const routes = {
+  "/image.jpg": (_req, res) => {
+    res.writeHead(200, { "content-length": body.length });
+    res.end(body);
+  },
+  "/redirect": (_req, res) => {
+    res.writeHead(302, { location: "/image.jpg" });
+    res.end();
+  },
+  "/loop": (_req, res) => {
+    res.writeHead(301, { location: "/loop" });
+    res.end();
+  },
+  "/missing": (_req, res) => {
+    res.writeHead(404);
+    res.end("Not found");
+  },
+  "/truncated": (_req, res) => {
+    res.writeHead(200, { "content-length": 100 });
+    res.write(body);
+    setTimeout(() => res.destroy(), 10);
+  },
+  "/slow": (_req, res) => {
+    res.writeHead(200);
+    res.write("partial");
+  },
+};
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => routes[req.url](req, res));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+afterEach(async () => {
+  await fs.rm(assetsDir, { recursive: true, force: true });
+});
+
+async function listFiles() {
+  return fs.readdir(assetsDir).catch(() => []);
+}
+
+describe("downloadFile", () => {
+
+  it("should save the response to the destination", async () => {
+    const { bytes } = await downloadFile(`${baseUrl}/image.jpg`, destination);
+    expect(bytes).toBe(body.length);
+    expect(await fs.readFile(destination, "utf-8")).toBe(body);
+    expect(await listFiles()).toEqual(["image.jpg"]);
+  });
+
+  it("should follow redirects", async () => {
+    await downloadFile(`${baseUrl}/redirect`, destination);
+    expect(await fs.readFile(destination, "utf-8")).toBe(body);
+  });
+
+  it("should give up after too many redirects", async () => {
+    await expect(downloadFile(`${baseUrl}/loop`, destination, { maxRedirects: 2 }))
+      .rejects.toThrow(/Too many redirects/);
+    expect(await listFiles()).toEqual([]);
+  });
+
+  it("should reject non-2xx responses without writing a file", async () => {
+    await expect(downloadFile(`${baseUrl}/missing`, destination)).rejects.toMatchObject({ statusCode: 404 });
+    expect(await listFiles()).toEqual([]);
+  });
+
+  it("should reject and clean up incomplete downloads", async () => {
+    await expect(downloadFile(`${baseUrl}/truncated`, destination)).rejects.toThrow();
+    expect(await listFiles()).toEqual([]);
+  });
+
+  it("should time out stalled downloads and clean up", async () => {
+    await expect(downloadFile(`${baseUrl}/slow`, destination, { timeout: 50 }))
+      .rejects.toThrow(/Timed out/);
+    expect(await listFiles()).toEqual([]);
+  });
+
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import fs from "fs/promises";
+import { createSanityLoader } from "../lib/index.js";
+import { createMockSanityClient } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/fallback",
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+// Keep the tests fast
+const retry = { retries: 2, minTimeout: 1, maxTimeout: 5 };
+
+afterEach(async () => {
+  await fs.rm(paths.cache, { recursive: true, force: true });
+});
+
+function createServerError(statusCode = 503) {
+  return Object.assign(new Error(`Server responded with ${statusCode}`), { statusCode });
+}
+
+async function primeCache() {
+  const client = createMockSanityClient(() => [{ _id: "cached" }]);
+  const sanityLoader = createSanityLoader({ client, paths, isCacheStale: () => false });
+  await sanityLoader.defineLoader({ queryName: "posts" })();
+}
+
+describe("Retries and Stale Cache Fallback", () => {
+
+  it("should retry failed fetches with backoff", async () => {
+    let calls = 0;
+    const client = createMockSanityClient(() => {
+      if (++calls < 3) throw createServerError();
+      return [{ _id: "live" }];
+    });
+    const sanityLoader = createSanityLoader({ client, paths, retry, isCacheStale: () => true });
+    const getPosts = sanityLoader.defineLoader({ queryName: "posts" });
+
+    expect(await getPosts()).toEqual([{ _id: "live" }]);
+    expect(client.fetch).toHaveBeenCalledTimes(3);
+    expect(getPosts.meta).toMatchObject({ source: "fetch", usedStaleCache: false });
+  });
+
+  it("should not retry client errors", async () => {
+    const client = createMockSanityClient(() => {
+      throw createServerError(400);
+    });
+    const sanityLoader = createSanityLoader({ client, paths, retry, isCacheStale: () => true });
+
+    await expect(sanityLoader.defineLoader({ queryName: "posts" })()).rejects.toThrow();
+    expect(client.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("should retry the staleness check", async () => {
+    let calls = 0;
+    const isCacheStale = () => {
+      if (++calls < 2) throw createServerError();
+      return true;
+    };
+    const client = createMockSanityClient(() => []);
+    const sanityLoader = createSanityLoader({ client, paths, retry, isCacheStale });
+
+    await sanityLoader.defineLoader({ queryName: "posts" })();
+    expect(calls).toBe(2);
+  });
+
+  it("should rethrow when fallbackToStaleCache is not enabled", async () => {
+    await primeCache();
+    const client = createMockSanityClient(() => {
+      throw createServerError();
+    });
+    const sanityLoader = createSanityLoader({ client, paths, retry, isCacheStale: () => true });
+
+    await expect(sanityLoader.defineLoader({ queryName: "posts" })()).rejects.toThrow(/503/);
+  });
+
+  it("should return the stale cache when all retries fail", async () => {
+    await primeCache();
+    const client = createMockSanityClient(() => {
+      throw createServerError();
+    });
+    const sanityLoader = createSanityLoader({
+      client,
+      paths,
+      retry,
+      isCacheStale: () => true,
+      fallbackToStaleCache: true
+    });
+    const getPosts = sanityLoader.defineLoader({ queryName: "posts" });
+
+    expect(await getPosts()).toEqual([{ _id: "cached" }]);
+    expect(client.fetch).toHaveBeenCalledTimes(3);
+    expect(getPosts.meta.usedStaleCache).toBe(true);
+    expect(getPosts.meta.error.statusCode).toBe(503);
+  });
+
+  it("should return the stale cache when the staleness check fails", async () => {
+    await primeCache();
+    const client = createMockSanityClient(() => [{ _id: "live" }]);
+    const sanityLoader = createSanityLoader({
+      client,
+      paths,
+      retry,
+      isCacheStale: () => {
+        throw createServerError();
+      },
+    });
+    const getPosts = sanityLoader.defineLoader({ queryName: "posts", fallbackToStaleCache: true });
+
+    expect(await getPosts()).toEqual([{ _id: "cached" }]);
+    expect(client.fetch).not.toHaveBeenCalled();
+    expect(getPosts.meta.usedStaleCache).toBe(true);
+  });
+
+  it("should log and record errors thrown by transform", async () => {
+    const errorLog = vi.spyOn(console, "error").mockImplementation(() => {});
+    const client = createMockSanityClient(() => [{ _id: "live" }]);
+    const sanityLoader = createSanityLoader({ client, paths, isCacheStale: () => true });
+    const getPosts = sanityLoader.defineLoader({
+      queryName: "posts",
+      transform: async () => {
+        throw new Error("Transform failed");
+      }
+    });
+
+    await expect(getPosts()).rejects.toThrow("Transform failed");
+    expect(getPosts.meta.error.message).toBe("Transform failed");
+    expect(errorLog).toHaveBeenCalledWith(expect.any(String), "posts", "Error: Transform failed");
+    errorLog.mockRestore();
+  });
+
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { createSanityLoader, createMemoryCacheAdapter } from "../lib/index.js";
+import { createMockSanityClient, mockCacheNamespace } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/incremental",
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+const doc = (id, updatedAt, title = id) => ({ _id: id, _updatedAt: `2024-01-0${updatedAt}T00:00:00Z`, title });
+
+function setup(store) {
+  // Serves the collection, its changes, and documents by ID from the store
+  const client = createMockSanityClient((query, params) => {
+    if (query.startsWith("{")) {
+      return {
+        changed: store.documents.filter(({ _updatedAt }) => _updatedAt >= params.syncedAt),
+        ids: store.documents.map(({ _id }) => ({ _id }))
+      };
+    }
+    if (query.includes("$ids")) {
+      return store.documents.filter(({ _id }) => params.ids.includes(_id));
+    }
+    return store.documents;
+  });
+  const sanityLoader = createSanityLoader({
+    client,
+    paths,
+    cacheAdapter: store.cache,
+    isCacheStale: () => true
+  });
+  const getPosts = sanityLoader.defineLoader({ queryName: "posts", query: "*[_type == 'post'] | order(title)", incremental: true });
+  return { client, getPosts };
+}
+
+describe("Incremental Sync", () => {
+
+  it("should fetch only changes and merge them into the cached result", async () => {
+    const store = {
+      cache: createMemoryCacheAdapter(),
+      documents: [doc("a", 1), doc("b", 1), doc("c", 2)]
+    };
+    await setup(store).getPosts();
+
+    store.documents = [
+      doc("new", 4),                 // Added
+      doc("a", 1),                   // Unchanged
+      doc("c", 3, "c updated"),      // Updated
+      doc("joined", 1),              // Joined the collection without being updated
+    ];                               // "b" was removed
+    const { client, getPosts } = setup(store);
+    const posts = await getPosts();
+
+    expect(posts).toEqual(store.documents);
+    const [[deltaQuery, deltaParams], [idsQuery, idsParams]] = client.fetch.mock.calls;
+    expect(deltaQuery).toContain("[_updatedAt >= $syncedAt]");
+    expect(deltaParams.syncedAt).toBe("2024-01-02T00:00:00Z");
+    expect(idsQuery).toContain("[_id in $ids]");
+    expect(idsParams.ids).toEqual(["joined"]);
+    expect(store.cache.get(`${mockCacheNamespace}/posts`).result).toEqual(store.documents);
+  });
+
+  it("should fetch everything when the result can't be synced", async () => {
+    const store = {
+      cache: createMemoryCacheAdapter(),
+      documents: [{ _id: "a", title: "No _updatedAt" }]
+    };
+    await setup(store).getPosts();
+
+    const { client, getPosts } = setup(store);
+    expect(await getPosts()).toEqual(store.documents);
+    expect(client.fetch).toHaveBeenCalledWith("*[_type == 'post'] | order(title)");
+  });
+
+  it("should reject resolving references", () => {
+    const sanityLoader = createSanityLoader({ client: createMockSanityClient(), paths });
+    expect(() => sanityLoader.defineLoader({ queryName: "posts", incremental: true, resolveReferences: true }))
+      .toThrow("`incremental` can't be combined with `resolveReferences`");
+  });
+
+});
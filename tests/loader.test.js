@@ -13,10 +13,10 @@ const paths = {
 
 const queryName = "posts";
 const cacheDir = paths.cache;
-const cacheFile = path.join(cacheDir, `${ queryName }.json`);
-const timestampFile = path.join(cacheDir, "latest-update.txt");
 
 let sanityLoader;
+let namespace;
+let cacheFile;
 
 // --- Setup ---
 beforeAll(() => {
@@ -26,6 +26,10 @@ beforeAll(() => {
     paths: paths,
     verbose: false,
   });
+  // Entries are namespaced by project, dataset and API version
+  const { projectId, dataset, apiVersion } = sanityClient.config();
+  namespace = `${projectId}/${dataset}/${apiVersion}`;
+  cacheFile = path.join(cacheDir, namespace, `${ queryName }.json`);
 });
 
 // --- Cleanup ---
@@ -97,7 +101,10 @@ describe("Sanity Loader Core Mechanics", () => {
     const cacheStats1 = await fs.stat(cacheFile);
 
     // Manually write an old timestamp to simulate a stale cache
-    await fs.writeFile(timestampFile, "2024-01-01T00:00:00.000Z");
+    const { dataset } = sanityLoader.client.config();
+    await fs.writeFile(path.join(cacheDir, namespace, ".metadata", "datasets.json"), JSON.stringify({
+      [dataset]: { lastUpdated: "2024-01-01T00:00:00.000Z", documentCount: 0 }
+    }));
     
     // Wait a moment to ensure file modification times would be different if written
     await new Promise(resolve => setTimeout(resolve, 50));
@@ -155,7 +162,7 @@ describe("Sanity Loader Core Mechanics", () => {
     // with guaranteed different result structures to verify this.
 
     const cacheTestName = "query-change-test";
-    const cacheFilepath = path.join(cacheDir, `${cacheTestName}.json`);
+    const cacheFilepath = path.join(cacheDir, namespace, `${cacheTestName}.json`);
 
     // Loader 1 uses a query that returns a simple string (the current timestamp).
     const query1 = "now()";
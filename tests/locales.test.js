@@ -0,0 +1,102 @@
+import { describe, it, expect } from "vitest";
+import { createSanityLoader, createMemoryCacheAdapter } from "../lib/index.js";
+import { localizeFields, getFallbackChain } from "../lib/locales.js";
+import { createMockSanityClient } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/locales",
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+function createPage() {
+  return {
+    _id: "page-1",
+    title: { _type: "localeString", en: "Hello", fr: "Bonjour", "fr-CA": "" },
+    summary: [
+      { _key: "en", _type: "internationalizedArrayStringValue", value: "Summary" },
+      { _key: "fr", _type: "internationalizedArrayStringValue", value: null },
+    ],
+    sections: [
+      { _key: "a1", heading: { en: "Intro", de: "Einleitung" } },
+    ],
+    slug: { _type: "slug", current: "hello" },
+  };
+}
+
+describe("Field Localization", () => {
+
+  it("should build fallback chains", () => {
+    expect(getFallbackChain("fr", ["en"])).toEqual(["fr", "en"]);
+    expect(getFallbackChain("fr-CA", { "fr-CA": ["fr", "en"] })).toEqual(["fr-CA", "fr", "en"]);
+    expect(getFallbackChain("en", { "fr-CA": ["fr"] })).toEqual(["en"]);
+  });
+
+  it("should resolve locale objects and internationalized arrays with fallbacks", () => {
+    const page = localizeFields(createPage(), "fr-CA", {
+      fallback: { "fr-CA": ["fr", "en"] },
+      locales: ["en", "fr", "fr-CA", "de"]
+    });
+    expect(page).toEqual({
+      _id: "page-1",
+      title: "Bonjour",
+      summary: "Summary",
+      sections: [{ _key: "a1", heading: "Intro" }],
+      slug: { _type: "slug", current: "hello" },
+    });
+  });
+
+  it("should resolve missing values to null and leave other objects alone", () => {
+    const page = localizeFields(createPage(), "de");
+    expect(page.title).toEqual(createPage().title);
+    expect(page.sections[0].heading).toBe("Einleitung");
+    expect(page.slug).toEqual({ _type: "slug", current: "hello" });
+    expect(localizeFields({ en: "Hi" }, "fr")).toEqual({ en: "Hi" });
+    expect(localizeFields({ en: "Hi", url: "/" }, "en")).toEqual({ en: "Hi", url: "/" });
+    expect(localizeFields({ en: "Hi" }, "fr", { locales: ["en", "fr"] })).toBeNull();
+  });
+
+});
+
+describe("Locale Loaders", () => {
+
+  function setup(loaderOptions, cacheAdapter = createMemoryCacheAdapter()) {
+    const client = createMockSanityClient(() => [createPage()]);
+    const sanityLoader = createSanityLoader({ client, paths, cacheAdapter, isCacheStale: () => false });
+    const getPages = sanityLoader.defineLoader({ queryName: "pages", query: "*[_type == 'page' && language == $locale]", ...loaderOptions });
+    return { client, getPages, cacheAdapter };
+  }
+
+  it("should run once per locale and cache each locale", async () => {
+    const { client, getPages, cacheAdapter } = setup({
+      locales: ["en", "fr"],
+      localizeFields: { fallback: ["en"] }
+    });
+    const pages = await getPages({ preview: false });
+
+    expect(Object.keys(pages)).toEqual(["en", "fr"]);
+    expect(pages.en[0]).toMatchObject({ title: "Hello", summary: "Summary" });
+    expect(pages.fr[0]).toMatchObject({ title: "Bonjour", summary: "Summary" });
+    expect(client.fetch.mock.calls.map(([, params]) => params)).toEqual([
+      { preview: false, locale: "en" },
+      { preview: false, locale: "fr" },
+    ]);
+    expect(getPages.meta).toMatchObject({ source: "fetch", locales: { en: { source: "fetch" }, fr: { source: "fetch" } } });
+
+    // Cached results are stored unresolved
+    const next = setup({ locales: ["fr"], localeParam: "locale" }, cacheAdapter);
+    const cached = await next.getPages({ preview: false });
+    expect(next.client.fetch).not.toHaveBeenCalled();
+    expect(cached.fr[0].title).toEqual(createPage().title);
+  });
+
+  it("should resolve fields with the locale passed as a parameter", async () => {
+    const { getPages } = setup({ localizeFields: { locales: ["en", "fr"] } });
+    const [page] = await getPages({ locale: "fr" });
+    expect(page.title).toBe("Bonjour");
+
+    await expect(getPages()).rejects.toThrow("`localizeFields` needs a locale");
+  });
+
+});
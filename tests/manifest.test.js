@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import path from "path";
+import fs from "fs/promises";
+import { createSanityLoader, createMemoryCacheAdapter } from "../lib/index.js";
+import { createMockSanityClient, mockCacheNamespace } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/manifest/cache",
+  queries: "./tests/queries",
+  assets: "./tests/.cache/manifest/assets",
+  assetsPublic: "/assets",
+};
+
+const cdn = "https://cdn.sanity.io/images/mock-project/mock-dataset";
+const files = ["a-100x100.jpg", "b-100x100.jpg", "old-100x100.jpg"];
+
+// Assets already on disk are not downloaded again, so no network is needed
+beforeEach(async () => {
+  await fs.mkdir(paths.assets, { recursive: true });
+  await Promise.all(files.map(file => fs.writeFile(path.join(paths.assets, file), "")));
+});
+
+afterEach(async () => {
+  await fs.rm(path.dirname(paths.assets), { recursive: true, force: true });
+});
+
+function setup(cacheAdapter = createMemoryCacheAdapter()) {
+  const client = createMockSanityClient(() => [{ image: "a-100x100.jpg" }, { image: "b-100x100.jpg" }]);
+  const sanityLoader = createSanityLoader({ client, paths, cacheAdapter, isCacheStale: () => true });
+  const { saveAsset } = sanityLoader.utils;
+  const getPosts = sanityLoader.defineLoader({
+    queryName: "posts",
+    async transform(posts) {
+      for (const post of posts) {
+        post.src = await saveAsset(`${cdn}/${post.image}`);
+      }
+      return posts;
+    }
+  });
+  return { sanityLoader, getPosts };
+}
+
+describe("Asset Manifest", () => {
+
+  it("should record which assets each loader referenced", async () => {
+    const { sanityLoader, getPosts } = setup();
+    await getPosts();
+
+    const manifest = await sanityLoader.utils.getAssetManifest();
+    expect(manifest[`${mockCacheNamespace}/posts`]).toMatchObject({
+      queryName: "posts",
+      files: ["a-100x100.jpg", "b-100x100.jpg"]
+    });
+  });
+
+  it("should report unused assets in a dry run without removing them", async () => {
+    const { sanityLoader, getPosts } = setup();
+    await getPosts();
+
+    const report = await sanityLoader.utils.pruneAssets({ dryRun: true });
+    expect(report).toEqual({
+      dryRun: true,
+      removed: ["old-100x100.jpg"],
+      kept: ["a-100x100.jpg", "b-100x100.jpg"]
+    });
+    expect((await fs.readdir(paths.assets)).sort()).toEqual(files);
+  });
+
+  it("should remove unused assets", async () => {
+    const { sanityLoader, getPosts } = setup();
+    await getPosts();
+
+    await sanityLoader.utils.pruneAssets();
+    expect((await fs.readdir(paths.assets)).sort()).toEqual(["a-100x100.jpg", "b-100x100.jpg"]);
+  });
+
+  it("should persist the manifest but only prune against the current run", async () => {
+    const cacheAdapter = createMemoryCacheAdapter();
+    await setup(cacheAdapter).getPosts();
+
+    // A new process that didn't run any loader knows the entries, but not what is still referenced
+    const { sanityLoader } = setup(cacheAdapter);
+    expect(Object.keys(await sanityLoader.utils.getAssetManifest())).toEqual([`${mockCacheNamespace}/posts`]);
+    await expect(sanityLoader.utils.pruneAssets()).rejects.toThrow(/No asset references recorded in this run/);
+  });
+
+  it("should prune the assets of loaders that no longer run", async () => {
+    const cacheAdapter = createMemoryCacheAdapter();
+    const first = setup(cacheAdapter);
+    await first.getPosts();
+    await first.sanityLoader.defineLoader({
+      queryName: "legacy",
+      query: "*[_type == 'legacy']",
+      transform: () => first.sanityLoader.utils.saveAsset(`${cdn}/old-100x100.jpg`)
+    })();
+
+    const second = setup(cacheAdapter);
+    await second.getPosts();
+    const report = await second.sanityLoader.utils.pruneAssets();
+
+    expect(report.removed).toEqual(["old-100x100.jpg"]);
+    expect(Object.keys(await second.sanityLoader.utils.getAssetManifest())).toEqual([`${mockCacheNamespace}/posts`]);
+  });
+
+  it("should refuse to prune when nothing was recorded", async () => {
+    const { sanityLoader } = setup();
+    await expect(sanityLoader.utils.pruneAssets()).rejects.toThrow(/No asset references recorded/);
+  });
+
+});
@@ -0,0 +1,118 @@
+import { describe, it, expect, vi } from "vitest";
+import createImageUrl from "@sanity/image-url";
+import { createMemoryCacheAdapter } from "../lib/index.js";
+import { createImageMetadataLoader, normalizeImageMetadata } from "../lib/metadata.js";
+import { localizeAssets, saveImageSet, getAssetFilename } from "../lib/assets.js";
+import { localizeAssetsDefaults } from "../lib/defaults.js";
+
+const clientConfig = { projectId: "mock-project", dataset: "mock-dataset" };
+const imageUrlBuilder = createImageUrl(clientConfig);
+
+const dominant = { background: "#aa3322", foreground: "#fff", title: "#fff" };
+
+function createAssetMetadata(width, height) {
+  return {
+    dimensions: { width, height, aspectRatio: width / height },
+    lqip: "data:image/jpeg;base64,abc",
+    blurHash: "LKO2?U%2Tw=w",
+    dominant
+  };
+}
+
+function createFetch() {
+  return vi.fn(async (query, { ids }) => {
+    return ids
+      .filter(id => id !== "image-missing-10x10-jpg")
+      .map(_id => ({ _id, metadata: createAssetMetadata(800, 600) }));
+  });
+}
+
+function createContext(loader) {
+  return {
+    saveAsset: async url => `/assets/${getAssetFilename(url)}`,
+    imageUrl: source => imageUrlBuilder.image(source),
+    clientConfig,
+    getImageMetadata: ids => loader.loadMany(ids)
+  };
+}
+
+const image = id => ({ _type: "image", asset: { _type: "reference", _ref: id } });
+
+describe("Image Metadata", () => {
+
+  it("should normalize asset metadata", () => {
+    expect(normalizeImageMetadata({ ...createAssetMetadata(800, 600), dominant: undefined, palette: { dominant } }))
+      .toEqual({
+        width: 800,
+        height: 600,
+        aspectRatio: 800 / 600,
+        lqip: "data:image/jpeg;base64,abc",
+        dominant,
+        blurHash: "LKO2?U%2Tw=w"
+      });
+    expect(normalizeImageMetadata(null)).toBeNull();
+  });
+
+  it("should batch requests made at the same time into one query", async () => {
+    const fetch = createFetch();
+    const loader = createImageMetadataLoader({ cache: createMemoryCacheAdapter(), fetch });
+    const [a, b] = await Promise.all([
+      loader.loadMany(["image-a-800x600-jpg"]),
+      loader.loadMany(["image-b-800x600-jpg", "image-missing-10x10-jpg"])
+    ]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][1].ids).toEqual(["image-a-800x600-jpg", "image-b-800x600-jpg", "image-missing-10x10-jpg"]);
+    expect(a["image-a-800x600-jpg"]).toMatchObject({ width: 800, height: 600, dominant });
+    expect(b["image-missing-10x10-jpg"]).toBeNull();
+  });
+
+  it("should only request each asset once, across loaders sharing a cache", async () => {
+    const cache = createMemoryCacheAdapter();
+    const fetch = createFetch();
+    await createImageMetadataLoader({ cache, fetch }).loadMany(["image-a-800x600-jpg", "image-missing-10x10-jpg"]);
+    const metadata = await createImageMetadataLoader({ cache, fetch }).loadMany(["image-a-800x600-jpg", "image-missing-10x10-jpg"]);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(metadata["image-a-800x600-jpg"].lqip).toBe("data:image/jpeg;base64,abc");
+  });
+
+  it("should not fetch when offline", async () => {
+    const fetch = createFetch();
+    const loader = createImageMetadataLoader({ cache: createMemoryCacheAdapter(), fetch, offline: true });
+    expect(await loader.loadMany(["image-a-800x600-jpg"])).toEqual({ "image-a-800x600-jpg": null });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("should attach metadata when localizing assets, using dereferenced metadata as is", async () => {
+    const fetch = createFetch();
+    const loader = createImageMetadataLoader({ cache: createMemoryCacheAdapter(), fetch });
+    const dereferenced = {
+      _type: "image",
+      asset: { _id: "image-c-400x400-png", url: "https://cdn.sanity.io/images/mock-project/mock-dataset/c-400x400.png", metadata: createAssetMetadata(400, 400) }
+    };
+    const value = { images: [image("image-a-800x600-jpg"), image("image-b-800x600-jpg"), dereferenced] };
+
+    await localizeAssets(value, createContext(loader), { ...localizeAssetsDefaults, metadata: true });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][1].ids).toEqual(["image-a-800x600-jpg", "image-b-800x600-jpg"]);
+    expect(value.images[0].localMetadata).toMatchObject({ width: 800, height: 600 });
+    expect(value.images[2].localMetadata).toMatchObject({ width: 400, height: 400, blurHash: "LKO2?U%2Tw=w" });
+    expect(value.images[2].localUrl).toBeTruthy();
+  });
+
+  it("should include metadata in image sets when requested", async () => {
+    const fetch = createFetch();
+    const loader = createImageMetadataLoader({ cache: createMemoryCacheAdapter(), fetch });
+    const context = createContext(loader);
+    const [withMetadata, withoutMetadata] = await Promise.all([
+      saveImageSet(image("image-a-800x600-jpg"), context, { widths: [400], metadata: true }),
+      saveImageSet(image("image-b-800x600-jpg"), context, { widths: [400] })
+    ]);
+
+    expect(withMetadata.metadata).toMatchObject({ lqip: "data:image/jpeg;base64,abc", dominant });
+    expect(withoutMetadata).not.toHaveProperty("metadata");
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
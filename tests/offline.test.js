@@ -0,0 +1,85 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import fs from "fs/promises";
+import { createSanityLoader } from "../lib/index.js";
+import { createMockSanityClient } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/offline",
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+afterEach(async () => {
+  vi.unstubAllEnvs();
+  await fs.rm(paths.cache, { recursive: true, force: true });
+});
+
+/**
+ * Fills the cache by running the loader once with network access
+ */
+async function primeCache(options) {
+  const client = createMockSanityClient(() => [{ _id: "cached" }]);
+  const sanityLoader = createSanityLoader({ client, paths });
+  await sanityLoader.defineLoader(options)();
+}
+
+describe("Offline Mode", () => {
+
+  it("should serve stale cache without touching the network", async () => {
+    await primeCache({ queryName: "posts" });
+
+    const client = createMockSanityClient(() => [{ _id: "live" }]);
+    const isCacheStale = vi.fn(() => true);
+    const sanityLoader = createSanityLoader({ client, paths, isCacheStale, offline: true });
+
+    const posts = await sanityLoader.defineLoader({ queryName: "posts" })();
+
+    expect(posts).toEqual([{ _id: "cached" }]);
+    expect(isCacheStale).not.toHaveBeenCalled();
+    expect(client.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should be enabled through the SANITY_LOADER_OFFLINE environment variable", async () => {
+    await primeCache({ queryName: "posts" });
+    vi.stubEnv("SANITY_LOADER_OFFLINE", "true");
+
+    const client = createMockSanityClient();
+    const sanityLoader = createSanityLoader({ client, paths });
+
+    await sanityLoader.defineLoader({ queryName: "posts" })();
+    expect(client.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should throw an error naming the query without a cache entry", async () => {
+    const client = createMockSanityClient();
+    const sanityLoader = createSanityLoader({ client, paths, offline: true });
+    const getPosts = sanityLoader.defineLoader({ queryName: "posts" });
+
+    await expect(getPosts()).rejects.toThrow(/no cache entry for query \(posts\)/);
+    expect(client.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should tell entries of a different query or version apart from missing entries", async () => {
+    await primeCache({ queryName: "posts", expectedVersion: "1" });
+
+    const client = createMockSanityClient();
+    const sanityLoader = createSanityLoader({ client, paths, offline: true });
+    const changedVersion = sanityLoader.defineLoader({ queryName: "posts", expectedVersion: "2" });
+    const changedQuery = sanityLoader.defineLoader({ queryName: "posts", query: "*[_type == 'page']", expectedVersion: "1" });
+
+    await expect(changedVersion()).rejects.toThrow(/cache entry for query \(posts\) is for a different query or version/);
+    await expect(changedQuery()).rejects.toThrow(/is for a different query or version/);
+    expect(client.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should throw for loaders with caching disabled", async () => {
+    const client = createMockSanityClient();
+    const sanityLoader = createSanityLoader({ client, paths, offline: true });
+    const getPosts = sanityLoader.defineLoader({ query: "*[_type == 'post']", cacheEnabled: false });
+
+    await expect(getPosts()).rejects.toThrow(/Offline mode requires caching/);
+    expect(client.fetch).not.toHaveBeenCalled();
+  });
+
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from "vitest";
+import { createSanityLoader, createMemoryCacheAdapter } from "../lib/index.js";
+import { createMockSanityClient } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/paginate",
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+const documents = Array.from({ length: 7 }, (_, index) => ({ _id: `post-${index}`, title: `Post ${index}` }));
+
+// Serves the documents after $lastId, like the paginated query would
+function servePage(query, { lastId, pageSize }) {
+  return documents.filter(({ _id }) => _id > lastId).slice(0, pageSize);
+}
+
+function setup(loaderOptions, handler = servePage) {
+  const client = createMockSanityClient(handler);
+  const cacheAdapter = createMemoryCacheAdapter();
+  const sanityLoader = createSanityLoader({ client, paths, cacheAdapter, isCacheStale: () => true });
+  const getPosts = sanityLoader.defineLoader({ queryName: "posts", query: "*[_type == 'post']", ...loaderOptions });
+  return { client, cacheAdapter, getPosts };
+}
+
+describe("Paginated Fetching", () => {
+
+  it("should fetch in pages using the last _id as cursor", async () => {
+    const { client, getPosts } = setup({ paginate: { pageSize: 3 } });
+    const posts = await getPosts();
+
+    expect(posts).toEqual(documents);
+    expect(client.fetch).toHaveBeenCalledTimes(3);
+    const [query] = client.fetch.mock.calls[0];
+    expect(query).toBe("*[(_type == 'post') && _id > $lastId] | order(_id asc) [0...$pageSize]");
+    expect(client.fetch.mock.calls.map(([, params]) => params.lastId)).toEqual(["", "post-2", "post-5"]);
+  });
+
+  it("should cache the combined result with the original query and params", async () => {
+    const { cacheAdapter, getPosts } = setup({ paginate: { pageSize: 3 }, params: { lang: "en" } });
+    await getPosts();
+
+    const [key] = cacheAdapter.list();
+    expect(cacheAdapter.get(key)).toMatchObject({
+      result: documents,
+      query: "*[_type == 'post']",
+      params: { lang: "en" }
+    });
+  });
+
+  it("should stream pages and use queries that handle the cursor", async () => {
+    const onPage = vi.fn();
+    const query = "*[_type == 'post' && _id > $lastId] | order(_id) [0...$pageSize]";
+    const { client, getPosts } = setup({ query, paginate: { pageSize: 4, onPage } });
+    await getPosts();
+
+    expect(client.fetch.mock.calls[0][0]).toBe(query);
+    expect(onPage.mock.calls.map(([page, { index }]) => [index, page.length])).toEqual([[0, 4], [1, 3]]);
+  });
+
+  it("should page the document set and keep the projection", async () => {
+    const { client, getPosts } = setup({ query: "*[_type == 'post' || featured] { _id, title }", paginate: { pageSize: 10 } });
+    await getPosts();
+
+    expect(client.fetch.mock.calls[0][0])
+      .toBe("*[(_type == 'post' || featured) && _id > $lastId] | order(_id asc) [0...$pageSize] { _id, title }");
+  });
+
+  it("should reject queries that can't be paged", async () => {
+    const { client, getPosts } = setup({ query: "*[_type == 'post'] | order(title)", paginate: true });
+    await expect(getPosts()).rejects.toThrow("use `$lastId` and `$pageSize`");
+    expect(client.fetch).not.toHaveBeenCalled();
+  });
+
+  it("should reject results without an _id instead of caching an empty result", async () => {
+    const project = (query, params) => servePage(query, params).map(({ title }) => ({ title }));
+    const { cacheAdapter, getPosts } = setup({ query: "*[_type == 'post'] { title }", paginate: { pageSize: 10 } }, project);
+
+    await expect(getPosts()).rejects.toThrow("must return documents with an `_id`");
+    expect(cacheAdapter.list()).toEqual([]);
+  });
+
+  it("should reject pages that don't advance the cursor", async () => {
+    const { getPosts } = setup({ paginate: { pageSize: 2 } }, () => [{ _id: "b" }, { _id: "a" }]);
+    await expect(getPosts()).rejects.toThrow("ordered by `_id`");
+  });
+
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect, afterEach } from "vitest";
+import path from "path";
+import fs from "fs/promises";
+import { createSanityLoader } from "../lib/index.js";
+import { createMockSanityClient, mockCacheNamespace } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/params",
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+const query = "*[_type == 'post' && slug.current == $slug][0]";
+
+function createLoader(client) {
+  return createSanityLoader({
+    client,
+    paths,
+    isCacheStale: () => false,
+  });
+}
+
+async function listCacheFiles() {
+  const files = await fs.readdir(path.join(paths.cache, mockCacheNamespace)).catch(() => []);
+  return files.filter(file => file.startsWith("post"));
+}
+
+afterEach(async () => {
+  await fs.rm(paths.cache, { recursive: true, force: true });
+});
+
+describe("GROQ Parameters", () => {
+
+  it("should forward call time params to the client", async () => {
+    const client = createMockSanityClient((_query, params) => ({ slug: params.slug }));
+    const getPost = createLoader(client).defineLoader({ queryName: "post", query });
+
+    const post = await getPost({ slug: "hello" });
+
+    expect(post).toEqual({ slug: "hello" });
+    expect(client.fetch).toHaveBeenCalledWith(query, { slug: "hello" });
+  });
+
+  it("should merge fixed params with call time params", async () => {
+    const client = createMockSanityClient((_query, params) => params);
+    const getPost = createLoader(client).defineLoader({
+      queryName: "post",
+      query,
+      params: { slug: "fixed", lang: "en" },
+    });
+
+    const result = await getPost({ slug: "override" });
+
+    expect(result).toEqual({ slug: "override", lang: "en" });
+  });
+
+  it("should store each distinct parameter set as its own cache entry", async () => {
+    const client = createMockSanityClient((_query, params) => ({ slug: params.slug }));
+    const getPost = createLoader(client).defineLoader({ queryName: "post", query });
+
+    await getPost({ slug: "a" });
+    await getPost({ slug: "b" });
+
+    const files = await listCacheFiles();
+    expect(files).toHaveLength(2);
+
+    // Second round should be served from the cache
+    expect(await getPost({ slug: "a" })).toEqual({ slug: "a" });
+    expect(await getPost({ slug: "b" })).toEqual({ slug: "b" });
+    expect(client.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("should hash params independent of key order", async () => {
+    const client = createMockSanityClient(() => "result");
+    const getPost = createLoader(client).defineLoader({ queryName: "post", query });
+
+    await getPost({ slug: "a", lang: "en" });
+    await getPost({ lang: "en", slug: "a" });
+
+    expect(client.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("should record params in the cache entry and reject mismatches", async () => {
+    const client = createMockSanityClient(() => "result");
+    const getPost = createLoader(client).defineLoader({ queryName: "post", query });
+
+    await getPost({ slug: "a" });
+
+    const [file] = await listCacheFiles();
+    const filepath = path.join(paths.cache, mockCacheNamespace, file);
+    const entry = JSON.parse(await fs.readFile(filepath, "utf-8"));
+    expect(entry.params).toEqual({ slug: "a" });
+
+    // Tamper with the stored params, the entry should no longer be trusted
+    await fs.writeFile(filepath, JSON.stringify({ ...entry, params: { slug: "b" } }));
+    await getPost({ slug: "a" });
+    expect(client.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("should give concurrent calls their own meta", async () => {
+    let release;
+    const pending = new Promise(resolve => { release = resolve; });
+    const client = createMockSanityClient(async (_query, params) => {
+      if (params.slug === "b") await pending;
+      return { slug: params.slug };
+    });
+    const getPost = createLoader(client).defineLoader({ queryName: "post", query });
+    await getPost({ slug: "a" });
+
+    // The pending call doesn't touch the meta of the finished one
+    const slow = getPost({ slug: "b" });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(getPost.meta.source).toBe("fetch");
+    await getPost({ slug: "a" });
+    expect(getPost.meta.source).toBe("cache");
+
+    release();
+    await slow;
+    expect(getPost.meta.source).toBe("fetch");
+  });
+
+  it("should keep the plain queryName cache file when no params are used", async () => {
+    const client = createMockSanityClient(() => []);
+    const getPosts = createLoader(client).defineLoader({ queryName: "posts" });
+
+    await getPosts();
+
+    const stat = await fs.stat(path.join(paths.cache, mockCacheNamespace, "posts.json")).catch(() => null);
+    expect(stat).not.toBeNull();
+    expect(client.fetch).toHaveBeenCalledWith(expect.any(String));
+  });
+
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, afterEach } from "vitest";
+import fs from "fs/promises";
+import { createSanityLoader, createMemoryCacheAdapter } from "../lib/index.js";
+import { createMockSanityClient, mockCacheNamespace } from "./utils.js";
+
+const cacheDir = "./tests/.cache/perspective";
+const paths = {
+  cache: cacheDir,
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+afterEach(async () => {
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+/**
+ * Mock client with a published and a draft version of a post, the stale
+ * state query answers with the state of the perspective it's made in (the
+ * client's unless passed)
+ */
+function createPerspectiveClient(config) {
+  return createMockSanityClient((query, params, options = {}, clientConfig) => {
+    const preview = (options.perspective || clientConfig.perspective) === "previewDrafts";
+    if (query.includes("documentCount")) {
+      const state = { lastUpdated: preview ? "2025-01-02T00:00:00Z" : "2025-01-01T00:00:00Z", documentCount: 1 };
+      return { ...state, types: { post: state } };
+    }
+    return [{ _id: "post-1", title: preview ? "Draft" : "Published" }];
+  }, config);
+}
+
+describe("Perspectives", () => {
+
+  it("should fetch in the loader's perspective and cache each perspective separately", async () => {
+    const client = createPerspectiveClient();
+    const cache = createMemoryCacheAdapter();
+    const sanityLoader = createSanityLoader({ client, paths, cacheAdapter: cache });
+    const query = "*[_type == 'post']";
+    const getPosts = sanityLoader.defineLoader({ queryName: "posts", query });
+    const getPreviewPosts = sanityLoader.defineLoader({ queryName: "posts", query, perspective: "previewDrafts" });
+
+    expect((await getPosts())[0].title).toBe("Published");
+    expect((await getPreviewPosts())[0].title).toBe("Draft");
+    expect(client.fetch).toHaveBeenCalledWith(query, {}, { perspective: "previewDrafts" });
+    expect(client.fetch).toHaveBeenCalledWith(query);
+    expect((await cache.list()).sort()).toEqual([`${mockCacheNamespace}/posts`, `${mockCacheNamespace}/previewDrafts/posts`]);
+
+    const nextRun = createSanityLoader({ client, paths, cacheAdapter: cache, perspective: "previewDrafts" });
+    const getCachedPosts = nextRun.defineLoader({ queryName: "posts", query });
+    expect((await getCachedPosts())[0].title).toBe("Draft");
+    expect(getCachedPosts.meta.source).toBe("cache");
+  });
+
+  it("should cache in the namespace of the client's perspective", async () => {
+    const cache = createMemoryCacheAdapter();
+    const query = "*[_type == 'post']";
+    const previewClient = createPerspectiveClient({ perspective: "previewDrafts" });
+    const preview = createSanityLoader({ client: previewClient, paths, cacheAdapter: cache, isCacheStale: () => false });
+    expect((await preview.defineLoader({ queryName: "posts", query })())[0].title).toBe("Draft");
+
+    const production = createSanityLoader({ client: createPerspectiveClient(), paths, cacheAdapter: cache, isCacheStale: () => false });
+    const getPosts = production.defineLoader({ queryName: "posts", query });
+    expect((await getPosts())[0].title).toBe("Published");
+    expect(getPosts.meta.source).toBe("fetch");
+
+    // Without a perspective the client queries the API's default
+    const defaultClient = createPerspectiveClient({ perspective: undefined });
+    await createSanityLoader({ client: defaultClient, paths, cacheAdapter: cache }).defineLoader({ queryName: "posts", query })();
+    expect((await cache.list()).sort()).toEqual([
+      `${mockCacheNamespace}/default/posts`,
+      `${mockCacheNamespace}/posts`,
+      `${mockCacheNamespace}/previewDrafts/posts`
+    ]);
+  });
+
+  it("should check staleness in the perspective and store its state in the namespace", async () => {
+    const client = createPerspectiveClient();
+    const cache = createMemoryCacheAdapter();
+    const sanityLoader = createSanityLoader({ client, paths, cacheAdapter: cache, perspective: "previewDrafts" });
+    const getPosts = sanityLoader.defineLoader({ queryName: "posts", query: "*[_type == 'post']" });
+    await getPosts();
+
+    const [staleCheck] = client.fetch.mock.calls;
+    expect(staleCheck[2]).toEqual({ perspective: "previewDrafts" });
+    expect(await cache.getMeta(`${mockCacheNamespace}/datasets`)).toBeNull();
+    expect((await cache.getMeta(`${mockCacheNamespace}/previewDrafts/datasets`))["mock-dataset"])
+      .toMatchObject({ lastUpdated: "2025-01-02T00:00:00Z" });
+  });
+
+  it("should write namespaced entries to a subdirectory of the cache", async () => {
+    const client = createPerspectiveClient();
+    const sanityLoader = createSanityLoader({ client, paths, perspective: "raw", isCacheStale: () => true });
+    const getPosts = sanityLoader.defineLoader({ queryName: "posts", query: "*[_type == 'post']", perspective: "published" });
+    const getRawPosts = sanityLoader.defineLoader({ queryName: "posts", query: "*[_type == 'post']" });
+    await getPosts();
+    await getRawPosts();
+
+    const namespaceDir = `${cacheDir}/${mockCacheNamespace}`;
+    expect((await fs.readdir(namespaceDir)).sort()).toEqual(["posts.json", "raw"]);
+    expect(await fs.readdir(`${namespaceDir}/raw`)).toEqual(["posts.json"]);
+  });
+
+  it("should reject unknown perspectives", () => {
+    const client = createPerspectiveClient();
+    expect(() => createSanityLoader({ client, paths, perspective: "drafts" })).toThrow("Unknown perspective \"drafts\"");
+    const sanityLoader = createSanityLoader({ client, paths });
+    expect(() => sanityLoader.defineLoader({ queryName: "posts", perspective: "preview" })).toThrow(/^defineLoader: /);
+  });
+
+});
@@ -0,0 +1,231 @@
+import { describe, it, expect } from "vitest";
+import createImageUrl from "@sanity/image-url";
+import {
+  portableTextToHtml,
+  portableTextToMarkdown,
+  repairPortableText,
+  portableTextToPlainText,
+  getExcerpt,
+  getReadingTime,
+  getHeadings,
+  slugify
+} from "../lib/portable-text.js";
+
+const imageUrlBuilder = createImageUrl({ projectId: "mock-project", dataset: "mock-dataset" });
+const imageUrl = source => imageUrlBuilder.image(source);
+
+const span = (text, marks = []) => ({ _type: "span", text, marks });
+const block = (children, extra = {}) => ({ _type: "block", style: "normal", markDefs: [], children, ...extra });
+const item = (text, listItem, level = 1) => block([span(text)], { listItem, level });
+
+const body = [
+  block([span("Title")], { style: "h2" }),
+  block(
+    [span("Read "), span("the ", ["strong"]), span("docs", ["strong", "link1"]), span(" now & then")],
+    { markDefs: [{ _key: "link1", _type: "link", href: "https://example.com?a=1&b=2" }] }
+  ),
+  item("One", "bullet"),
+  item("Nested", "bullet", 2),
+  item("Two", "bullet"),
+  item("First", "number"),
+  { _type: "image", alt: "A photo", asset: { _type: "reference", _ref: "image-abc123-800x600-jpg" } },
+];
+
+describe("Portable Text Rendering", () => {
+
+  it("should render HTML with nested marks and lists", () => {
+    expect(portableTextToHtml(body, { imageUrl })).toBe([
+      "<h2>Title</h2>",
+      "<p>Read <strong>the <a href=\"https://example.com?a=1&amp;b=2\">docs</a></strong> now &amp; then</p>",
+      "<ul><li>One<ul><li>Nested</li></ul></li><li>Two</li></ul>",
+      "<ol><li>First</li></ol>",
+      "<img src=\"https://cdn.sanity.io/images/mock-project/mock-dataset/abc123-800x600.jpg\" alt=\"A photo\"/>",
+    ].join(""));
+  });
+
+  it("should render Markdown", () => {
+    expect(portableTextToMarkdown(body, { imageUrl })).toBe([
+      "## Title",
+      "Read **the [docs](https://example.com?a=1&b=2)** now & then",
+      "- One\n  - Nested\n- Two",
+      "1. First",
+      "![A photo](https://cdn.sanity.io/images/mock-project/mock-dataset/abc123-800x600.jpg)",
+    ].join("\n\n"));
+  });
+
+  it("should prefer locally saved image paths and apply image options", () => {
+    const image = { _type: "image", asset: { _ref: "image-abc123-800x600-jpg" } };
+    expect(portableTextToHtml([{ ...image, localUrl: "/assets/abc.jpg" }], { imageUrl }))
+      .toBe("<img src=\"/assets/abc.jpg\" alt=\"\"/>");
+    expect(portableTextToHtml([image], { imageUrl, image: { width: 400 } })).toContain("abc123-800x600.jpg?w=400");
+  });
+
+  it("should drop links and images with unsafe URLs", () => {
+    const link = href => block([span("x", ["l1"])], { markDefs: [{ _key: "l1", _type: "link", href }] });
+    expect(portableTextToHtml([link("javascript:alert(1)")])).toBe("<p><a>x</a></p>");
+    expect(portableTextToHtml([link(" Java\tScript:alert(1)")])).toBe("<p><a>x</a></p>");
+    expect(portableTextToHtml([link("data:text/html,<script>")])).toBe("<p><a>x</a></p>");
+    expect(portableTextToHtml([link("mailto:a@example.com")])).toBe("<p><a href=\"mailto:a@example.com\">x</a></p>");
+    expect(portableTextToHtml([link("tel:+123")])).toBe("<p><a href=\"tel:+123\">x</a></p>");
+    expect(portableTextToHtml([link("../docs?a=b:c#top")])).toBe("<p><a href=\"../docs?a=b:c#top\">x</a></p>");
+    expect(portableTextToMarkdown([link("javascript:alert(1)")])).toBe("x");
+    expect(portableTextToMarkdown([{ _type: "image", localUrl: "javascript:alert(1)" }])).toBe("");
+  });
+
+  it("should encode URLs that would break Markdown links", () => {
+    const link = block([span("x", ["l1"])], { markDefs: [{ _key: "l1", _type: "link", href: "https://example.com/a (b)\n<c>" }] });
+    expect(portableTextToMarkdown([link])).toBe("[x](https://example.com/a%20%28b%29%0A%3Cc%3E)");
+    expect(portableTextToMarkdown([{ _type: "image", alt: "A", localUrl: "/assets/my image).jpg" }]))
+      .toBe("![A](/assets/my%20image%29.jpg)");
+  });
+
+  it("should escape text and render line breaks", () => {
+    expect(portableTextToHtml([block([span("<b>\nx")])])).toBe("<p>&lt;b&gt;<br/>x</p>");
+    expect(portableTextToMarkdown([block([span("2 * 3_x")])])).toBe("2 \\* 3\\_x");
+  });
+
+  it("should keep code spans unescaped and fence them past inner backticks", () => {
+    expect(portableTextToMarkdown([block([span("Run "), span("`code` a*b", ["code"])])])).toBe("Run `` `code` a*b ``");
+    expect(portableTextToMarkdown([block([span("bold ", ["strong"]), span("a*b", ["strong", "code"])])])).toBe("**bold `a*b`**");
+    expect(portableTextToMarkdown([block([span("a*b", ["code", "strong"])])])).toBe("`a*b`");
+    expect(portableTextToMarkdown([block([span("x ``` y", ["code"])])])).toBe("````x ``` y````");
+    expect(portableTextToHtml([block([span("<a*b>", ["code"])])])).toBe("<p><code>&lt;a*b&gt;</code></p>");
+  });
+
+  it("should use serializer overrides for types, marks, blocks and lists", () => {
+    const blocks = [
+      block([span("Hi", ["highlight"])], { style: "lead" }),
+      { _type: "callout", text: "Note" },
+      item("A", "bullet"),
+      { _type: "unknown" },
+    ];
+    const html = portableTextToHtml(blocks, {
+      serializers: {
+        types: { callout: ({ value }) => `<aside>${value.text}</aside>` },
+        marks: { highlight: ({ children }) => `<mark>${children}</mark>` },
+        block: { lead: ({ children }) => `<p class="lead">${children}</p>` },
+        list: { bullet: ({ children }) => `<ul class="list">${children}</ul>` },
+      }
+    });
+    expect(html).toBe("<p class=\"lead\"><mark>Hi</mark></p><aside>Note</aside><ul class=\"list\"><li>A</li></ul>");
+  });
+
+});
+
+describe("Portable Text Repair", () => {
+
+  function createBody() {
+    return [
+      { _key: "a", _type: "block", markDefs: [{ _key: "l1", _type: "link", href: "/" }], children: [
+        { _key: "s1", _type: "span", text: "Hi", marks: ["strong", "l1", "gone"] },
+        { _key: "s1", _type: "span", text: 5 },
+        null,
+      ] },
+      { _key: "b", _type: "block" },
+      { _key: "a", _type: "image", asset: { _ref: "image-abc123-800x600-jpg" } },
+      { _key: "c", _type: "oldWidget" },
+      { text: "no type" },
+    ];
+  }
+
+  it("should repair blocks in place and report changes per field", () => {
+    const body = createBody();
+    const { changed, fields, issues } = repairPortableText({ body });
+
+    expect(changed).toBe(true);
+    expect(fields.body).toBe(body);
+    expect(body.map(({ _type }) => _type)).toEqual(["block", "block", "image", "oldWidget"]);
+    expect(body[0].children.map(({ marks }) => marks)).toEqual([["strong", "l1"], []]);
+    expect(body[0].children[1]).toMatchObject({ text: "5" });
+    expect(body[0].children[1]._key).not.toBe("s1");
+    expect(body[1].children).toEqual([expect.objectContaining({ _type: "span", text: "" })]);
+    expect(body[1].markDefs).toEqual([]);
+    expect(body[2]._key).not.toBe("a");
+
+    expect(issues.body.map(({ type, path }) => `${type} ${path}`)).toEqual([
+      "missingMarkDef body[0].children[0]",
+      "duplicateKey body[0].children[1]",
+      "invalidSpan body[0].children[1]",
+      "invalidChild body[0].children[2]",
+      "missingChildren body[1]",
+      "duplicateKey body[2]",
+      "invalidBlock body[4]",
+    ]);
+    expect(issues.body[0]).toMatchObject({ key: "a", message: "Removed mark \"gone\" that has no markDef" });
+  });
+
+  it("should leave the fields untouched when not mutating", () => {
+    const body = createBody();
+    const { fields, issues } = repairPortableText({ body }, { mutate: false, allowedTypes: ["block"] });
+
+    expect(body).toEqual(createBody());
+    expect(fields.body.map(({ _type }) => _type)).toEqual(["block", "block"]);
+    expect(issues.body.filter(({ type }) => type === "disallowedType").map(({ key }) => key)).toEqual(["a", "c"]);
+  });
+
+  it("should generate stable keys and report nothing for valid content", () => {
+    const first = repairPortableText({ body: createBody() });
+    const second = repairPortableText({ body: createBody() });
+    expect(first.fields.body.map(({ _key }) => _key)).toEqual(second.fields.body.map(({ _key }) => _key));
+
+    const again = repairPortableText(first.fields);
+    expect(again).toMatchObject({ changed: false, issues: { body: [] } });
+  });
+
+});
+
+describe("Portable Text Analysis", () => {
+
+  const heading = (text, style) => block([span(text)], { style, _key: text });
+  const article = [
+    heading("Intro", "h2"),
+    block([span("The quick "), span("brown", ["em"]), span(" fox jumps over the lazy dog.")]),
+    { _type: "image", asset: { _ref: "image-abc123-800x600-jpg" } },
+    heading("Details & Über", "h3"),
+    heading("Intro", "h2"),
+    heading("Deep", "h4"),
+    item("Not a heading", "bullet"),
+  ];
+
+  it("should extract plain text from text blocks", () => {
+    expect(portableTextToPlainText(article.slice(0, 3)))
+      .toBe("Intro\n\nThe quick brown fox jumps over the lazy dog.");
+  });
+
+  it("should cut excerpts at word boundaries", () => {
+    expect(getExcerpt(article.slice(1, 2), { length: 20 })).toBe("The quick brown fox…");
+    expect(getExcerpt("One, two three", { length: 9, ellipsis: "..." })).toBe("One, two...");
+    expect(getExcerpt("Short text")).toBe("Short text");
+    expect(getExcerpt("Supercalifragilistic", { length: 5 })).toBe("Super…");
+  });
+
+  it("should estimate reading time", () => {
+    expect(getReadingTime(article.slice(1, 2))).toEqual({ words: 9, minutes: 1 });
+    expect(getReadingTime("word ".repeat(450), { wordsPerMinute: 200 })).toEqual({ words: 450, minutes: 3 });
+    expect(getReadingTime([])).toEqual({ words: 0, minutes: 0 });
+  });
+
+  it("should build a heading tree with unique anchors", () => {
+    expect(slugify("Details & Über")).toBe("details-uber");
+    expect(getHeadings(article)).toEqual([
+      {
+        text: "Intro", level: 2, id: "intro", key: "Intro", children: [
+          { text: "Details & Über", level: 3, id: "details-uber", key: "Details & Über", children: [] }
+        ]
+      },
+      {
+        text: "Intro", level: 2, id: "intro-2", key: "Intro", children: [
+          { text: "Deep", level: 4, id: "deep", key: "Deep", children: [] }
+        ]
+      },
+    ]);
+  });
+
+  it("should add matching heading ids to the HTML", () => {
+    const html = portableTextToHtml(article, { headingIds: true });
+    const ids = [...html.matchAll(/<h\d id="([^"]+)"/g)].map(match => match[1]);
+    expect(ids).toEqual(["intro", "details-uber", "intro-2", "deep"]);
+    expect(portableTextToHtml(article.slice(0, 1))).toBe("<h2>Intro</h2>");
+  });
+
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect } from "vitest";
+import { createSanityLoader, createMemoryCacheAdapter } from "../lib/index.js";
+import { findReferences } from "../lib/references.js";
+import { createMockSanityClient } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/references",
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+const ref = (id, extra = {}) => ({ _type: "reference", _ref: id, ...extra });
+
+const documents = {
+  "author-1": { _id: "author-1", _type: "author", name: "Ada", employer: ref("company-1") },
+  "author-2": { _id: "author-2", _type: "author", name: "Grace", employer: ref("company-1") },
+  "company-1": { _id: "company-1", _type: "company", name: "Acme", founder: ref("author-1") },
+};
+
+function createPosts() {
+  return [
+    {
+      _id: "post-1",
+      author: ref("author-1"),
+      related: [ref("post-1", { _key: "self" }), ref("author-2", { _key: "k2" }), ref("missing", { _key: "k3" })],
+      image: { asset: ref("image-abc123-800x600-jpg") }
+    },
+    { _id: "post-2", author: ref("author-1") },
+  ];
+}
+
+function setup(loaderOptions, options) {
+  const client = createMockSanityClient((query, params) => {
+    if (query === "*[_id in $ids]") {
+      return params.ids.map(id => documents[id]).filter(Boolean);
+    }
+    return createPosts();
+  });
+  const sanityLoader = createSanityLoader({
+    client,
+    paths,
+    cacheAdapter: createMemoryCacheAdapter(),
+    isCacheStale: () => true,
+    ...options
+  });
+  const getPosts = sanityLoader.defineLoader({ queryName: "posts", query: "*[_type == 'post']", ...loaderOptions });
+  const documentFetches = () => client.fetch.mock.calls.filter(([query]) => query === "*[_id in $ids]");
+  return { client, sanityLoader, getPosts, documentFetches };
+}
+
+describe("Reference Resolution", () => {
+
+  it("should find document references but not asset references", () => {
+    expect(findReferences(createPosts()).map(({ id }) => id)).toEqual(["author-1", "post-1", "author-2", "missing", "author-1"]);
+  });
+
+  it("should replace references with documents in one batched query", async () => {
+    const { getPosts, documentFetches } = setup({ resolveReferences: true });
+    const posts = await getPosts();
+
+    expect(posts[0].author).toMatchObject({ _id: "author-1", name: "Ada", employer: ref("company-1") });
+    expect(posts[1].author).toMatchObject({ name: "Ada" });
+    expect(posts[1].author).not.toBe(posts[0].author);
+    expect(posts[0].related[1]).toMatchObject({ _key: "k2", _id: "author-2" });
+    expect(posts[0].related[2]).toEqual(ref("missing", { _key: "k3" }));
+    expect(posts[0].image.asset).toEqual(ref("image-abc123-800x600-jpg"));
+
+    expect(documentFetches()).toHaveLength(1);
+    expect(documentFetches()[0][1].ids.sort()).toEqual(["author-1", "author-2", "missing"]);
+  });
+
+  it("should not resolve references to documents they are nested in", async () => {
+    const { getPosts } = setup({ resolveReferences: { depth: 3 } });
+    const [post] = await getPosts();
+
+    expect(post.related[0]).toEqual(ref("post-1", { _key: "self" }));
+    expect(post.author.employer).toMatchObject({ _id: "company-1", founder: ref("author-1") });
+    expect(post.related[1].employer.founder).toMatchObject({ _id: "author-1", employer: ref("company-1") });
+  });
+
+  it("should attach documents and share them between loaders", async () => {
+    const { sanityLoader, getPosts, documentFetches } = setup({ resolveReferences: { mode: "attach", property: "doc" } });
+    const [post] = await getPosts();
+    expect(post.author).toMatchObject({ _ref: "author-1", doc: { name: "Ada" } });
+
+    const getPost = sanityLoader.defineLoader({ queryName: "post", query: "*[_id == 'post-2'][0]", resolveReferences: true });
+    await getPost();
+    const resolved = await sanityLoader.utils.resolveReferences({ author: ref("author-2") });
+
+    expect(resolved.author.name).toBe("Grace");
+    expect(documentFetches()).toHaveLength(1);
+  });
+
+  it("should refetch referenced documents after each stale check", async () => {
+    const { getPosts, documentFetches } = setup({ resolveReferences: true }, { invalidateCachePerCall: true });
+    await getPosts();
+    documents["author-1"].name = "Ada Lovelace";
+    try {
+      const [post] = await getPosts();
+      expect(post.author.name).toBe("Ada Lovelace");
+      expect(documentFetches()).toHaveLength(2);
+    } finally {
+      documents["author-1"].name = "Ada";
+    }
+  });
+
+  it("should cache the resolved result", async () => {
+    const cacheAdapter = createMemoryCacheAdapter();
+    const first = setup({ resolveReferences: true }, { cacheAdapter });
+    await first.getPosts();
+
+    const second = setup({ resolveReferences: true }, { cacheAdapter, isCacheStale: () => false });
+    const posts = await second.getPosts();
+    expect(posts[0].author.name).toBe("Ada");
+    expect(second.client.fetch).not.toHaveBeenCalled();
+  });
+
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, afterEach, vi } from "vitest";
+import { createSanityLoader, createMemoryCacheAdapter } from "../lib/index.js";
+import { createMockSanityClient, mockCacheNamespace } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/revalidate",
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+function setup(loaderOptions) {
+  let version = 1;
+  const client = createMockSanityClient(() => [{ _id: "a", version }]);
+  const isCacheStale = vi.fn(() => true);
+  const sanityLoader = createSanityLoader({
+    client,
+    paths,
+    isCacheStale,
+    cacheAdapter: createMemoryCacheAdapter()
+  });
+  const getPosts = sanityLoader.defineLoader({ queryName: "posts", ...loaderOptions });
+  const publish = () => version++;
+  return { client, isCacheStale, sanityLoader, getPosts, publish };
+}
+
+describe("Max Age", () => {
+
+  it("should record when results were fetched", async () => {
+    const { sanityLoader, getPosts } = setup();
+    await getPosts();
+    const entry = await sanityLoader.cache.get(`${mockCacheNamespace}/posts`);
+    expect(Date.parse(entry.fetchedAt)).not.toBeNaN();
+  });
+
+  it("should serve the cache without a network check until maxAge has passed", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    const { client, isCacheStale, getPosts, publish } = setup({ maxAge: 60 });
+
+    await getPosts();
+    publish();
+    vi.advanceTimersByTime(30 * 1000);
+    expect(await getPosts()).toEqual([{ _id: "a", version: 1 }]);
+    expect(client.fetch).toHaveBeenCalledTimes(1);
+    expect(isCacheStale).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(31 * 1000);
+    expect(await getPosts()).toEqual([{ _id: "a", version: 2 }]);
+    expect(client.fetch).toHaveBeenCalledTimes(2);
+  });
+
+});
+
+describe("Stale While Revalidate", () => {
+
+  it("should return the cache immediately and refresh it in the background", async () => {
+    const { client, sanityLoader, getPosts, publish } = setup({ staleWhileRevalidate: true });
+    const onRevalidated = vi.fn();
+    sanityLoader.events.on("revalidated", onRevalidated);
+
+    await getPosts();
+    publish();
+
+    const revalidated = new Promise(resolve => sanityLoader.events.once("revalidated", resolve));
+    expect(await getPosts()).toEqual([{ _id: "a", version: 1 }]);
+
+    const event = await revalidated;
+    expect(event).toMatchObject({ queryName: "posts", result: [{ _id: "a", version: 2 }] });
+    expect(client.fetch).toHaveBeenCalledTimes(2);
+    expect(await getPosts()).toEqual([{ _id: "a", version: 2 }]);
+  });
+
+  it("should not emit when the refreshed data is unchanged", async () => {
+    const { client, sanityLoader, getPosts } = setup({ staleWhileRevalidate: true });
+    const onRevalidated = vi.fn();
+    sanityLoader.events.on("revalidated", onRevalidated);
+
+    await getPosts();
+    await getPosts();
+    await vi.waitFor(() => expect(client.fetch).toHaveBeenCalledTimes(2));
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(onRevalidated).not.toHaveBeenCalled();
+  });
+
+  it("should not emit when the cached result was changed by transform", async () => {
+    const transform = posts => {
+      posts.forEach(post => { post.transformed = true; });
+      return posts;
+    };
+    const { client, sanityLoader, getPosts } = setup({ staleWhileRevalidate: true, transform });
+    const onRevalidated = vi.fn();
+    sanityLoader.events.on("revalidated", onRevalidated);
+
+    await getPosts();
+    expect(await getPosts()).toEqual([{ _id: "a", version: 1, transformed: true }]);
+    await vi.waitFor(() => expect(client.fetch).toHaveBeenCalledTimes(2));
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(onRevalidated).not.toHaveBeenCalled();
+  });
+
+  it("should only revalidate once maxAge has passed", async () => {
+    const { client, getPosts } = setup({ staleWhileRevalidate: true, maxAge: 60 });
+
+    await getPosts();
+    await getPosts();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(client.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("should emit revalidateError when the background refresh fails", async () => {
+    const { client, sanityLoader, getPosts } = setup({ staleWhileRevalidate: true });
+    await getPosts();
+
+    client.fetch.mockRejectedValue(Object.assign(new Error("Bad request"), { statusCode: 400 }));
+    const failed = new Promise(resolve => sanityLoader.events.once("revalidateError", resolve));
+
+    expect(await getPosts()).toEqual([{ _id: "a", version: 1 }]);
+    expect((await failed).error.message).toBe("Bad request");
+  });
+
+});
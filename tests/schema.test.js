@@ -0,0 +1,113 @@
+import { describe, it, expect } from "vitest";
+import { createSanityLoader, createMemoryCacheAdapter } from "../lib/index.js";
+import { validateSchema } from "../lib/schema.js";
+import { createMockSanityClient } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/schema",
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+const postSchema = {
+  type: "object",
+  required: ["_id", "title", "slug"],
+  properties: {
+    _id: { type: "string" },
+    title: { type: "string", minLength: 1 },
+    slug: { type: "string", pattern: "^[a-z0-9-]+$" },
+    rating: { type: "integer", minimum: 1, maximum: 5 },
+    author: { $ref: "#/$defs/author" },
+    tags: { type: "array", items: { enum: ["news", "guide"] } },
+  },
+  $defs: {
+    author: {
+      type: ["object", "null"],
+      required: ["name"],
+      properties: { _id: { type: "string" }, name: { type: "string" } },
+      additionalProperties: false
+    }
+  }
+};
+
+function createPosts() {
+  return [
+    { _id: "post-1", title: "Hello", slug: "hello", rating: 5, author: null, tags: ["news"] },
+    { _id: "post-2", title: "", slug: "Bad Slug", rating: 2.5 },
+    { _id: "post-3", slug: "ok", author: { _id: "author-1", nickname: "A" }, tags: ["misc"] },
+  ];
+}
+
+describe("Schema Validation", () => {
+
+  it("should collect every issue with its path and document _id", () => {
+    const issues = createPosts().flatMap((post, index) => validateSchema(post, postSchema, `[${index}]`));
+    expect(issues.map(({ path, _id, message }) => `${_id} ${path}: ${message}`)).toEqual([
+      "post-2 [1].title: must not be empty",
+      "post-2 [1].slug: must match ^[a-z0-9-]+$",
+      "post-2 [1].rating: must be integer (got number)",
+      "post-3 [2].title: is required",
+      "author-1 [2].author.name: is required",
+      "author-1 [2].author.nickname: is not allowed",
+      "post-3 [2].tags[0]: must be one of \"news\", \"guide\"",
+    ]);
+  });
+
+  it("should support combinators and report type mismatches", () => {
+    const schema = { anyOf: [{ type: "string" }, { type: "number" }] };
+    expect(validateSchema("a", schema)).toEqual([]);
+    expect(validateSchema(true, schema)[0].message).toBe("must match at least one schema in anyOf");
+    expect(validateSchema(null, { type: "object" })[0]).toEqual({ path: "", message: "must be object (got null)", _id: null });
+    expect(validateSchema({ a: 1 }, { oneOf: [{ required: ["a"] }, { required: ["b"] }] })).toEqual([]);
+    expect(validateSchema(1, { not: { type: "number" } })).toHaveLength(1);
+  });
+
+});
+
+describe("Loader Schemas", () => {
+
+  function setup(loaderOptions) {
+    const client = createMockSanityClient(() => createPosts());
+    const sanityLoader = createSanityLoader({ client, paths, cacheAdapter: createMemoryCacheAdapter(), isCacheStale: () => true });
+    return sanityLoader.defineLoader({ queryName: "posts", query: "*[_type == 'post']", schema: postSchema, ...loaderOptions });
+  }
+
+  it("should throw an aggregated error before transform", async () => {
+    let transformed = false;
+    const getPosts = setup({ transform: result => { transformed = true; return result; } });
+
+    const error = await getPosts().catch(error => error);
+    expect(error.message).toMatch(/^defineLoader: Result of query \(posts\) has 7 validation issue\(s\):/);
+    expect(error.message).toContain("  (post-2) [1].title: must not be empty");
+    expect(error.issues[0]).toEqual({ path: "[1].title", message: "must not be empty", _id: "post-2", queryName: "posts" });
+    expect(getPosts.meta.issues).toHaveLength(7);
+    expect(transformed).toBe(false);
+  });
+
+  it("should warn or filter out invalid items", async () => {
+    const warned = setup({ onInvalid: "warn" });
+    expect(await warned()).toHaveLength(3);
+    expect(warned.meta.issues).toHaveLength(7);
+
+    const filtered = setup({ onInvalid: "filter" });
+    expect((await filtered()).map(({ _id }) => _id)).toEqual(["post-1"]);
+  });
+
+  it("should use validator functions", async () => {
+    const getPosts = setup({
+      onInvalid: "filter",
+      schema: post => post.title ? true : ["Missing title", { path: "slug", message: "Check the slug" }]
+    });
+    expect((await getPosts()).map(({ _id }) => _id)).toEqual(["post-1"]);
+    expect(getPosts.meta.issues.map(({ path, message }) => `${path} ${message}`)).toEqual([
+      "[1] Missing title",
+      "[1].slug Check the slug",
+      "[2] Missing title",
+      "[2].slug Check the slug",
+    ]);
+
+    expect(() => setup({ onInvalid: "ignore" })).toThrow("defineLoader: `onInvalid` must be one of throw, warn, filter.");
+  });
+
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect, afterEach } from "vitest";
+import path from "path";
+import fs from "fs/promises";
+import { defaultSanityLoaderOptions } from "../lib/defaults.js";
+import { createSanityLoader } from "../lib/index.js";
+import { inferDocumentTypes } from "../lib/utils.js";
+import { createMockSanityClient } from "./utils.js";
+
+const cacheDir = "./tests/.cache/stale-state";
+const metadataFile = path.join(cacheDir, ".metadata", "datasets.json");
+const { isCacheStale } = defaultSanityLoaderOptions;
+
+afterEach(async () => {
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+describe("Default isCacheStale Strategy", () => {
+
+  it("should be stale on the first check and store structured metadata", async () => {
+    const state = { lastUpdated: "2025-01-01T00:00:00Z", documentCount: 10 };
+    const client = createMockSanityClient(() => state);
+
+    expect((await isCacheStale(client, { cacheDir })).isStale).toBe(true);
+
+    const metadata = JSON.parse(await fs.readFile(metadataFile, "utf-8"));
+    expect(metadata["mock-dataset"]).toMatchObject(state);
+    expect(client.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("should be fresh when nothing changed", async () => {
+    const client = createMockSanityClient(() => ({ lastUpdated: "2025-01-01T00:00:00Z", documentCount: 10 }));
+
+    await isCacheStale(client, { cacheDir });
+    expect((await isCacheStale(client, { cacheDir })).isStale).toBe(false);
+  });
+
+  it("should detect edits through the latest timestamp", async () => {
+    let lastUpdated = "2025-01-01T00:00:00Z";
+    const client = createMockSanityClient(() => ({ lastUpdated, documentCount: 10 }));
+
+    await isCacheStale(client, { cacheDir });
+    lastUpdated = "2025-01-02T00:00:00Z";
+    expect((await isCacheStale(client, { cacheDir })).isStale).toBe(true);
+  });
+
+  it("should detect deleted documents through the document count", async () => {
+    let documentCount = 10;
+    const client = createMockSanityClient(() => ({ lastUpdated: "2025-01-01T00:00:00Z", documentCount }));
+
+    await isCacheStale(client, { cacheDir });
+    documentCount = 9;
+    expect((await isCacheStale(client, { cacheDir })).isStale).toBe(true);
+    expect((await isCacheStale(client, { cacheDir })).isStale).toBe(false);
+  });
+
+});
+
+describe("Query Scoped Invalidation", () => {
+
+  const paths = {
+    cache: cacheDir,
+    queries: "./tests/queries",
+    assets: "./tests/assets",
+    assetsPublic: "/assets",
+  };
+
+  /**
+   * Mock client answering the stale state query from a mutable dataset state,
+   * and every other query with an empty array
+   */
+  function createStateClient(state) {
+    return createMockSanityClient((query, params = {}) => {
+      if (!query.includes("documentCount")) return [];
+      const types = {};
+      Object.values(params).forEach(type => {
+        types[type] = state.types[type];
+      });
+      return { lastUpdated: state.lastUpdated, documentCount: state.documentCount, types };
+    });
+  }
+
+  function createState() {
+    return {
+      lastUpdated: "2025-01-01T00:00:00Z",
+      documentCount: 2,
+      types: {
+        post: { lastUpdated: "2025-01-01T00:00:00Z", documentCount: 1 },
+        siteSettings: { lastUpdated: "2024-12-01T00:00:00Z", documentCount: 1 },
+      }
+    };
+  }
+
+  it("should infer document types from _type filters", () => {
+    expect(inferDocumentTypes("*[_type == \"post\"] | order(_createdAt asc)")).toEqual(["post"]);
+    expect(inferDocumentTypes("*['siteSettings' == _type][0]")).toEqual(["siteSettings"]);
+    expect(inferDocumentTypes("*[_type in [\"post\", \"page\"]]")).toEqual(["post", "page"]);
+    expect(inferDocumentTypes(`{
+      "posts": *[_type == "post"],
+      "settings": *[_type == "siteSettings"][0]
+    }`)).toEqual(["post", "siteSettings"]);
+  });
+
+  it("should not infer document types when dependencies are unknown", () => {
+    expect(inferDocumentTypes("*[_id == \"abc\"][0]")).toBeNull();
+    expect(inferDocumentTypes("*[_type == \"post\"]{ author-> }")).toBeNull();
+    expect(inferDocumentTypes("{ \"posts\": *[_type == \"post\"], \"count\": count(*) }")).toBeNull();
+    expect(inferDocumentTypes("now()")).toBeNull();
+  });
+
+  it("should only infer document types from conditions every document must meet", () => {
+    expect(inferDocumentTypes("*[_type == \"a\" || slug.current == \"x\"]")).toBeNull();
+    expect(inferDocumentTypes("*[(_type == \"a\" || _type == \"b\") && defined(slug)]")).toBeNull();
+    expect(inferDocumentTypes("*[!(_type == \"a\")]")).toBeNull();
+    expect(inferDocumentTypes("*[(_type == \"a\") && (featured || pinned)]")).toEqual(["a"]);
+    expect(inferDocumentTypes("*[_type == \"post\"]{ \"comments\": *[_type == \"comment\" && post._ref == ^._id] }"))
+      .toEqual(["post", "comment"]);
+  });
+
+  it("should handle path() filters and strings in filters", () => {
+    expect(inferDocumentTypes("*[_id in path(\"drafts.**\")]")).toBeNull();
+    expect(inferDocumentTypes("*[_type == \"post\" || _id in path(\"drafts.**\")]")).toBeNull();
+    expect(inferDocumentTypes("*[_type == \"post\" && _id in path(\"drafts.**\")]")).toEqual(["post"]);
+    expect(inferDocumentTypes("*[_type == \"post\" && title == \"a ] || b\"]")).toEqual(["post"]);
+  });
+
+  it("should report stale state per document type", async () => {
+    const state = createState();
+    const client = createStateClient(state);
+    const documentTypes = ["post", "siteSettings"];
+
+    await isCacheStale(client, { cacheDir, documentTypes });
+    state.lastUpdated = state.types.siteSettings.lastUpdated = "2025-02-01T00:00:00Z";
+
+    const result = await isCacheStale(client, { cacheDir, documentTypes });
+    expect(result).toEqual({ isStale: true, types: { post: false, siteSettings: true } });
+  });
+
+  it("should only refetch loaders whose document types changed", async () => {
+    const state = createState();
+    const client = createStateClient(state);
+    const createLoader = () => createSanityLoader({ client, paths });
+
+    const run = async () => {
+      const sanityLoader = createLoader();
+      const getPosts = sanityLoader.defineLoader({ queryName: "posts" });
+      const getSettings = sanityLoader.defineLoader({
+        queryName: "settings",
+        query: "*[_type == 'siteSettings'][0]"
+      });
+      await getPosts();
+      await getSettings();
+    };
+
+    await run();
+    client.fetch.mockClear();
+
+    // Edit the settings document, only the settings loader should fetch
+    state.lastUpdated = state.types.siteSettings.lastUpdated = "2025-02-01T00:00:00Z";
+    await run();
+
+    const queries = client.fetch.mock.calls.map(([query]) => query);
+    expect(queries).toHaveLength(2);
+    expect(queries[0]).toContain("documentCount");
+    expect(queries[1]).toBe("*[_type == 'siteSettings'][0]");
+  });
+
+  it("should batch the checks of all defined loaders into one request", async () => {
+    const client = createStateClient(createState());
+    const sanityLoader = createSanityLoader({ client, paths });
+    const getPosts = sanityLoader.defineLoader({ queryName: "posts" });
+    const getSettings = sanityLoader.defineLoader({
+      queryName: "settings",
+      query: "*[_type == 'siteSettings'][0]"
+    });
+
+    await Promise.all([getPosts(), getSettings()]);
+
+    const checks = client.fetch.mock.calls.filter(([query]) => query.includes("documentCount"));
+    expect(checks).toHaveLength(1);
+    expect(Object.values(checks[0][1])).toEqual(["post", "siteSettings"]);
+  });
+
+  it("should use declared document types over inferred ones", async () => {
+    const state = createState();
+    const client = createStateClient(state);
+    const run = async () => {
+      const sanityLoader = createSanityLoader({ client, paths });
+      const getPost = sanityLoader.defineLoader({
+        queryName: "post-with-author",
+        query: "*[_type == 'post'][0]{ title, author-> }",
+        documentTypes: ["post"]
+      });
+      await getPost();
+    };
+
+    await run();
+    client.fetch.mockClear();
+    state.lastUpdated = state.types.siteSettings.lastUpdated = "2025-02-01T00:00:00Z";
+    await run();
+
+    expect(client.fetch).toHaveBeenCalledTimes(1);
+  });
+
+});
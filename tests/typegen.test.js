@@ -0,0 +1,166 @@
+import { describe, it, expect } from "vitest";
+import fs from "fs-extra";
+import { createSanityLoader, createMemoryCacheAdapter } from "../lib/index.js";
+import { generateTypeDeclarations } from "../lib/typegen.js";
+import { createMockSanityClient } from "./utils.js";
+
+const paths = {
+  cache: "./tests/.cache/typegen",
+  queries: "./tests/queries",
+  assets: "./tests/assets",
+  assetsPublic: "/assets",
+};
+
+function createPosts() {
+  return [
+    {
+      _id: "post-1",
+      title: "Hello",
+      body: [
+        { _type: "block", _key: "a", children: [{ _type: "span", text: "Hi" }] },
+        { _type: "image", _key: "b", asset: { _type: "reference", _ref: "image-1" } }
+      ],
+      rating: 5
+    },
+    { _id: "post-2", title: null, body: [] },
+  ];
+}
+
+function setup(options) {
+  const client = createMockSanityClient(() => createPosts());
+  const sanityLoader = createSanityLoader({
+    client,
+    paths,
+    cacheAdapter: createMemoryCacheAdapter(),
+    isCacheStale: () => true,
+    ...options
+  });
+  return { client, sanityLoader };
+}
+
+describe("Type Generation", () => {
+
+  it("should infer types from results with optional properties and unions by _type", () => {
+    const code = generateTypeDeclarations([{ queryName: "posts", samples: [createPosts()] }]);
+
+    expect(code).toContain("export type PostsResult = Array<PostsItem>;");
+    expect(code).toContain(`export type PostsItem = {
+  _id: string;
+  title: string | null;
+  body: Array<{
+    _type: "block";
+    _key: string;
+    children: Array<{
+      _type: "span";
+      text: string;
+    }>;
+  } | {
+    _type: "image";
+    _key: string;
+    asset: {
+      _type: "reference";
+      _ref: string;
+    };
+  }>;
+  rating?: number;
+};`);
+    expect(code).toContain(`export type LoaderResults = {
+  posts: PostsResult;
+};`);
+  });
+
+  it("should convert JSON Schemas and name types after the query", () => {
+    const schema = {
+      type: "object",
+      required: ["_id", "kind"],
+      properties: {
+        _id: { type: "string" },
+        kind: { enum: ["news", "guide"] },
+        author: { $ref: "#/$defs/author" },
+        "reading-time": { type: "integer" },
+      },
+      $defs: {
+        author: { type: ["object", "null"], properties: { name: { type: "string" } }, additionalProperties: false }
+      }
+    };
+    const code = generateTypeDeclarations([
+      { queryName: "blog/latest-posts", schema, samples: [[]] },
+      { queryName: "settings", schema: { type: "object", additionalProperties: { type: "string" } }, samples: [{}] },
+      { queryName: "404" },
+    ]);
+
+    expect(code).toContain("export type BlogLatestPostsResult = Array<BlogLatestPostsItem>;");
+    expect(code).toContain(`export type BlogLatestPostsItem = {
+  _id: string;
+  kind: "news" | "guide";
+  author?: {
+    name?: string;
+  } | null;
+  "reading-time"?: number;
+};`);
+    expect(code).toContain(`export type SettingsResult = {
+  [key: string]: string;
+};`);
+    expect(code).toContain("export type Query404Result = unknown;");
+    expect(code).toContain(`  "blog/latest-posts": BlogLatestPostsResult;
+  settings: SettingsResult;
+  "404": Query404Result;`);
+  });
+
+  it("should generate types for query files from cached results", async () => {
+    const output = `${paths.cache}/sanity-types.d.ts`;
+    await fs.remove(output);
+    const { sanityLoader } = setup();
+    const { sources: before } = await sanityLoader.utils.generateTypes();
+    expect(before).toEqual({ posts: null });
+
+    const getPosts = sanityLoader.defineLoader({ queryName: "posts" });
+    await getPosts();
+    await getPosts({ limit: 1 });
+    const { code, sources } = await sanityLoader.utils.generateTypes({ output });
+
+    expect(sources).toEqual({ posts: "cache" });
+    expect(code).toContain("Inferred from 2 cached result(s)");
+    expect(code).toContain("export type PostsResult = Array<PostsItem>;");
+    expect(await fs.readFile(output, "utf8")).toBe(code);
+  });
+
+  it("should prefer schemas and skip results cached for another query", async () => {
+    const cacheAdapter = createMemoryCacheAdapter();
+    const first = setup({ cacheAdapter });
+    await first.sanityLoader.defineLoader({ queryName: "featured", query: "*[_type == 'post'][0...2]" })();
+
+    const { sanityLoader } = setup({ cacheAdapter });
+    sanityLoader.defineLoader({ queryName: "featured", query: "*[_type == 'post' && featured]" });
+    sanityLoader.defineLoader({ queryName: "post", query: "*[_type == 'post'][0]", schema: { type: "object", required: ["_id"] } });
+    const { code, sources } = await sanityLoader.utils.generateTypes({
+      schemas: { posts: { type: "object", properties: { title: { type: "string" } } } }
+    });
+
+    expect(sources).toEqual({ featured: null, post: "schema", posts: "schema" });
+    expect(code).toContain("export type FeaturedResult = unknown;");
+    expect(code).toContain("export type PostResult = PostItem | Array<PostItem>;");
+    expect(code).toContain(`export type PostsItem = {
+  title?: string;
+};`);
+  });
+
+  it("should leave loaders localizing fields out of LoaderResults", async () => {
+    const client = createMockSanityClient(() => ({ title: { en: "Hello", fr: "Bonjour" } }));
+    const sanityLoader = createSanityLoader({ client, paths, cacheAdapter: createMemoryCacheAdapter() });
+    const getSettings = sanityLoader.defineLoader({ queryName: "settings", query: "*[_id == 'settings'][0]", locales: ["en"], localizeFields: true });
+    expect(await getSettings()).toEqual({ en: { title: "Hello" } });
+
+    const { code, sources } = await sanityLoader.utils.generateTypes();
+    expect(sources.settings).toBe("cache");
+    expect(code).toContain("Not in `LoaderResults`, the loader's result differs from the cached one.");
+    expect(code).toContain(`export type SettingsResult = {
+  title: {
+    en: string;
+    fr: string;
+  };
+};`);
+    expect(code).not.toContain("settings: SettingsResult;");
+  });
+
+});
@@ -1,6 +1,7 @@
 import path from "path";
 import fs from "fs";
 import dotenv from "dotenv";
+import { vi } from "vitest";
 import { getUrlDirname } from "@ulu/utils/node/path.js";
 import { createClient } from "@sanity/client";
 
@@ -23,6 +24,7 @@ export function createSanityClient() {
     token: process.env.SANITY_STUDIO_API_TOKEN,
     useCdn: false,
     apiVersion: "2023-05-03",
+    perspective: "published",
   };
 
   // Basic validation to ensure credentials are in the .env file
@@ -33,4 +35,32 @@ export function createSanityClient() {
     );
   }
   return createClient(config);
-}
\ No newline at end of file
+}
+
+/**
+ * The cache namespace of the mock client's project, dataset and API version
+ * (its perspective is published, so it has no namespace of its own)
+ */
+export const mockCacheNamespace = "mock-project/mock-dataset/2023-05-03";
+
+/**
+ * Returns a Sanity client that never touches the network, its `fetch` is
+ * replaced with a mock that delegates to the provided handler. Clients
+ * created with `withConfig` are mocked the same way
+ * @param {(query: string, params?: object, options?: object, config?: object) => any} handler Returns the result for a query
+ * @param {object} [config] Overrides the mock client config
+ */
+export function createMockSanityClient(handler = () => null, config = {}) {
+  const clientConfig = {
+    projectId: "mock-project",
+    dataset: "mock-dataset",
+    useCdn: false,
+    apiVersion: "2023-05-03",
+    perspective: "published",
+    ...config
+  };
+  const client = createClient(clientConfig);
+  client.fetch = vi.fn(async (query, params, options) => handler(query, params, options, clientConfig));
+  client.withConfig = vi.fn(newConfig => createMockSanityClient(handler, { ...clientConfig, ...newConfig }));
+  return client;
+}
@@ -0,0 +1,312 @@
+/**
+ * Gets the asset type and ID of an object holding a Sanity asset, works with
+ * both references (`asset._ref`) and dereferenced assets (`asset._id`).
+ * @param {any} node - The object to check.
+ * @returns {{assetType: "image"|"file", id: string}|null} The asset info, or null if the object holds no asset.
+ */
+export function getAssetInfo(node: any): {
+    assetType: "image" | "file";
+    id: string;
+} | null;
+/**
+ * Walks a value (query result) and collects every object holding a Sanity
+ * image or file asset, including those nested in portable text arrays.
+ * @param {any} value - The value to walk.
+ * @returns {Array<AssetReference>} The asset references found.
+ */
+export function findAssetReferences(value: any): Array<AssetReference>;
+/**
+ * Builds the CDN URL of a file asset from its ID (e.g. "file-abc123-pdf").
+ * @param {string} id - The file asset ID or reference.
+ * @param {{projectId: string, dataset: string}} config - The client's project and dataset.
+ * @returns {string|null} The URL, or null if the ID is not a file asset.
+ */
+export function getFileAssetUrl(id: string, { projectId, dataset }: {
+    projectId: string;
+    dataset: string;
+}): string | null;
+/**
+ * Gets the file asset ID from a file field, a reference, an asset document
+ * or an ID string (e.g. "file-abc123-pdf").
+ * @param {any} fileOrRef - The file.
+ * @returns {string|null} The file asset ID, or null if it isn't a file asset.
+ */
+export function getFileAssetId(fileOrRef: any): string | null;
+/**
+ * Makes a filename safe for URLs and file systems: accents are removed and
+ * anything but letters, numbers, dots, dashes and underscores is replaced
+ * with dashes.
+ * @example
+ * sanitizeFilename("Jahresbericht 2024 (Übersicht).PDF"); // -> "Jahresbericht-2024-Ubersicht.pdf"
+ * @param {string} filename - The filename.
+ * @returns {string} The sanitized filename.
+ */
+export function sanitizeFilename(filename: string): string;
+/**
+ * Downloads a file asset (PDFs and other `file` fields) keeping the filename
+ * it was uploaded with. The file is saved as "<asset hash>/<filename>" so
+ * different assets with the same name don't collide. The original filename,
+ * size and mime type come from the dereferenced asset when it includes them,
+ * otherwise from the asset document (requested in batches).
+ * @param {any} fileOrRef - The file field, reference, asset document or ID.
+ * @param {object} context - The asset machinery to use.
+ * @param {(url: string, filename?: string) => Promise<string|null>} context.saveAsset - Downloads a URL and returns its public path.
+ * @param {{projectId: string, dataset: string}} context.clientConfig - The client's project and dataset.
+ * @param {(ids: Array<string>) => Promise<Object<string, FileAssetDetails|null>>} [context.getFileDetails] - Loads file asset details by asset ID.
+ * @param {object} [options] - The file options.
+ * @param {boolean} [options.sanitize=true] - Sanitize the original filename (see `sanitizeFilename`), otherwise only path separators are replaced (names of only dots fall back to the asset hash).
+ * @returns {Promise<SavedFileAsset|null>} The saved file, or null if there is no file asset.
+ */
+export function saveFileAsset(fileOrRef: any, { saveAsset, clientConfig, getFileDetails }: {
+    saveAsset: (url: string, filename?: string) => Promise<string | null>;
+    clientConfig: {
+        projectId: string;
+        dataset: string;
+    };
+    getFileDetails?: (ids: Array<string>) => Promise<{
+        [x: string]: FileAssetDetails | null;
+    }>;
+}, options?: {
+    sanitize?: boolean;
+}): Promise<SavedFileAsset | null>;
+/**
+ * Applies image URL builder options (method name and argument pairs).
+ * @param {import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} builder - The image URL builder.
+ * @param {object} options - The options, e.g. `{ width: 800, format: "webp" }`.
+ * @returns {import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} The configured builder.
+ */
+export function applyImageOptions(builder: import("@sanity/image-url/lib/types/builder").ImageUrlBuilder, options: object): import("@sanity/image-url/lib/types/builder").ImageUrlBuilder;
+/**
+ * Finds every asset in a value, downloads it and attaches the local public
+ * path next to each reference. Mutates the value in place.
+ * @param {any} value - The value (query result) to localize.
+ * @param {object} context - The asset machinery to use.
+ * @param {(url: string) => Promise<string|null>} context.saveAsset - Downloads a URL and returns its public path.
+ * @param {(source: object) => import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} context.imageUrl - Creates image URL builders.
+ * @param {{projectId: string, dataset: string}} context.clientConfig - The client's project and dataset.
+ * @param {(ids: Array<string>) => Promise<Object<string, ImageMetadata|null>>} [context.getImageMetadata] - Loads image metadata by asset ID.
+ * @param {LocalizeAssetsOptions} options - The localize options.
+ * @returns {Promise<any>} The value.
+ */
+export function localizeAssets(value: any, { saveAsset, imageUrl, clientConfig, getImageMetadata }: {
+    saveAsset: (url: string) => Promise<string | null>;
+    imageUrl: (source: object) => import("@sanity/image-url/lib/types/builder").ImageUrlBuilder;
+    clientConfig: {
+        projectId: string;
+        dataset: string;
+    };
+    getImageMetadata?: (ids: Array<string>) => Promise<{
+        [x: string]: ImageMetadata | null;
+    }>;
+}, options: LocalizeAssetsOptions): Promise<any>;
+/**
+ * Gets the dimensions of an image, taking its crop into account. Uses the
+ * asset metadata when dereferenced, otherwise the dimensions encoded in the
+ * asset ID (e.g. "image-abc-800x600-jpg").
+ * @param {object} source - The image (object with an asset reference or dereferenced asset).
+ * @returns {{width: number, height: number, aspectRatio: number, format: string|null}|null} The dimensions, or null if unknown.
+ */
+export function getImageDimensions(source: object): {
+    width: number;
+    height: number;
+    aspectRatio: number;
+    format: string | null;
+} | null;
+/**
+ * Builds the renditions of an image for each width and format, downloads
+ * them and returns the data needed for responsive images (`srcset`,
+ * `<picture>` sources, intrinsic dimensions). Widths larger than the image
+ * are skipped so images are never upscaled.
+ * @param {object} source - The image (object with an asset reference or dereferenced asset).
+ * @param {object} context - The asset machinery to use.
+ * @param {(url: string) => Promise<string|null>} context.saveAsset - Downloads a URL and returns its public path.
+ * @param {(source: object) => import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} context.imageUrl - Creates image URL builders.
+ * @param {(ids: Array<string>) => Promise<Object<string, ImageMetadata|null>>} [context.getImageMetadata] - Loads image metadata by asset ID.
+ * @param {object} [options] - The image set options.
+ * @param {Array<number>} [options.widths] - The widths to create.
+ * @param {Array<string|null>} [options.formats] - The formats to create (e.g. `["webp", "jpg"]`), null for the original format, the last is the fallback.
+ * @param {number} [options.concurrency] - The maximum number of concurrent downloads.
+ * @param {object} [options.image] - Additional image URL builder options applied to each rendition (e.g. `{ quality: 80 }`).
+ * @param {boolean} [options.metadata] - Also include the image metadata (dimensions, LQIP, dominant color, BlurHash).
+ * @returns {Promise<ImageSet|null>} The image set, or null if there is no image.
+ */
+export function saveImageSet(source: object, { saveAsset, imageUrl, getImageMetadata }: {
+    saveAsset: (url: string) => Promise<string | null>;
+    imageUrl: (source: object) => import("@sanity/image-url/lib/types/builder").ImageUrlBuilder;
+    getImageMetadata?: (ids: Array<string>) => Promise<{
+        [x: string]: ImageMetadata | null;
+    }>;
+}, options?: {
+    widths?: Array<number>;
+    formats?: Array<string | null>;
+    concurrency?: number;
+    image?: object;
+    metadata?: boolean;
+}): Promise<ImageSet | null>;
+/**
+ * Gets the local filename for an asset URL. The name keeps the asset ID from
+ * the URL readable, when the URL has a query string (image transforms like
+ * width, crop or format) a short hash of it is added so each rendition of
+ * an asset gets its own file. The extension follows the `fm` (format)
+ * parameter when present.
+ * @example
+ * getAssetFilename("https://cdn.sanity.io/images/p/d/abc-800x600.jpg?w=400&fm=webp");
+ * // -> "abc-800x600-08a33a5b.webp"
+ * @param {string|URL} url - The asset URL.
+ * @returns {string} The filename.
+ */
+export function getAssetFilename(url: string | URL): string;
+/**
+ * Downloads a URL to a file. Redirects are followed, non-2xx responses are
+ * rejected and the response length is checked against `content-length` when
+ * present. The download is written to a temporary file which is renamed to
+ * the destination on success and removed on any failure.
+ * @param {string} url - The URL to download.
+ * @param {string} destination - The file path to save to.
+ * @param {object} [options] - The download options.
+ * @param {number} [options.timeout=30000] - Milliseconds without activity before the request is aborted.
+ * @param {number} [options.maxRedirects=5] - The maximum number of redirects to follow.
+ * @returns {Promise<{bytes: number, headers: object}>} The size and response headers of the download.
+ */
+export function downloadFile(url: string, destination: string, options?: {
+    timeout?: number;
+    maxRedirects?: number;
+}): Promise<{
+    bytes: number;
+    headers: object;
+}>;
+export type ImageMetadata = import("./metadata.js").ImageMetadata;
+export type FileAssetDetails = import("./metadata.js").FileAssetDetails;
+export type AssetReference = {
+    /**
+     * - The object holding the asset (e.g. an image field or portable text image block).
+     */
+    node: object;
+    /**
+     * - The type of asset.
+     */
+    assetType: "image" | "file";
+    /**
+     * - The asset document ID (e.g. "image-abc-800x600-jpg").
+     */
+    id: string;
+};
+export type LocalizeAssetsOptions = {
+    /**
+     * - Image URL builder options applied to each image (e.g. `{ width: 1600, format: "webp" }`), or false to skip images.
+     */
+    image?: object | false;
+    /**
+     * - Whether to download file assets.
+     */
+    file?: boolean;
+    /**
+     * - The property the local public path is attached to on each asset holder.
+     */
+    property?: string;
+    /**
+     * - The maximum number of concurrent downloads.
+     */
+    concurrency?: number;
+    /**
+     * - Also attach the image metadata (dimensions, LQIP, dominant color, BlurHash) to each image.
+     */
+    metadata?: boolean;
+    /**
+     * - The property the image metadata is attached to.
+     */
+    metadataProperty?: string;
+};
+export type SavedFileAsset = {
+    /**
+     * - The file asset ID.
+     */
+    id: string;
+    /**
+     * - The public path, null if the file could not be saved (offline and not downloaded before).
+     */
+    path: string | null;
+    /**
+     * - The filename relative to `paths.assets` ("<asset hash>/<original filename>").
+     */
+    filename: string;
+    /**
+     * - The filename the file was uploaded with, null if unknown.
+     */
+    originalFilename: string | null;
+    /**
+     * - The size in bytes, null if unknown.
+     */
+    size: number | null;
+    /**
+     * - The mime type, null if unknown.
+     */
+    mimeType: string | null;
+    /**
+     * - The file extension.
+     */
+    extension: string;
+};
+export type ImageRendition = {
+    /**
+     * - The width of the rendition.
+     */
+    width: number;
+    /**
+     * - The height of the rendition, null if the dimensions are unknown.
+     */
+    height: number | null;
+    /**
+     * - The public path of the saved rendition.
+     */
+    src: string;
+};
+export type ImageSetSource = {
+    /**
+     * - The requested format, null for the original format.
+     */
+    format: string | null;
+    /**
+     * - The mime type of the format (for `<source type>`).
+     */
+    type: string | null;
+    /**
+     * - The `srcset` attribute value.
+     */
+    srcset: string;
+    /**
+     * - The renditions, by ascending width.
+     */
+    renditions: Array<ImageRendition>;
+};
+export type ImageSet = {
+    /**
+     * - Public path of the largest rendition of the last format (the `<img>` fallback).
+     */
+    src: string;
+    /**
+     * - The `srcset` of the last format.
+     */
+    srcset: string;
+    /**
+     * - Renditions grouped by format (for `<picture>` sources).
+     */
+    sources: Array<ImageSetSource>;
+    /**
+     * - The intrinsic width (after crop).
+     */
+    width: number | null;
+    /**
+     * - The intrinsic height (after crop).
+     */
+    height: number | null;
+    /**
+     * - Width divided by height.
+     */
+    aspectRatio: number | null;
+    /**
+     * - The image metadata, when requested.
+     */
+    metadata?: ImageMetadata | null;
+};
+//# sourceMappingURL=assets.d.ts.map
\ No newline at end of file
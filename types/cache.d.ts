@@ -0,0 +1,81 @@
+/**
+ * Creates the default cache adapter, which stores each entry as a JSON file
+ * (`<key>.json`) and each metadata record in its own file in the
+ * `.metadata` directory of its namespace (`<namespace>/.metadata/<name>.json`),
+ * so writing a record never rewrites (or races with) the others.
+ * @param {{dir: string}} options - The adapter options.
+ * @returns {CacheAdapter} The filesystem cache adapter.
+ */
+export function createFilesystemCacheAdapter({ dir }: {
+    dir: string;
+}): CacheAdapter;
+/**
+ * Creates a cache adapter that keeps everything in memory, useful for tests
+ * and long running dev servers. Values are copied on the way in and out (like
+ * they would be when serialized to disk), so mutating a loaded result in a
+ * transform won't change the cache.
+ * @returns {CacheAdapter} The in-memory cache adapter.
+ */
+export function createMemoryCacheAdapter(): CacheAdapter;
+/**
+ * Creates a view of a cache adapter that keeps its entries and metadata
+ * records in a namespace, keys and record names are prefixed with
+ * `<namespace>/` (a subdirectory for the filesystem adapter).
+ * @param {CacheAdapter} adapter - The cache adapter to store in.
+ * @param {string} namespace - The namespace.
+ * @returns {CacheAdapter} The namespaced cache adapter.
+ */
+export function createNamespacedCacheAdapter(adapter: CacheAdapter, namespace: string): CacheAdapter;
+export type CacheEntry = {
+    /**
+     * - The result from the Sanity fetch.
+     */
+    result: any;
+    /**
+     * - The cache version.
+     */
+    version?: string;
+    /**
+     * - The GROQ query string.
+     */
+    query: string;
+    /**
+     * - The GROQ parameters used for the query.
+     */
+    params?: object;
+    /**
+     * - When the result was fetched (ISO date string).
+     */
+    fetchedAt?: string;
+};
+/**
+ * Interface for cache storage. Every method may return a value or a promise.
+ * Keys may contain "/" to group entries (namespaces).
+ */
+export type CacheAdapter = {
+    /**
+     * - Gets an entry, or null if missing.
+     */
+    get: (key: string) => Promise<CacheEntry | null> | CacheEntry | null;
+    /**
+     * - Stores an entry.
+     */
+    set: (key: string, entry: CacheEntry) => Promise<void> | void;
+    /**
+     * - Removes an entry.
+     */
+    delete: (key: string) => Promise<void> | void;
+    /**
+     * - Lists the keys of all entries.
+     */
+    list: () => Promise<Array<string>> | Array<string>;
+    /**
+     * - Gets a named metadata record, or null if missing.
+     */
+    getMeta: (name: string) => Promise<any> | any;
+    /**
+     * - Stores a named metadata record.
+     */
+    setMeta: (name: string, value: any) => Promise<void> | void;
+};
+//# sourceMappingURL=cache.d.ts.map
\ No newline at end of file
@@ -1,9 +1,74 @@
 export namespace loaderDefaults {
     let queryName: any;
     let query: any;
+    let params: any;
     let transform: any;
     let cacheEnabled: boolean;
     let expectedVersion: any;
+    let documentTypes: any;
+    let fallbackToStaleCache: any;
+    let maxAge: any;
+    let staleWhileRevalidate: boolean;
+    let localizeAssets: boolean;
+    let resolveReferences: boolean;
+    let paginate: boolean;
+    let incremental: boolean;
+    let perspective: any;
+    let datasets: any;
+    let locales: any;
+    let localeParam: string;
+    let localizeFields: boolean;
+    let schema: any;
+    let onInvalid: string;
+}
+export namespace localizeAssetsDefaults {
+    let image: {};
+    let file: boolean;
+    let property: string;
+    let concurrency: number;
+    let metadata: boolean;
+    let metadataProperty: string;
+}
+export namespace paginateDefaults {
+    let pageSize: number;
+    let onPage: any;
+}
+export namespace localizeFieldsDefaults {
+    export let fallback: any[];
+    let locales_1: any;
+    export { locales_1 as locales };
+}
+export namespace resolveReferencesDefaults {
+    export let depth: number;
+    export let mode: string;
+    let property_1: string;
+    export { property_1 as property };
+}
+export namespace portableTextDefaults {
+    let image_1: {};
+    export { image_1 as image };
+    export let imageProperty: string;
+    export let headingIds: boolean;
+}
+export namespace excerptDefaults {
+    let length: number;
+    let ellipsis: string;
+}
+export namespace readingTimeDefaults {
+    let wordsPerMinute: number;
+}
+export namespace repairPortableTextDefaults {
+    let mutate: boolean;
+    let allowedTypes: any;
+    let decorators: string[];
+}
+export namespace imageSetDefaults {
+    export let widths: number[];
+    export let formats: any[];
+    let concurrency_1: number;
+    export { concurrency_1 as concurrency };
+    let metadata_1: boolean;
+    export { metadata_1 as metadata };
 }
 export namespace defaultSanityLoaderOptions {
     export let verbose: boolean;
@@ -12,18 +77,50 @@ export namespace defaultSanityLoaderOptions {
     export let paths: {};
     export { isCacheStale };
     export let invalidateCachePerCall: boolean;
+    let perspective_1: any;
+    export { perspective_1 as perspective };
+    export let cacheNamespace: boolean;
+    export let offline: boolean;
+    export namespace retry {
+        let retries: number;
+        let minTimeout: number;
+        let maxTimeout: number;
+        let factor: number;
+    }
+    let fallbackToStaleCache_1: boolean;
+    export { fallbackToStaleCache_1 as fallbackToStaleCache };
+    export let cacheAdapter: any;
+    export namespace assetOptions {
+        let timeout: number;
+        let maxRedirects: number;
+        let filename: any;
+    }
 }
 export type SanityClient = import("@sanity/client").SanityClient;
+export type CacheAdapter = import("./cache.js").CacheAdapter;
 /**
  * The default cache invalidation strategy.
- * It compares the timestamp of the most recently updated document in Sanity
- * with a locally cached timestamp.
+ * It fetches the timestamp of the most recently updated document and the
+ * document count in Sanity (a single request) and compares them with the state
+ * stored for the client's dataset in the cache adapter's "datasets" metadata
+ * record. Edits change the timestamp, deletions change the count. The same
+ * comparison is made for each of the `documentTypes` requested, so loaders can
+ * be invalidated by the types they depend on. The check runs in the loaders'
+ * `perspective`, so in preview drafts are included in the state.
  * @param {SanityClient} client - The Sanity client instance.
- * @param {{cacheDir: string}} context - The context object.
- * @returns {Promise<boolean>} A promise that resolves to true if the cache is stale.
+ * @param {{cacheDir: string, cache?: CacheAdapter, documentTypes?: Array<string>, perspective?: string|null}} context - The context object.
+ * @returns {Promise<{isStale: boolean, types: Object<string, boolean>}>} A promise that resolves to the stale state, `isStale` for the whole dataset and `types` for each document type.
  */
-declare function isCacheStale(client: SanityClient, { cacheDir }: {
+declare function isCacheStale(client: SanityClient, { cacheDir, cache, documentTypes, perspective }: {
     cacheDir: string;
-}): Promise<boolean>;
+    cache?: CacheAdapter;
+    documentTypes?: Array<string>;
+    perspective?: string | null;
+}): Promise<{
+    isStale: boolean;
+    types: {
+        [x: string]: boolean;
+    };
+}>;
 export {};
 //# sourceMappingURL=defaults.d.ts.map
\ No newline at end of file
@@ -1,31 +1,525 @@
 /**
  * @typedef {import('@sanity/client').SanityClient} SanityClient
  * @typedef {import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} ImageUrlBuilder
+ * @typedef {import('./cache.js').CacheAdapter} CacheAdapter
+ * @typedef {import('./cache.js').CacheEntry} CacheEntry
+ * @typedef {import('./assets.js').ImageSet} ImageSet
+ * @typedef {import('./assets.js').SavedFileAsset} SavedFileAsset
+ * @typedef {import('./portable-text.js').PortableTextOptions} PortableTextOptions
+ * @typedef {import('./portable-text.js').PortableTextRepairReport} PortableTextRepairReport
+ * @typedef {import('./portable-text.js').PortableTextHeading} PortableTextHeading
+ * @typedef {import('./references.js').ResolveReferencesOptions} ResolveReferencesOptions
+ * @typedef {import('./locales.js').LocalizeFieldsOptions} LocalizeFieldsOptions
+ * @typedef {import('./schema.js').ValidationIssue} ValidationIssue
+ * @typedef {import('./manifest.js').PruneReport} PruneReport
+ * @typedef {import('./manifest.js').AssetManifestEntry} AssetManifestEntry
  */
 /**
+ * @typedef {object} LoaderMeta
+ * @property {"cache"|"fetch"|null} source - Where the result of the last run came from.
+ * @property {boolean} usedStaleCache - True if the last run fell back to a stale cache entry because Sanity could not be reached.
+ * @property {Error|null} error - The error of the last run, or the fetch error that caused the stale cache fallback.
+ * @property {Array<ValidationIssue>} issues - The issues found validating the result of the last run against the loader's `schema`.
+ * @property {Object<string, LoaderMeta>} [datasets] - The meta of each dataset, for loaders with `datasets`.
+ * @property {Object<string, LoaderMeta>} [locales] - The meta of each locale, for loaders with `locales`.
+ */
+/**
+ * @typedef {import('./schema.js').ValidatorFunction} ValidatorFunction
+ */
+/**
+ * The options of `defineLoader` (see the README for details), typed by the
+ * result of the query and what `transform` returns.
+ * @template [Result=any]
+ * @template [Output=Result]
+ * @typedef {object} LoaderOptions
+ * @property {string|null} [queryName] - The name of the `.groq` file in `paths.queries`, also names the cache entry.
+ * @property {string|null} [query] - The GROQ query, instead of a file.
+ * @property {object|null} [params] - GROQ parameters, merged under those passed when running the loader.
+ * @property {((result: Result) => Output|Promise<Output>)|null} [transform] - Transforms the result.
+ * @property {boolean} [cacheEnabled] - Whether results are cached.
+ * @property {string|null} [expectedVersion] - The cache version, cache entries of other versions are stale.
+ * @property {Array<string>|null} [documentTypes] - The document types of the result, for per-type stale checks.
+ * @property {boolean|null} [fallbackToStaleCache] - Whether to fall back to stale cache entries when Sanity can't be reached.
+ * @property {number|null} [maxAge] - Seconds cache entries are fresh without a stale check.
+ * @property {boolean} [staleWhileRevalidate] - Whether stale entries are returned while they're refetched in the background.
+ * @property {boolean|object} [localizeAssets] - Downloads the assets of the result.
+ * @property {boolean|ResolveReferencesOptions} [resolveReferences] - Resolves references to documents.
+ * @property {boolean|{pageSize?: number, onPage?: Function|null}} [paginate] - Fetches large results in pages.
+ * @property {boolean} [incremental] - Only fetches the documents changed since the last sync.
+ * @property {"published"|"previewDrafts"|"raw"|null} [perspective] - The perspective to query.
+ * @property {Array<string>|null} [datasets] - Datasets to query, the loader resolves to the results by dataset.
+ * @property {Array<string>|null} [locales] - Locales to load, the loader resolves to the results by locale.
+ * @property {string} [localeParam] - The GROQ parameter the locale is passed as.
+ * @property {boolean|LocalizeFieldsOptions} [localizeFields] - Resolves internationalized fields to the locale.
+ * @property {object|ValidatorFunction|null} [schema] - Validates the result.
+ * @property {"throw"|"warn"|"filter"} [onInvalid] - What to do with invalid results.
+ */
+/**
+ * @template [T=any]
+ * @typedef {((params?: object) => Promise<T>) & {meta: LoaderMeta}} Loader
+ */
+/**
+ * The result type of a query, looked up by name in the result types passed
+ * to `createSanityLoader` (e.g. the generated `LoaderResults`), `any` for
+ * unknown queries.
+ * @template {object} Results
+ * @template {string} Name
+ * @typedef {Name extends keyof Results ? Results[Name] : any} LoaderResult
+ */
+/**
+ * The options of `defineLoader`, typed by the result of the named query.
+ * @template {object} Results
+ * @template {string} Name
+ * @template Output
+ * @typedef {LoaderOptions<LoaderResult<Results, Name>, Output> & {queryName?: Name|null}} DefineLoaderOptions
+ */
+/**
+ * Defines a loader, resolving to the result type of its `queryName` (or of
+ * the name passed explicitly, `defineLoader<"posts">(...)`) or to what its
+ * `transform` returns. Loaders with `datasets` or `locales` resolve to the
+ * results by dataset (then by locale) or by locale.
+ * @template {object} Results
+ * @typedef {{
+ *   <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output> & {datasets: Array<string>, locales: Array<string>}): Loader<{[key: string]: {[key: string]: Output}}>;
+ *   <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output> & {datasets: Array<string>}): Loader<{[key: string]: Output}>;
+ *   <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output> & {locales: Array<string>}): Loader<{[key: string]: Output}>;
+ *   <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output>): Loader<Output>;
+ * }} DefineLoader
+ */
+/**
+ * @typedef {object} DatasetScope
+ * @property {string} dataset - The dataset.
+ * @property {SanityClient} client - The client querying the dataset.
+ * @property {string|null} perspective - Always null, asset queries use the client's default perspective.
+ * @property {string} namespace - The cache namespace of the dataset, empty for the client's dataset if `cacheNamespace` is disabled.
+ * @property {CacheAdapter} cache - The cache adapter of the namespace.
+ * @property {object} assetContext - What the asset utilities use to save images and load asset metadata from the dataset.
+ * @property {Map<string|null, LoaderScope>} perspectives - The scopes of the perspectives queried in the dataset.
+ */
+/**
+ * @typedef {object} LoaderScope
+ * @property {string} dataset - The dataset.
+ * @property {SanityClient} client - The client querying the dataset.
+ * @property {string|null} perspective - The perspective, null for the client's default.
+ * @property {string} namespace - The cache namespace, the dataset's namespace followed by the perspective queried (unless published).
+ * @property {CacheAdapter} cache - The cache adapter of the namespace.
+ * @property {string} cacheDir - The cache directory of the namespace.
+ * @property {object} assetContext - The asset context of the dataset.
+ * @property {Promise<{isStale: boolean, types: Object<string, boolean>|null}>|null} staleState - The "on-start" stale check.
+ * @property {{loadDocuments: (ids: Array<string>) => Promise<Object<string, object|null>>, clearDocuments: () => void}} referenceContext - Loads referenced documents from the dataset in the perspective, loaded documents are shared until cleared.
+ */
+/**
+ * @typedef {object} SanityLoaderUtils
+ * @property {(...fields: Array<object>[]) => void} fixPortableText - Repairs portable text fields in place.
+ * @property {(fields: Object<string, Array<object>>, options?: {mutate?: boolean, allowedTypes?: Array<string>|null, decorators?: Array<string>}) => PortableTextRepairReport} repairPortableText - Repairs portable text fields and reports what was fixed.
+ * @property {(blocks: Array<object>|object) => string} portableTextToPlainText - Converts portable text to plain text.
+ * @property {(blocks: Array<object>|object|string, options?: {length?: number, ellipsis?: string}) => string} getExcerpt - Gets an excerpt of portable text.
+ * @property {(blocks: Array<object>|object|string, options?: {wordsPerMinute?: number}) => {words: number, minutes: number}} getReadingTime - Estimates the reading time of portable text.
+ * @property {(blocks: Array<object>|object) => Array<PortableTextHeading>} getHeadings - Gets the headings of portable text.
+ * @property {(value: any, locale: string, options?: LocalizeFieldsOptions) => any} localizeFields - Resolves internationalized fields to a locale.
+ * @property {(value: any, options?: ResolveReferencesOptions) => Promise<any>} resolveReferences - Resolves references to documents.
+ * @property {(blocks: Array<object>|object, options?: PortableTextOptions) => string} portableTextToHtml - Converts portable text to HTML.
+ * @property {(blocks: Array<object>|object, options?: PortableTextOptions) => string} portableTextToMarkdown - Converts portable text to Markdown.
+ * @property {(url: string, filename?: string) => Promise<string | null>} saveAsset - Downloads an asset.
+ * @property {(source: object, options?: object) => Promise<ImageSet | null>} saveImageSet - Downloads an image in several widths and formats.
+ * @property {(fileOrRef: any, options?: {sanitize?: boolean}) => Promise<SavedFileAsset | null>} saveFileAsset - Downloads a file asset.
+ * @property {(options?: {dryRun?: boolean}) => Promise<PruneReport>} pruneAssets - Removes downloaded assets no longer referenced.
+ * @property {() => Promise<Object<string, AssetManifestEntry>>} getAssetManifest - Gets the assets referenced by each loader.
+ * @property {(options?: {output?: string|null, schemas?: Object<string, object>}) => Promise<{code: string, sources: Object<string, "schema"|"cache"|null>}>} generateTypes - Generates TypeScript declarations for query results.
+ */
+/**
+ * @template {object} [Results=Object<string, any>]
  * @typedef {object} SanityLoader
  * @property {SanityClient} client - The configured Sanity client instance.
- * @property {(options: object) => () => Promise<any>} defineLoader - Defines a data loader for a specific query.
+ * @property {CacheAdapter} cache - The cache storage adapter.
+ * @property {EventEmitter} events - Emits "revalidated" and "revalidateError" for loaders in stale-while-revalidate mode.
+ * @property {DefineLoader<Results>} defineLoader - Defines a data loader for a specific query.
  * @property {(source: object) => ImageUrlBuilder} imageUrl - The Sanity image URL builder instance.
- * @property {{ fixPortableText: (...fields: Array<object>[]) => void, saveAsset: (url: string) => Promise<string | null> }} utils - Utility functions.
+ * @property {SanityLoaderUtils} utils - Utility functions.
  */
 /**
- * Creates the main Sanity Loader instance.
+ * Creates the main Sanity Loader instance. Pass the result types by query
+ * name (e.g. the generated `LoaderResults`) to type the loaders it defines.
+ * @template {object} [Results=Object<string, any>]
  * @param {object} config - The configuration object.
- * @returns {SanityLoader} The Sanity Loader instance.
+ * @returns {SanityLoader<Results>} The Sanity Loader instance.
  */
-export function createSanityLoader(config: object): SanityLoader;
+export function createSanityLoader<Results extends unknown = {
+    [x: string]: any;
+}>(config: object): SanityLoader<Results>;
 export type SanityClient = import("@sanity/client").SanityClient;
 export type ImageUrlBuilder = import("@sanity/image-url/lib/types/builder").ImageUrlBuilder;
-export type SanityLoader = {
+export type CacheAdapter = import("./cache.js").CacheAdapter;
+export type CacheEntry = import("./cache.js").CacheEntry;
+export type ImageSet = import("./assets.js").ImageSet;
+export type SavedFileAsset = import("./assets.js").SavedFileAsset;
+export type PortableTextOptions = import("./portable-text.js").PortableTextOptions;
+export type PortableTextRepairReport = import("./portable-text.js").PortableTextRepairReport;
+export type PortableTextHeading = import("./portable-text.js").PortableTextHeading;
+export type ResolveReferencesOptions = import("./references.js").ResolveReferencesOptions;
+export type LocalizeFieldsOptions = import("./locales.js").LocalizeFieldsOptions;
+export type ValidationIssue = import("./schema.js").ValidationIssue;
+export type PruneReport = import("./manifest.js").PruneReport;
+export type AssetManifestEntry = import("./manifest.js").AssetManifestEntry;
+export type LoaderMeta = {
+    /**
+     * - Where the result of the last run came from.
+     */
+    source: "cache" | "fetch" | null;
+    /**
+     * - True if the last run fell back to a stale cache entry because Sanity could not be reached.
+     */
+    usedStaleCache: boolean;
+    /**
+     * - The error of the last run, or the fetch error that caused the stale cache fallback.
+     */
+    error: Error | null;
+    /**
+     * - The issues found validating the result of the last run against the loader's `schema`.
+     */
+    issues: Array<ValidationIssue>;
+    /**
+     * - The meta of each dataset, for loaders with `datasets`.
+     */
+    datasets?: {
+        [x: string]: LoaderMeta;
+    };
+    /**
+     * - The meta of each locale, for loaders with `locales`.
+     */
+    locales?: {
+        [x: string]: LoaderMeta;
+    };
+};
+export type ValidatorFunction = import("./schema.js").ValidatorFunction;
+/**
+ * The options of `defineLoader` (see the README for details), typed by the
+ * result of the query and what `transform` returns.
+ */
+export type LoaderOptions<Result = any, Output = Result> = {
+    /**
+     * - The name of the `.groq` file in `paths.queries`, also names the cache entry.
+     */
+    queryName?: string | null;
+    /**
+     * - The GROQ query, instead of a file.
+     */
+    query?: string | null;
+    /**
+     * - GROQ parameters, merged under those passed when running the loader.
+     */
+    params?: object | null;
+    /**
+     * - Transforms the result.
+     */
+    transform?: ((result: Result) => Output | Promise<Output>) | null;
+    /**
+     * - Whether results are cached.
+     */
+    cacheEnabled?: boolean;
+    /**
+     * - The cache version, cache entries of other versions are stale.
+     */
+    expectedVersion?: string | null;
+    /**
+     * - The document types of the result, for per-type stale checks.
+     */
+    documentTypes?: Array<string> | null;
+    /**
+     * - Whether to fall back to stale cache entries when Sanity can't be reached.
+     */
+    fallbackToStaleCache?: boolean | null;
+    /**
+     * - Seconds cache entries are fresh without a stale check.
+     */
+    maxAge?: number | null;
+    /**
+     * - Whether stale entries are returned while they're refetched in the background.
+     */
+    staleWhileRevalidate?: boolean;
+    /**
+     * - Downloads the assets of the result.
+     */
+    localizeAssets?: boolean | object;
+    /**
+     * - Resolves references to documents.
+     */
+    resolveReferences?: boolean | ResolveReferencesOptions;
+    /**
+     * - Fetches large results in pages.
+     */
+    paginate?: boolean | {
+        pageSize?: number;
+        onPage?: Function | null;
+    };
+    /**
+     * - Only fetches the documents changed since the last sync.
+     */
+    incremental?: boolean;
+    /**
+     * - The perspective to query.
+     */
+    perspective?: "published" | "previewDrafts" | "raw" | null;
+    /**
+     * - Datasets to query, the loader resolves to the results by dataset.
+     */
+    datasets?: Array<string> | null;
+    /**
+     * - Locales to load, the loader resolves to the results by locale.
+     */
+    locales?: Array<string> | null;
+    /**
+     * - The GROQ parameter the locale is passed as.
+     */
+    localeParam?: string;
+    /**
+     * - Resolves internationalized fields to the locale.
+     */
+    localizeFields?: boolean | LocalizeFieldsOptions;
+    /**
+     * - Validates the result.
+     */
+    schema?: object | ValidatorFunction | null;
+    /**
+     * - What to do with invalid results.
+     */
+    onInvalid?: "throw" | "warn" | "filter";
+};
+export type Loader<T = any> = ((params?: object) => Promise<T>) & {
+    meta: LoaderMeta;
+};
+/**
+ * The result type of a query, looked up by name in the result types passed
+ * to `createSanityLoader` (e.g. the generated `LoaderResults`), `any` for
+ * unknown queries.
+ */
+export type LoaderResult<Results extends unknown, Name extends string> = Name extends keyof Results ? Results[Name] : any;
+/**
+ * The options of `defineLoader`, typed by the result of the named query.
+ */
+export type DefineLoaderOptions<Results extends unknown, Name extends string, Output> = LoaderOptions<LoaderResult<Results, Name>, Output> & {
+    queryName?: Name | null;
+};
+/**
+ * Defines a loader, resolving to the result type of its `queryName` (or of
+ * the name passed explicitly, `defineLoader<"posts">(...)`) or to what its
+ * `transform` returns. Loaders with `datasets` or `locales` resolve to the
+ * results by dataset (then by locale) or by locale.
+ */
+export type DefineLoader<Results extends unknown> = {
+    <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output> & {
+        datasets: Array<string>;
+        locales: Array<string>;
+    }): Loader<{
+        [key: string]: {
+            [key: string]: Output;
+        };
+    }>;
+    <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output> & {
+        datasets: Array<string>;
+    }): Loader<{
+        [key: string]: Output;
+    }>;
+    <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output> & {
+        locales: Array<string>;
+    }): Loader<{
+        [key: string]: Output;
+    }>;
+    <Name extends string = string, Output = LoaderResult<Results, Name>>(options: DefineLoaderOptions<Results, Name, Output>): Loader<Output>;
+};
+export type DatasetScope = {
+    /**
+     * - The dataset.
+     */
+    dataset: string;
+    /**
+     * - The client querying the dataset.
+     */
+    client: SanityClient;
+    /**
+     * - Always null, asset queries use the client's default perspective.
+     */
+    perspective: string | null;
+    /**
+     * - The cache namespace of the dataset, empty for the client's dataset if `cacheNamespace` is disabled.
+     */
+    namespace: string;
+    /**
+     * - The cache adapter of the namespace.
+     */
+    cache: CacheAdapter;
+    /**
+     * - What the asset utilities use to save images and load asset metadata from the dataset.
+     */
+    assetContext: object;
+    /**
+     * - The scopes of the perspectives queried in the dataset.
+     */
+    perspectives: Map<string | null, LoaderScope>;
+};
+export type LoaderScope = {
+    /**
+     * - The dataset.
+     */
+    dataset: string;
+    /**
+     * - The client querying the dataset.
+     */
+    client: SanityClient;
+    /**
+     * - The perspective, null for the client's default.
+     */
+    perspective: string | null;
+    /**
+     * - The cache namespace, the dataset's namespace followed by the perspective queried (unless published).
+     */
+    namespace: string;
+    /**
+     * - The cache adapter of the namespace.
+     */
+    cache: CacheAdapter;
+    /**
+     * - The cache directory of the namespace.
+     */
+    cacheDir: string;
+    /**
+     * - The asset context of the dataset.
+     */
+    assetContext: object;
+    /**
+     * - The "on-start" stale check.
+     */
+    staleState: Promise<{
+        isStale: boolean;
+        types: {
+            [x: string]: boolean;
+        } | null;
+    }> | null;
+    /**
+     * - Loads referenced documents from the dataset in the perspective, loaded documents are shared until cleared.
+     */
+    referenceContext: {
+        loadDocuments: (ids: Array<string>) => Promise<{
+            [x: string]: object | null;
+        }>;
+        clearDocuments: () => void;
+    };
+};
+export type SanityLoaderUtils = {
+    /**
+     * - Repairs portable text fields in place.
+     */
+    fixPortableText: (...fields: Array<object>[]) => void;
+    /**
+     * - Repairs portable text fields and reports what was fixed.
+     */
+    repairPortableText: (fields: {
+        [x: string]: Array<object>;
+    }, options?: {
+        mutate?: boolean;
+        allowedTypes?: Array<string> | null;
+        decorators?: Array<string>;
+    }) => PortableTextRepairReport;
+    /**
+     * - Converts portable text to plain text.
+     */
+    portableTextToPlainText: (blocks: Array<object> | object) => string;
+    /**
+     * - Gets an excerpt of portable text.
+     */
+    getExcerpt: (blocks: Array<object> | object | string, options?: {
+        length?: number;
+        ellipsis?: string;
+    }) => string;
+    /**
+     * - Estimates the reading time of portable text.
+     */
+    getReadingTime: (blocks: Array<object> | object | string, options?: {
+        wordsPerMinute?: number;
+    }) => {
+        words: number;
+        minutes: number;
+    };
+    /**
+     * - Gets the headings of portable text.
+     */
+    getHeadings: (blocks: Array<object> | object) => Array<PortableTextHeading>;
+    /**
+     * - Resolves internationalized fields to a locale.
+     */
+    localizeFields: (value: any, locale: string, options?: LocalizeFieldsOptions) => any;
+    /**
+     * - Resolves references to documents.
+     */
+    resolveReferences: (value: any, options?: ResolveReferencesOptions) => Promise<any>;
+    /**
+     * - Converts portable text to HTML.
+     */
+    portableTextToHtml: (blocks: Array<object> | object, options?: PortableTextOptions) => string;
+    /**
+     * - Converts portable text to Markdown.
+     */
+    portableTextToMarkdown: (blocks: Array<object> | object, options?: PortableTextOptions) => string;
+    /**
+     * - Downloads an asset.
+     */
+    saveAsset: (url: string, filename?: string) => Promise<string | null>;
+    /**
+     * - Downloads an image in several widths and formats.
+     */
+    saveImageSet: (source: object, options?: object) => Promise<ImageSet | null>;
+    /**
+     * - Downloads a file asset.
+     */
+    saveFileAsset: (fileOrRef: any, options?: {
+        sanitize?: boolean;
+    }) => Promise<SavedFileAsset | null>;
+    /**
+     * - Removes downloaded assets no longer referenced.
+     */
+    pruneAssets: (options?: {
+        dryRun?: boolean;
+    }) => Promise<PruneReport>;
+    /**
+     * - Gets the assets referenced by each loader.
+     */
+    getAssetManifest: () => Promise<{
+        [x: string]: AssetManifestEntry;
+    }>;
+    /**
+     * - Generates TypeScript declarations for query results.
+     */
+    generateTypes: (options?: {
+        output?: string | null;
+        schemas?: {
+            [x: string]: object;
+        };
+    }) => Promise<{
+        code: string;
+        sources: {
+            [x: string]: "schema" | "cache" | null;
+        };
+    }>;
+};
+export type SanityLoader<Results extends unknown = {
+    [x: string]: any;
+}> = {
     /**
      * - The configured Sanity client instance.
      */
     client: SanityClient;
+    /**
+     * - The cache storage adapter.
+     */
+    cache: CacheAdapter;
+    /**
+     * - Emits "revalidated" and "revalidateError" for loaders in stale-while-revalidate mode.
+     */
+    events: EventEmitter;
     /**
      * - Defines a data loader for a specific query.
      */
-    defineLoader: (options: object) => () => Promise<any>;
+    defineLoader: DefineLoader<Results>;
     /**
      * - The Sanity image URL builder instance.
      */
@@ -33,9 +527,7 @@ export type SanityLoader = {
     /**
      * - Utility functions.
      */
-    utils: {
-        fixPortableText: (...fields: Array<object>[]) => void;
-        saveAsset: (url: string) => Promise<string | null>;
-    };
+    utils: SanityLoaderUtils;
 };
+export { createFilesystemCacheAdapter, createMemoryCacheAdapter } from "./cache.js";
 //# sourceMappingURL=index.d.ts.map
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Gets the locales to try for a locale, the locale itself followed by its
+ * fallbacks.
+ * @param {string} locale - The locale.
+ * @param {Array<string>|Object<string, Array<string>>} [fallback] - The fallback option.
+ * @returns {Array<string>} The locales in order.
+ */
+export function getFallbackChain(locale: string, fallback?: Array<string> | {
+    [x: string]: Array<string>;
+}): Array<string>;
+/**
+ * Resolves every internationalized value in a value to the value of a
+ * locale, trying its fallbacks in order when the value is missing (null,
+ * empty string or empty array). Values nobody translated resolve to null.
+ * Two shapes are recognized, objects whose keys (besides `_` properties like
+ * `_type`) are all locales (`{ _type: "localeString", en, fr }`), and arrays
+ * of values keyed by locale (`[{ _key: "en", value }]`, the language may also
+ * be in `language`). At least one key must be a known locale, the others
+ * known or at least look like locales. Mutates the value in place.
+ * @param {any} value - The value (query result).
+ * @param {string} locale - The locale to resolve to.
+ * @param {LocalizeFieldsOptions} [options] - The localize options.
+ * @returns {any} The value, the resolved value if it was internationalized itself.
+ */
+export function localizeFields(value: any, locale: string, options?: LocalizeFieldsOptions): any;
+export type LocalizeFieldsOptions = {
+    /**
+     * - Locales to fall back to when a value is missing, either for every locale or per locale (e.g. `{ "fr-CA": ["fr", "en"] }`).
+     */
+    fallback?: Array<string> | {
+        [x: string]: Array<string>;
+    };
+    /**
+     * - Locales used in the content, values keyed by one of them (or the locale and its fallbacks) are internationalized.
+     */
+    locales?: Array<string> | null;
+};
+//# sourceMappingURL=locales.d.ts.map
\ No newline at end of file
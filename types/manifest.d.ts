@@ -0,0 +1,56 @@
+/**
+ * Creates an asset manifest. Assets saved while a loader runs (in its
+ * transform or through `localizeAssets`) are recorded for that loader's
+ * cache key, replacing what the previous run of the same key referenced.
+ * Each entry records the run it's from, only the entries of the current run
+ * count as referenced, so the assets of parameter sets and loaders that no
+ * longer run can be pruned. The manifest is persisted through the cache
+ * adapter's metadata.
+ * @param {CacheAdapter} cache - The cache adapter.
+ * @returns {object} The asset manifest.
+ */
+export function createAssetManifest(cache: CacheAdapter): object;
+/**
+ * Removes files in the assets directory that are not referenced.
+ * @param {string} assetsDir - The assets directory.
+ * @param {Set<string>} referenced - The referenced filenames (relative to the directory).
+ * @param {{dryRun?: boolean}} [options] - The prune options.
+ * @returns {Promise<PruneReport>} What was (or would be) removed and kept.
+ */
+export function pruneAssetFiles(assetsDir: string, referenced: Set<string>, { dryRun }?: {
+    dryRun?: boolean;
+}): Promise<PruneReport>;
+export type CacheAdapter = import("./cache.js").CacheAdapter;
+export type AssetManifestEntry = {
+    /**
+     * - The name of the query whose loader saved the files.
+     */
+    queryName: string;
+    /**
+     * - The asset filenames (relative to `paths.assets`).
+     */
+    files: Array<string>;
+    /**
+     * - When the entry was last updated (ISO date string).
+     */
+    updatedAt: string;
+    /**
+     * - The run (`createSanityLoader` instance) that last recorded the entry.
+     */
+    runId: string;
+};
+export type PruneReport = {
+    /**
+     * - True if nothing was actually removed.
+     */
+    dryRun: boolean;
+    /**
+     * - Files that were removed (or would be, in a dry run).
+     */
+    removed: Array<string>;
+    /**
+     * - Files that are referenced and were kept.
+     */
+    kept: Array<string>;
+};
+//# sourceMappingURL=manifest.d.ts.map
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Converts Sanity's asset metadata (`asset->metadata`) to the ImageMetadata shape.
+ * @param {object} metadata - The asset metadata (or the projection used by the loader).
+ * @returns {ImageMetadata|null} The image metadata.
+ */
+export function normalizeImageMetadata(metadata: object): ImageMetadata | null;
+/**
+ * Picks the details of a file asset document.
+ * @param {object} asset - The asset document.
+ * @returns {FileAssetDetails|null} The file details.
+ */
+export function normalizeFileDetails(asset: object): FileAssetDetails | null;
+/**
+ * Creates a loader for image asset metadata.
+ * @param {object} options - The loader options (see `createAssetDocumentLoader`).
+ * @param {CacheAdapter} options.cache - The cache adapter.
+ * @param {(query: string, params: object) => Promise<any>} options.fetch - Fetches from Sanity.
+ * @param {boolean} [options.offline] - Only use stored metadata, never fetch.
+ * @returns {{ loadMany: (ids: Array<string>) => Promise<Object<string, ImageMetadata|null>> }} The metadata loader.
+ */
+export function createImageMetadataLoader(options: {
+    cache: CacheAdapter;
+    fetch: (query: string, params: object) => Promise<any>;
+    offline?: boolean;
+}): {
+    loadMany: (ids: Array<string>) => Promise<{
+        [x: string]: ImageMetadata | null;
+    }>;
+};
+/**
+ * Creates a loader for file asset details.
+ * @param {object} options - The loader options (see `createAssetDocumentLoader`).
+ * @param {CacheAdapter} options.cache - The cache adapter.
+ * @param {(query: string, params: object) => Promise<any>} options.fetch - Fetches from Sanity.
+ * @param {boolean} [options.offline] - Only use stored details, never fetch.
+ * @returns {{ loadMany: (ids: Array<string>) => Promise<Object<string, FileAssetDetails|null>> }} The file details loader.
+ */
+export function createFileDetailsLoader(options: {
+    cache: CacheAdapter;
+    fetch: (query: string, params: object) => Promise<any>;
+    offline?: boolean;
+}): {
+    loadMany: (ids: Array<string>) => Promise<{
+        [x: string]: FileAssetDetails | null;
+    }>;
+};
+export type CacheAdapter = import("./cache.js").CacheAdapter;
+export type ImageMetadata = {
+    /**
+     * - The width of the original image.
+     */
+    width: number | null;
+    /**
+     * - The height of the original image.
+     */
+    height: number | null;
+    /**
+     * - Width divided by height.
+     */
+    aspectRatio: number | null;
+    /**
+     * - Low quality image placeholder (base64 data URL).
+     */
+    lqip: string | null;
+    /**
+     * - The dominant color swatch from the palette.
+     */
+    dominant: {
+        background: string;
+        foreground: string;
+        title: string;
+    } | null;
+    /**
+     * - The BlurHash of the image.
+     */
+    blurHash: string | null;
+};
+export type FileAssetDetails = {
+    /**
+     * - The CDN URL of the file.
+     */
+    url: string | null;
+    /**
+     * - The filename the file was uploaded with.
+     */
+    originalFilename: string | null;
+    /**
+     * - The size in bytes.
+     */
+    size: number | null;
+    /**
+     * - The mime type.
+     */
+    mimeType: string | null;
+    /**
+     * - The file extension.
+     */
+    extension: string | null;
+};
+//# sourceMappingURL=metadata.d.ts.map
\ No newline at end of file
@@ -0,0 +1,285 @@
+/**
+ * A serializer returns the output string for a part of the portable text,
+ * `children` is the already rendered content of that part.
+ * @typedef {(props: {value: any, children: string, [key: string]: any}) => string} Serializer
+ */
+/**
+ * @typedef {object} PortableTextSerializers
+ * @property {Object<string, Serializer>} [types] - Custom block and inline object types by `_type` (props: value, isInline, src for images).
+ * @property {Object<string, Serializer>} [block] - Text blocks by `style` (e.g. normal, h2, blockquote).
+ * @property {Object<string, Serializer>} [marks] - Decorators (e.g. strong, em) and annotations (by markDef `_type`, e.g. link).
+ * @property {Object<string, Serializer>} [list] - Lists by `listItem` type (e.g. bullet, number).
+ * @property {Object<string, Serializer>} [listItem] - List items by `listItem` type (props: value, children, index).
+ * @property {() => string} [hardBreak] - Line breaks within text.
+ * @property {Serializer} [unknownType] - Types without a serializer.
+ * @property {Serializer} [unknownMark] - Marks without a serializer.
+ */
+/**
+ * @typedef {object} PortableTextOptions
+ * @property {PortableTextSerializers} [serializers] - Serializers overriding the defaults.
+ * @property {(source: object) => import('@sanity/image-url/lib/types/builder').ImageUrlBuilder} [imageUrl] - Creates image URL builders for images (provided by the loader utils).
+ * @property {object} [image] - Image URL builder options for images (e.g. `{ width: 1200 }`).
+ * @property {string} [imageProperty] - Property holding a locally saved path (see `localizeAssets`), used instead of the CDN URL when present.
+ * @property {boolean} [headingIds] - Add `id` attributes to headings (the same anchors `getHeadings` returns).
+ */
+/**
+ * @typedef {object} PortableTextHeading
+ * @property {string} text - The plain text of the heading.
+ * @property {number} level - The heading level (1-6).
+ * @property {string} id - The anchor, a slug of the text that is unique within the portable text.
+ * @property {string|null} key - The `_key` of the heading block.
+ * @property {Array<PortableTextHeading>} children - The headings nested under this one.
+ */
+/**
+ * Escapes a string for use in HTML text and attributes.
+ * @param {string} value - The string.
+ * @returns {string} The escaped string.
+ */
+export function escapeHtml(value: string): string;
+/**
+ * Escapes characters that have a meaning in Markdown.
+ * @param {string} value - The string.
+ * @returns {string} The escaped string.
+ */
+export function escapeMarkdown(value: string): string;
+/**
+ * Checks a URL from content before it's rendered, so content can't inject
+ * script (e.g. `javascript:` links).
+ * @param {string} [url] - The URL.
+ * @returns {string|null} The URL, or null if it's empty or uses a scheme that isn't allowed.
+ */
+export function sanitizeUrl(url?: string): string | null;
+/**
+ * Renders portable text to HTML.
+ * @param {Array<object>|object} blocks - The portable text (array of blocks) or a single block.
+ * @param {PortableTextOptions} [options] - The render options.
+ * @returns {string} The HTML.
+ */
+export function portableTextToHtml(blocks: Array<object> | object, options?: PortableTextOptions): string;
+/**
+ * Renders portable text to Markdown (e.g. for feeds and search indexes).
+ * Blocks are separated by a blank line, nested lists are indented.
+ * @param {Array<object>|object} blocks - The portable text (array of blocks) or a single block.
+ * @param {PortableTextOptions} [options] - The render options.
+ * @returns {string} The Markdown.
+ */
+export function portableTextToMarkdown(blocks: Array<object> | object, options?: PortableTextOptions): string;
+/**
+ * Gets the plain text of portable text, text blocks (and list items) are
+ * separated by blank lines, other block types are skipped.
+ * @param {Array<object>|object} blocks - The portable text (array of blocks) or a single block.
+ * @returns {string} The plain text.
+ */
+export function portableTextToPlainText(blocks: Array<object> | object): string;
+/**
+ * Builds an excerpt, whitespace is collapsed and text longer than `length`
+ * is cut at the last word boundary before it.
+ * @param {Array<object>|object|string} blocks - The portable text, or plain text.
+ * @param {object} [options] - The excerpt options.
+ * @param {number} [options.length=160] - The maximum length (without the ellipsis).
+ * @param {string} [options.ellipsis="…"] - Appended when the text was cut.
+ * @returns {string} The excerpt.
+ */
+export function getExcerpt(blocks: Array<object> | object | string, options?: {
+    length?: number;
+    ellipsis?: string;
+}): string;
+/**
+ * Estimates the reading time of portable text.
+ * @param {Array<object>|object|string} blocks - The portable text, or plain text.
+ * @param {object} [options] - The reading time options.
+ * @param {number} [options.wordsPerMinute=200] - The reading speed.
+ * @returns {{words: number, minutes: number}} The word count and the reading time in minutes (rounded up, at least 1 when there are words).
+ */
+export function getReadingTime(blocks: Array<object> | object | string, options?: {
+    wordsPerMinute?: number;
+}): {
+    words: number;
+    minutes: number;
+};
+/**
+ * Builds the table of contents of portable text, headings (h1-h6 blocks) are
+ * nested under the previous heading of a higher level. The ids match the
+ * ones `portableTextToHtml` adds with `headingIds`.
+ * @param {Array<object>|object} blocks - The portable text (array of blocks) or a single block.
+ * @returns {Array<PortableTextHeading>} The top level headings.
+ */
+export function getHeadings(blocks: Array<object> | object): Array<PortableTextHeading>;
+/**
+ * Converts text to a URL friendly slug (lowercase, accents removed, words
+ * separated by dashes).
+ * @example
+ * slugify("Über uns & Kontakt"); // -> "uber-uns-kontakt"
+ * @param {string} text - The text.
+ * @returns {string} The slug.
+ */
+export function slugify(text: string): string;
+/**
+ * @typedef {object} PortableTextIssue
+ * @property {"invalidBlock"|"disallowedType"|"missingChildren"|"invalidChild"|"invalidSpan"|"missingMarkDef"|"missingKey"|"duplicateKey"} type - The kind of problem.
+ * @property {string} path - Where the problem was, e.g. "body[3].children[1]" (indexes of the original field).
+ * @property {string|null} key - The `_key` of the block, if it had one.
+ * @property {string} message - What was wrong and what was changed.
+ */
+/**
+ * @typedef {object} PortableTextRepairReport
+ * @property {boolean} changed - True if anything was repaired.
+ * @property {Object<string, Array<object>>} fields - The repaired fields (the same arrays when mutating, copies otherwise).
+ * @property {Object<string, Array<PortableTextIssue>>} issues - What was changed, per field.
+ */
+/**
+ * Repairs portable text fields so they can be rendered safely, and reports
+ * every change so content problems can be surfaced to editors:
+ * - Blocks that aren't objects or have no `_type` are removed
+ * - Blocks with a `_type` not in `allowedTypes` are removed (when given)
+ * - Text blocks without children get an empty span, invalid children are removed
+ * - Span text and marks are normalized, marks that are neither a decorator nor a `markDefs` key are removed
+ * - Missing and duplicate `_key`s (blocks and children) are replaced with generated keys
+ * @param {Object<string, Array<object>>} fields - The portable text fields by name (e.g. `{ body: post.body }`).
+ * @param {object} [options] - The repair options.
+ * @param {boolean} [options.mutate=true] - Repair the arrays in place, otherwise repaired copies are returned and the fields are left untouched.
+ * @param {Array<string>|null} [options.allowedTypes] - Block types to keep (e.g. `["block", "image"]`), null keeps every type.
+ * @param {Array<string>} [options.decorators] - Mark names that are decorators (not annotations), add custom decorators here.
+ * @returns {PortableTextRepairReport} The repaired fields and what was changed.
+ */
+export function repairPortableText(fields: {
+    [x: string]: any[];
+}, options?: {
+    mutate?: boolean;
+    allowedTypes?: Array<string> | null;
+    decorators?: Array<string>;
+}): PortableTextRepairReport;
+/**
+ * A serializer returns the output string for a part of the portable text,
+ * `children` is the already rendered content of that part.
+ */
+export type Serializer = (props: {
+    value: any;
+    children: string;
+    [key: string]: any;
+}) => string;
+export type PortableTextSerializers = {
+    /**
+     * - Custom block and inline object types by `_type` (props: value, isInline, src for images).
+     */
+    types?: {
+        [x: string]: Serializer;
+    };
+    /**
+     * - Text blocks by `style` (e.g. normal, h2, blockquote).
+     */
+    block?: {
+        [x: string]: Serializer;
+    };
+    /**
+     * - Decorators (e.g. strong, em) and annotations (by markDef `_type`, e.g. link).
+     */
+    marks?: {
+        [x: string]: Serializer;
+    };
+    /**
+     * - Lists by `listItem` type (e.g. bullet, number).
+     */
+    list?: {
+        [x: string]: Serializer;
+    };
+    /**
+     * - List items by `listItem` type (props: value, children, index).
+     */
+    listItem?: {
+        [x: string]: Serializer;
+    };
+    /**
+     * - Line breaks within text.
+     */
+    hardBreak?: () => string;
+    /**
+     * - Types without a serializer.
+     */
+    unknownType?: Serializer;
+    /**
+     * - Marks without a serializer.
+     */
+    unknownMark?: Serializer;
+};
+export type PortableTextOptions = {
+    /**
+     * - Serializers overriding the defaults.
+     */
+    serializers?: PortableTextSerializers;
+    /**
+     * - Creates image URL builders for images (provided by the loader utils).
+     */
+    imageUrl?: (source: object) => import("@sanity/image-url/lib/types/builder").ImageUrlBuilder;
+    /**
+     * - Image URL builder options for images (e.g. `{ width: 1200 }`).
+     */
+    image?: object;
+    /**
+     * - Property holding a locally saved path (see `localizeAssets`), used instead of the CDN URL when present.
+     */
+    imageProperty?: string;
+    /**
+     * - Add `id` attributes to headings (the same anchors `getHeadings` returns).
+     */
+    headingIds?: boolean;
+};
+export type PortableTextHeading = {
+    /**
+     * - The plain text of the heading.
+     */
+    text: string;
+    /**
+     * - The heading level (1-6).
+     */
+    level: number;
+    /**
+     * - The anchor, a slug of the text that is unique within the portable text.
+     */
+    id: string;
+    /**
+     * - The `_key` of the heading block.
+     */
+    key: string | null;
+    /**
+     * - The headings nested under this one.
+     */
+    children: Array<PortableTextHeading>;
+};
+export type PortableTextIssue = {
+    /**
+     * - The kind of problem.
+     */
+    type: "invalidBlock" | "disallowedType" | "missingChildren" | "invalidChild" | "invalidSpan" | "missingMarkDef" | "missingKey" | "duplicateKey";
+    /**
+     * - Where the problem was, e.g. "body[3].children[1]" (indexes of the original field).
+     */
+    path: string;
+    /**
+     * - The `_key` of the block, if it had one.
+     */
+    key: string | null;
+    /**
+     * - What was wrong and what was changed.
+     */
+    message: string;
+};
+export type PortableTextRepairReport = {
+    /**
+     * - True if anything was repaired.
+     */
+    changed: boolean;
+    /**
+     * - The repaired fields (the same arrays when mutating, copies otherwise).
+     */
+    fields: {
+        [x: string]: any[];
+    };
+    /**
+     * - What was changed, per field.
+     */
+    issues: {
+        [x: string]: PortableTextIssue[];
+    };
+};
+//# sourceMappingURL=portable-text.d.ts.map
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * @typedef {object} ReferenceLocation
+ * @property {object} parent - The object or array holding the reference.
+ * @property {string|number} key - The property or index of the reference in its parent.
+ * @property {object} reference - The reference.
+ * @property {string} id - The referenced document ID.
+ * @property {Array<string>} ancestors - IDs of the documents the reference is nested in.
+ */
+/**
+ * @typedef {object} ResolveReferencesOptions
+ * @property {number} [depth] - How many levels of references to resolve (references in resolved documents are the next level).
+ * @property {"replace"|"attach"} [mode] - Replace references with the documents, or attach the documents to the references.
+ * @property {string} [property] - The property documents are attached to in "attach" mode.
+ */
+/**
+ * Walks a value and collects every reference to a document. Asset
+ * references (the `asset` of images and files) are skipped.
+ * @param {any} value - The value to walk.
+ * @returns {Array<ReferenceLocation>} The references found.
+ */
+export function findReferences(value: any): Array<ReferenceLocation>;
+/**
+ * Resolves the references in a value, level by level: all references of a
+ * level are fetched at once, references in the resolved documents form the
+ * next level. A reference to a document it is nested in (a cycle) is left as
+ * is, as are references to documents that don't exist. Each resolved
+ * reference gets its own copy of the document, so the result stays a tree
+ * (and can be cached as JSON). Mutates the value in place.
+ * @param {any} value - The value (query result).
+ * @param {object} context - The reference machinery to use.
+ * @param {(ids: Array<string>) => Promise<Object<string, object|null>>} context.loadDocuments - Loads documents by ID.
+ * @param {ResolveReferencesOptions} options - The resolve options.
+ * @returns {Promise<any>} The value, a new value if it was a reference itself (in "replace" mode).
+ */
+export function resolveReferences(value: any, { loadDocuments }: {
+    loadDocuments: (ids: Array<string>) => Promise<{
+        [x: string]: object | null;
+    }>;
+}, options: ResolveReferencesOptions): Promise<any>;
+/**
+ * Creates a loader for documents by ID. Requests made in the same tick are
+ * batched into a single query, loaded documents are kept until cleared so
+ * every query resolving the same references shares them (clear them when
+ * content may have changed).
+ * @param {object} options - The loader options.
+ * @param {(query: string, params: object) => Promise<any>} options.fetch - Fetches from Sanity.
+ * @param {boolean} [options.offline] - Never fetch, every document is treated as missing.
+ * @returns {{ loadMany: (ids: Array<string>) => Promise<Object<string, object|null>>, clear: () => void }} The document loader.
+ */
+export function createDocumentLoader({ fetch, offline }: {
+    fetch: (query: string, params: object) => Promise<any>;
+    offline?: boolean;
+}): {
+    loadMany: (ids: Array<string>) => Promise<{
+        [x: string]: object | null;
+    }>;
+    clear: () => void;
+};
+export type ReferenceLocation = {
+    /**
+     * - The object or array holding the reference.
+     */
+    parent: object;
+    /**
+     * - The property or index of the reference in its parent.
+     */
+    key: string | number;
+    /**
+     * - The reference.
+     */
+    reference: object;
+    /**
+     * - The referenced document ID.
+     */
+    id: string;
+    /**
+     * - IDs of the documents the reference is nested in.
+     */
+    ancestors: Array<string>;
+};
+export type ResolveReferencesOptions = {
+    /**
+     * - How many levels of references to resolve (references in resolved documents are the next level).
+     */
+    depth?: number;
+    /**
+     * - Replace references with the documents, or attach the documents to the references.
+     */
+    mode?: "replace" | "attach";
+    /**
+     * - The property documents are attached to in "attach" mode.
+     */
+    property?: string;
+};
+//# sourceMappingURL=references.d.ts.map
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * @typedef {object} ValidationIssue
+ * @property {string} path - Where the issue is, e.g. `[2].author.name` (empty for the result itself).
+ * @property {string} message - What's wrong.
+ * @property {string|null} _id - The `_id` of the closest document containing the issue.
+ * @property {string|null} [queryName] - The query of the result.
+ */
+/**
+ * A validator function, receives a result (or each item of an array result)
+ * and returns nothing or true if valid, otherwise false, a message, or a list
+ * of messages or `{ path, message }` issues. May be async.
+ * @typedef {(value: any) => boolean|string|Array<string|{path?: string, message: string}>|void|Promise<boolean|string|Array<string|{path?: string, message: string}>|void>} ValidatorFunction
+ */
+/**
+ * Validates a value against a JSON Schema. Supports `type` (including
+ * `integer` and `null`), `enum`, `const`, `required`, `properties`,
+ * `additionalProperties`, `items`, string, number and array bounds,
+ * `pattern`, `allOf`, `anyOf`, `oneOf`, `not` and local `$ref`s
+ * (`#/$defs/...`).
+ * @param {any} value - The value.
+ * @param {object|boolean} schema - The JSON Schema.
+ * @param {string} [path] - The path of the value, prefixed to issue paths.
+ * @returns {Array<ValidationIssue>} The issues, empty if valid.
+ */
+export function validateSchema(value: any, schema: object | boolean, path?: string): Array<ValidationIssue>;
+/**
+ * Validates a query result. Array results are validated item by item (the
+ * schema describes one item), other results as a whole.
+ * @param {any} result - The result.
+ * @param {object|ValidatorFunction} schema - The JSON Schema or validator function.
+ * @returns {Promise<{issues: Array<ValidationIssue>, invalid: Set<number>}>} The issues and, for array results, the indexes of invalid items.
+ */
+export function validateResult(result: any, schema: object | ValidatorFunction): Promise<{
+    issues: Array<ValidationIssue>;
+    invalid: Set<number>;
+}>;
+/**
+ * Formats issues for an error or log message, one per line.
+ * @param {Array<ValidationIssue>} issues - The issues.
+ * @param {number} [limit] - The most issues to list.
+ * @returns {string} The formatted issues.
+ */
+export function formatIssues(issues: Array<ValidationIssue>, limit?: number): string;
+export type ValidationIssue = {
+    /**
+     * - Where the issue is, e.g. `[2].author.name` (empty for the result itself).
+     */
+    path: string;
+    /**
+     * - What's wrong.
+     */
+    message: string;
+    /**
+     * - The `_id` of the closest document containing the issue.
+     */
+    _id: string | null;
+    /**
+     * - The query of the result.
+     */
+    queryName?: string | null;
+};
+/**
+ * A validator function, receives a result (or each item of an array result)
+ * and returns nothing or true if valid, otherwise false, a message, or a list
+ * of messages or `{ path, message }` issues. May be async.
+ */
+export type ValidatorFunction = (value: any) => boolean | string | Array<string | {
+    path?: string;
+    message: string;
+}> | void | Promise<boolean | string | Array<string | {
+    path?: string;
+    message: string;
+}> | void>;
+//# sourceMappingURL=schema.d.ts.map
\ No newline at end of file
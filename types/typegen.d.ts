@@ -0,0 +1,36 @@
+/**
+ * Generates the declarations for query results, a type per query
+ * (`<QueryName>Result`, with `<QueryName>Item` for the items of array
+ * results) and the `LoaderResults` map of query names to their result types,
+ * which types `defineLoader` when passed to `createSanityLoader`.
+ * @param {Array<TypegenEntry>} entries - The queries.
+ * @returns {string} The TypeScript declarations.
+ */
+export function generateTypeDeclarations(entries: Array<TypegenEntry>): string;
+/**
+ * Infers the shape of values. Objects with different `_type`s are kept apart
+ * (so arrays of blocks and images become a union), properties missing in
+ * some objects are optional.
+ * @param {Array<any>} values - Sample values.
+ * @returns {object} The shape.
+ */
+export function inferShape(values: Array<any>): object;
+export type TypegenEntry = {
+    /**
+     * - The name of the query.
+     */
+    queryName: string;
+    /**
+     * - A JSON Schema describing the result (or each item of array results).
+     */
+    schema?: object | null;
+    /**
+     * - Results of the query (e.g. cached for different parameters).
+     */
+    samples?: Array<any>;
+    /**
+     * - Leave the query out of `LoaderResults`, when the loader doesn't resolve to the typed result.
+     */
+    omit?: boolean;
+};
+//# sourceMappingURL=typegen.d.ts.map
\ No newline at end of file
@@ -4,4 +4,68 @@
  * @param {...Array<object>} fields - One or more portable text arrays to sanitize.
  */
 export function fixPortableText(...fields: Array<object>[]): void;
+/**
+ * Serializes a value to JSON with object keys sorted, so that equal values
+ * always produce the same string regardless of key order.
+ * @param {any} value - The value to serialize.
+ * @returns {string} The stable JSON string.
+ */
+export function stableStringify(value: any): string;
+/**
+ * Creates a short, stable hash for any JSON serializable value.
+ * @param {any} value - The value to hash.
+ * @param {number} [length=12] - The number of hex characters to return.
+ * @returns {string} The hash.
+ */
+export function hashValue(value: any, length?: number): string;
+/**
+ * Infers the document types a GROQ query depends on from its `_type` filters
+ * (`_type == "post"`, `"post" == _type` or `_type in ["post", "page"]`).
+ * Inference is conservative, it gives up (returns null) when any document set
+ * (`*`) in the query is not scoped to types, i.e. its filter doesn't require
+ * a type condition (types are only taken from conditions joined by `&&`,
+ * filters with `||` can match any type), or when the query dereferences
+ * (`->`) other documents, since those dependencies cannot be known.
+ * @param {string} query - The GROQ query.
+ * @returns {Array<string>|null} The document types, or null if they cannot be inferred.
+ */
+export function inferDocumentTypes(query: string): Array<string> | null;
+/**
+ * Builds the query for one page of a collection query, fetched with the
+ * `_id` of the last document as the cursor. The cursor filter and order go
+ * into the document set, so Sanity only evaluates one page per request.
+ * Queries that use `$lastId` handle the cursor themselves and are used as
+ * they are, otherwise only a filtered document set with an optional
+ * projection (`*[filter]{...}`) can be paged.
+ * @param {string} query - The GROQ query.
+ * @returns {string|null} The page query, or null if the query can't be paged.
+ */
+export function createPageQuery(query: string): string | null;
+/**
+ * Runs an async function, retrying with exponential backoff when it fails
+ * with a retryable error (network errors, timeouts, rate limits and 5xx).
+ * @param {(attempt: number) => Promise<any>} fn - The function to run, receives the attempt number.
+ * @param {object} [options] - The retry options.
+ * @param {number} [options.retries=0] - Number of retries after the first attempt.
+ * @param {number} [options.minTimeout=500] - Delay in milliseconds before the first retry.
+ * @param {number} [options.maxTimeout=10000] - Maximum delay in milliseconds between retries.
+ * @param {number} [options.factor=2] - Multiplier applied to the delay after each retry.
+ * @param {(error: Error, retry: number, delay: number) => void} [options.onRetry] - Called before each retry.
+ * @returns {Promise<any>} The result of the function.
+ */
+export function withRetry(fn: (attempt: number) => Promise<any>, options?: {
+    retries?: number;
+    minTimeout?: number;
+    maxTimeout?: number;
+    factor?: number;
+    onRetry?: (error: Error, retry: number, delay: number) => void;
+}): Promise<any>;
+/**
+ * Maps over items with an async function, running at most `limit` at once.
+ * @param {Array<any>} items - The items to map.
+ * @param {number} limit - The maximum number of concurrent calls.
+ * @param {(item: any, index: number) => Promise<any>} fn - The async mapping function.
+ * @returns {Promise<Array<any>>} The results, in the order of the items.
+ */
+export function mapConcurrent(items: Array<any>, limit: number, fn: (item: any, index: number) => Promise<any>): Promise<Array<any>>;
 //# sourceMappingURL=utils.d.ts.map
\ No newline at end of file